@@ -10,6 +10,30 @@
  *  - UI flow: Presale-centric (buy/unlock/redeem/debt/fees)
  */
 
+// --------------------------------------------------
+// OpenZeppelin 5 custom errors. Only token.sol (ARUB) is built on OZ 5; the presale,
+// vault, AntiRUB and arbitrage manager use OZ 4.x and revert with strings (errors.js
+// catalog). The ERC20 errors still reach their callers when an ARUB transfer fails.
+// --------------------------------------------------
+const OZ_ERC20_ERRORS = [
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidSpender(address spender)",
+];
+
+const OZ_CONTRACT_ERRORS = [
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error SafeERC20FailedOperation(address token)",
+  "error ReentrancyGuardReentrantCall()",
+];
+
 // --------------------------------------------------
 // Minimal ERC20 ABI (balance/allowance/approve + transfers)
 // --------------------------------------------------
@@ -30,6 +54,9 @@ export const ERC20_ABI_MIN = [
   // Events
   "event Transfer(address indexed from, address indexed to, uint256 value)",
   "event Approval(address indexed owner, address indexed spender, uint256 value)",
+
+  // Errors (OZ 5 ERC20: the ARUB token)
+  ...OZ_ERC20_ERRORS,
 ];
 
 // --------------------------------------------------
@@ -54,6 +81,17 @@ export const ORACLE_ABI = [
   "function usdRub() view returns (uint256)",
   "function lastRate() view returns (uint256)",
   "function lastUpdatedAt() view returns (uint256)",
+
+  // Events (ArubOracle.setRate)
+  "event RateUpdated(uint256 rate, uint256 updatedAt)",
+];
+
+// --------------------------------------------------
+// Chainlink AggregatorV3 (ETH/USD for gas cost in USD)
+// --------------------------------------------------
+export const CHAINLINK_FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
 ];
 
 // --------------------------------------------------
@@ -86,6 +124,9 @@ export const ARUB_ABI = [
   // Optional reads
   "function oracle() view returns (address)",
   "function maxSupply() view returns (uint256)",
+
+  // Errors (OZ 5 Ownable / AccessControl / Pausable / SafeERC20)
+  ...OZ_CONTRACT_ERRORS,
 ];
 
 // --------------------------------------------------
@@ -103,17 +144,83 @@ export const VAULT_ABI = [
   "function transfer(address to, uint256 value) returns (bool)",
   "function transferFrom(address from, address to, uint256 value) returns (bool)",
 
-  // Vault core
-  "function deposit(uint256 arubAmount)",
-  "function withdraw(uint256 shares)",
+  // Vault core (Phase 1: 1:1 shares, Phase 2: NAV-priced shares)
+  "function deposit(uint256 arubAmount) returns (uint256 sharesMinted)",
+  "function withdraw(uint256 shares) returns (uint256 arubOut)",
+
+  // Phase 2 strategy (ARUB -> ARUB/USDT LP zap and back)
+  "function depositWithStrategy((uint256 arubAmount, uint256 minUsdtOut, uint256 minLpOut, uint256 deadline) d) returns (uint256 sharesMinted, uint256 lpMinted)",
+  "function withdrawToARUB((uint256 shares, uint256 minArubFromUsdt, uint256 amountAMin, uint256 amountBMin, uint256 deadline) w) returns (uint256 arubOut, uint256 lpRemoved)",
 
   // Views
+  // totalAssetsArubEq() reverts with "strategy off" until Phase 2 is enabled
   "function totalAssetsArubEq() view returns (uint256)",
-  "function asset() view returns (address)",
+  "function strategyEnabled() view returns (bool)",
+  "function paused() view returns (bool)",
+  "function pair() view returns (address)",
+  "function lpToken() view returns (address)",
+  "function router() view returns (address)",
+  "function maxStrategyDepositArub() view returns (uint256)",
+  "function maxStrategyWithdrawShares() view returns (uint256)",
+
+  // Events (ARUBVaultTwoModeV2)
+  "event Deposited(address indexed user, uint256 arubIn, uint256 sharesMinted)",
+  "event Withdrawn(address indexed user, uint256 sharesBurned, uint256 arubOut)",
+  "event StrategyDeposit(address indexed user, uint256 arubIn, uint256 sharesMinted, uint256 lpMinted)",
+  "event StrategyWithdraw(address indexed user, uint256 sharesBurned, uint256 arubOut, uint256 lpRemoved)",
+
+  // Errors bubbling up from ARUB transfers (the vault itself is OZ 4.x: string reverts)
+  ...OZ_ERC20_ERRORS,
+];
+
+// --------------------------------------------------
+// Uniswap V2 pair (ARUB/USDT pool used by the vault strategy)
+// --------------------------------------------------
+export const UNIV2_PAIR_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+];
+
+// --------------------------------------------------
+// AntiRUB core (AntiRUBV2, antirubV1.sol)
+// mint: USDT -> ARUB, burn: ARUB -> USDT (ARUB allowance required, burnFrom)
+// --------------------------------------------------
+export const ANTIRUB_ABI = [
+  // Write
+  "function mint(uint256 usdtAmount, uint256 minArubOut) external",
+  "function burn(uint256 arubAmount, uint256 minUsdtOut) external",
+
+  // Previews (newCrBps: 10_000 = 100%)
+  "function getMintAmount(uint256 usdtAmount) view returns (uint256 userArub, uint256 feeArub, uint256 newCrBps)",
+  "function getBurnReturn(uint256 arubAmount) view returns (uint256 userUsdt, uint256 feeUsdt, uint256 newCrBps)",
+
+  // Views (currentCollateralRatio: 1e6-scale, max uint when no liabilities)
+  "function currentCollateralRatio() view returns (uint256)",
+  "function totalUsdtCollateral() view returns (uint256)",
+  "function totalArubLiability() view returns (uint256)",
+  "function mintFeeBps() view returns (uint256)",
+  "function burnFeeBps() view returns (uint256)",
+  "function ORACLE_MAX_AGE() view returns (uint256)",
+  "function emergencyPauseUntil() view returns (uint256)",
 
   // Events
-  "event Deposit(address indexed user, uint256 arubAmount, uint256 shares)",
-  "event Withdraw(address indexed user, uint256 shares, uint256 arubAmount)",
+  "event Minted(address indexed user, uint256 usdtIn, uint256 arubOutUser, uint256 feeArub)",
+  "event Burned(address indexed user, uint256 arubIn, uint256 usdtOutUser, uint256 feeUsdt)",
+
+  // Custom errors (decoded by errors.js)
+  "error ZeroAddress()",
+  "error InvalidDecimals()",
+  "error OracleRateZero()",
+  "error OracleStale()",
+  "error ZeroAmount()",
+  "error EmergencyPaused()",
+  "error EmergencyDurationInvalid()",
+  "error EmergencyReasonInvalid()",
+  "error EmergencyDetailsEmpty()",
+  "error NotGuardianOrOwner()",
 ];
 
 // --------------------------------------------------
@@ -130,6 +237,8 @@ export const PRESALE_READ_ABI = [
   "function totalDiscountBuyers() view returns (uint256)",
   "function isDiscountBuyer(address) view returns (bool)",
   "function discountUsed(address) view returns (uint256)",
+  "function MAX_DISCOUNT_PER_WALLET() view returns (uint256)",
+  "function BONUS_LOCK_PERIOD() view returns (uint256)",
 
   // locks
   "function totalDeposited(address) view returns (uint256)",
@@ -166,4 +275,24 @@ export const PRESALE_WRITE_ABI = [
   "function unlockDeposit() external",
   "function redeemForUSDT(uint256 arubAmount) external",
   "function claimDebt() external",
+
+  // Errors bubbling up from ARUB transfers (the presale itself is OZ 4.x: string reverts)
+  ...OZ_ERC20_ERRORS,
+];
+
+// --------------------------------------------------
+// Presale EVENTS ABI (user history / stats scans)
+// --------------------------------------------------
+export const PRESALE_EVENTS_ABI = [
+  "event Purchased(address indexed buyer, uint256 usdtAmount, uint256 arubTotal, uint256 bonusArub, uint256 discountPercent, uint256 discountAppliedEq)",
+  "event Redeemed(address indexed seller, uint256 arubAmount, uint256 stablePaid, uint256 debtIssued, uint256 feeCharged)",
+  "event DebtClaimed(address indexed user, uint256 amountPaid, uint256 remainingDebt)",
+  "event DepositUnlocked(address indexed user, uint256 principalArub, uint256 bonusArub)",
+];
+
+// --------------------------------------------------
+// Multicall3 (same address on most EVM chains)
+// --------------------------------------------------
+export const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)",
 ];
@@ -0,0 +1,391 @@
+/**
+ * accounting.js — cost basis, PnL and CSV/JSON export of presale activity
+ *
+ * Input rows come from history.js (Purchased / Redeemed / DebtClaimed / DepositUnlocked).
+ * Prices are the oracle rate (USDT per ARUB, CONFIG.ORACLE_RATE_DECIMALS), same as
+ * calculateUsdtAmount() on the token. Amounts stay in BigNumber (6 decimals) until output.
+ *
+ * Cost basis rules:
+ *  - a purchase adds a lot: qty = arubTotal (bonus included), cost = usdtAmount
+ *  - a redeem disposes arubAmount; proceeds = stablePaid + debtIssued (debt is a receivable,
+ *    the fee is already deducted on-chain)
+ *  - DebtClaimed settles that receivable, DepositUnlocked only moves locked ARUB: no PnL
+ *
+ * ARUB columns are real wallet transfers: a bonus (locked) purchase receives nothing
+ * until DepositUnlocked pays out principal + bonus; arub_bought is the purchased qty.
+ *
+ * Exports:
+ *   calcDiscount(avgPrice, currentPrice)
+ *   normalizeAvgPrice(avgPrice, currentPrice)
+ *   buildLedger(rows, opts?)
+ *   computePnl(rows, currentRateBN)
+ *   toCsv(ledger, pnl?)
+ *   exportPresaleActivity(address, rows, format)
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ORACLE_ABI } from './abis.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+
+const BN = ethers.BigNumber;
+const USDT_DECIMALS = 6;
+const ARUB_DECIMALS = Number(CONFIG?.TOKEN_DECIMALS ?? 6);
+const RATE_DECIMALS = Number(CONFIG?.ORACLE_RATE_DECIMALS ?? 6);
+const RATE_SCALE = BN.from(10).pow(RATE_DECIMALS);
+
+// -----------------------------
+// Price helpers (shared with app.js presale stats)
+// -----------------------------
+export function calcDiscount(avgPrice, currentPrice) {
+  if (!avgPrice || !currentPrice || currentPrice <= 0) return null;
+  return (1 - avgPrice / currentPrice) * 100;
+}
+
+export function normalizeAvgPrice(avgPrice, currentPrice) {
+  if (!Number.isFinite(avgPrice) || avgPrice <= 0) return null;
+  if (!Number.isFinite(currentPrice) || currentPrice <= 0) return avgPrice;
+
+  const inv = 1 / avgPrice;
+  const rel = Math.abs(avgPrice - currentPrice) / currentPrice;
+  const relInv = Math.abs(inv - currentPrice) / currentPrice;
+
+  if (Number.isFinite(relInv) && relInv < rel) return inv;
+  return avgPrice;
+}
+
+// -----------------------------
+// Internals
+// -----------------------------
+function bn(v) {
+  try {
+    return BN.from(v ?? 0);
+  } catch (_) {
+    return BN.from(0);
+  }
+}
+
+function fmt(v, decimals) {
+  return ethers.utils.formatUnits(bn(v), decimals);
+}
+
+function ratio(numBN, denBN, numDec, denDec) {
+  if (denBN.isZero()) return null;
+  const n = Number(ethers.utils.formatUnits(numBN, numDec));
+  const d = Number(ethers.utils.formatUnits(denBN, denDec));
+  return d > 0 ? n / d : null;
+}
+
+function rowKey(row) {
+  return `${row.block}:${row.logIndex}`;
+}
+
+function chronological(rows) {
+  return (rows || []).slice().sort((a, b) => (a.block - b.block) || (a.logIndex - b.logIndex));
+}
+
+// Per-row cash/asset movements from the user's point of view
+function movements(row) {
+  const a = row.args || {};
+  const zero = BN.from(0);
+  const m = {
+    usdtPaid: zero,
+    usdtReceived: zero,
+    arubBought: zero,
+    arubReceived: zero,
+    arubSent: zero,
+    bonusArub: zero,
+    feeUsdt: zero,
+    debtIssued: zero,
+    debtRemaining: null,
+  };
+
+  switch (row.type) {
+    case 'Purchased':
+      m.usdtPaid = bn(a.usdtAmount);
+      m.arubBought = bn(a.arubTotal);
+      m.bonusArub = bn(a.bonusArub);
+      // bonus buys stay locked in the presale (principal + bonus) until DepositUnlocked
+      m.arubReceived = m.bonusArub.isZero() ? m.arubBought : zero;
+      break;
+    case 'Redeemed':
+      m.arubSent = bn(a.arubAmount);
+      m.usdtReceived = bn(a.stablePaid);
+      m.debtIssued = bn(a.debtIssued);
+      m.feeUsdt = bn(a.feeCharged);
+      break;
+    case 'DebtClaimed':
+      m.usdtReceived = bn(a.amountPaid);
+      m.debtRemaining = bn(a.remainingDebt);
+      break;
+    case 'DepositUnlocked':
+      m.bonusArub = bn(a.bonusArub);
+      m.arubReceived = bn(a.principalArub).add(m.bonusArub);
+      break;
+    default:
+      break;
+  }
+  return m;
+}
+
+async function getRatesAtBlocks(blocks, provider) {
+  const oracle = new ethers.Contract(CONFIG.ORACLE_ADDRESS, ORACLE_ABI, provider);
+  const out = new Map();
+
+  for (const block of blocks) {
+    try {
+      const [rate] = await oracle.getRate({ blockTag: block });
+      out.set(block, rate);
+    } catch (e) {
+      console.warn('[ACCOUNTING] getRate failed at block', block, e?.message || e);
+      out.set(block, null);
+    }
+  }
+  return out;
+}
+
+// -----------------------------
+// Public: ledger + PnL
+// -----------------------------
+
+/**
+ * Oldest-first ledger rows with the oracle rate at each block.
+ * opts.provider defaults to the read-only provider (needs archive state for old blocks).
+ */
+export async function buildLedger(rows, opts = {}) {
+  const sorted = chronological(rows);
+  const provider = opts.provider || await getReadOnlyProviderAsync();
+  const rates = await getRatesAtBlocks([...new Set(sorted.map((r) => r.block))], provider);
+
+  return sorted.map((row) => ({
+    ...row,
+    ...movements(row),
+    oracleRate: rates.get(row.block) ?? null,
+  }));
+}
+
+/**
+ * Realized/unrealized PnL in USDT for FIFO and average-cost methods.
+ * currentRateBN: oracle rate now (RATE_DECIMALS).
+ */
+export function computePnl(rows, currentRateBN) {
+  const rate = bn(currentRateBN);
+  const sorted = chronological(rows);
+
+  // FIFO lots: { qty, cost }
+  const lots = [];
+  let fifoRealized = BN.from(0);
+
+  // average cost pool
+  let avgQty = BN.from(0);
+  let avgCost = BN.from(0);
+  let avgRealized = BN.from(0);
+
+  let totalPaid = BN.from(0);
+  let totalBought = BN.from(0);
+  let totalFees = BN.from(0);
+  let debtOutstanding = BN.from(0);
+
+  // realized PnL per Redeemed row, keyed by block:logIndex
+  const perRow = new Map();
+
+  for (const row of sorted) {
+    const m = movements(row);
+
+    if (row.type === 'Purchased') {
+      lots.push({ qty: m.arubBought, cost: m.usdtPaid });
+      avgQty = avgQty.add(m.arubBought);
+      avgCost = avgCost.add(m.usdtPaid);
+      totalPaid = totalPaid.add(m.usdtPaid);
+      totalBought = totalBought.add(m.arubBought);
+      continue;
+    }
+
+    if (row.type === 'Redeemed') {
+      const proceeds = m.usdtReceived.add(m.debtIssued);
+      totalFees = totalFees.add(m.feeUsdt);
+      debtOutstanding = debtOutstanding.add(m.debtIssued);
+
+      // FIFO: consume oldest lots
+      let left = m.arubSent;
+      let costOut = BN.from(0);
+      while (left.gt(0) && lots.length) {
+        const lot = lots[0];
+        if (lot.qty.lte(left)) {
+          costOut = costOut.add(lot.cost);
+          left = left.sub(lot.qty);
+          lots.shift();
+        } else {
+          const part = lot.cost.mul(left).div(lot.qty);
+          costOut = costOut.add(part);
+          lot.cost = lot.cost.sub(part);
+          lot.qty = lot.qty.sub(left);
+          left = BN.from(0);
+        }
+      }
+      fifoRealized = fifoRealized.add(proceeds).sub(costOut);
+
+      // average cost
+      const sold = m.arubSent.gt(avgQty) ? avgQty : m.arubSent;
+      const avgOut = avgQty.isZero() ? BN.from(0) : avgCost.mul(sold).div(avgQty);
+      avgRealized = avgRealized.add(proceeds).sub(avgOut);
+      avgQty = avgQty.sub(sold);
+      avgCost = avgCost.sub(avgOut);
+
+      perRow.set(rowKey(row), { fifo: proceeds.sub(costOut), average: proceeds.sub(avgOut) });
+      continue;
+    }
+
+    if (row.type === 'DebtClaimed') {
+      debtOutstanding = m.debtRemaining ?? debtOutstanding.sub(m.usdtReceived);
+    }
+  }
+
+  const fifoQty = lots.reduce((s, l) => s.add(l.qty), BN.from(0));
+  const fifoCost = lots.reduce((s, l) => s.add(l.cost), BN.from(0));
+  const valueOf = (qty) => qty.mul(rate).div(RATE_SCALE);
+
+  const currentPrice = Number(ethers.utils.formatUnits(rate, RATE_DECIMALS));
+  const avgPrice = normalizeAvgPrice(ratio(totalPaid, totalBought, USDT_DECIMALS, ARUB_DECIMALS), currentPrice);
+
+  return {
+    currentRate: rate,
+    totalPaid,
+    totalBought,
+    totalFees,
+    debtOutstanding: debtOutstanding.lt(0) ? BN.from(0) : debtOutstanding,
+    avgPrice,
+    discountPct: calcDiscount(avgPrice, currentPrice),
+    fifo: {
+      realized: fifoRealized,
+      unrealized: valueOf(fifoQty).sub(fifoCost),
+      holdingArub: fifoQty,
+      costBasis: fifoCost,
+    },
+    average: {
+      realized: avgRealized,
+      unrealized: valueOf(avgQty).sub(avgCost),
+      holdingArub: avgQty,
+      costBasis: avgCost,
+      avgCostPrice: ratio(avgCost, avgQty, USDT_DECIMALS, ARUB_DECIMALS),
+    },
+    perRow,
+  };
+}
+
+// -----------------------------
+// Public: export
+// -----------------------------
+const CSV_COLUMNS = [
+  'time_utc', 'block', 'tx_hash', 'type',
+  'usdt_paid', 'usdt_received', 'arub_bought', 'arub_received', 'arub_sent', 'bonus_arub',
+  'fee_usdt', 'debt_issued_usdt', 'oracle_rate_usdt_per_arub',
+  'realized_pnl_fifo_usdt', 'realized_pnl_avg_usdt',
+];
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function ledgerRecord(r, pnl) {
+  const realized = pnl?.perRow?.get(rowKey(r));
+  return {
+    time_utc: r.ts ? new Date(r.ts * 1000).toISOString() : '',
+    block: r.block,
+    tx_hash: r.tx,
+    type: r.type,
+    usdt_paid: fmt(r.usdtPaid, USDT_DECIMALS),
+    usdt_received: fmt(r.usdtReceived, USDT_DECIMALS),
+    arub_bought: fmt(r.arubBought, ARUB_DECIMALS),
+    arub_received: fmt(r.arubReceived, ARUB_DECIMALS),
+    arub_sent: fmt(r.arubSent, ARUB_DECIMALS),
+    bonus_arub: fmt(r.bonusArub, ARUB_DECIMALS),
+    fee_usdt: fmt(r.feeUsdt, USDT_DECIMALS),
+    debt_issued_usdt: fmt(r.debtIssued, USDT_DECIMALS),
+    oracle_rate_usdt_per_arub: r.oracleRate ? fmt(r.oracleRate, RATE_DECIMALS) : '',
+    realized_pnl_fifo_usdt: realized ? fmt(realized.fifo, USDT_DECIMALS) : '',
+    realized_pnl_avg_usdt: realized ? fmt(realized.average, USDT_DECIMALS) : '',
+  };
+}
+
+export function toCsv(ledger, pnl) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of ledger) {
+    const rec = ledgerRecord(r, pnl);
+    lines.push(CSV_COLUMNS.map((c) => csvCell(rec[c])).join(','));
+  }
+  return lines.join('\n');
+}
+
+function pnlRecord(pnl) {
+  const usdt = (v) => fmt(v, USDT_DECIMALS);
+  const arub = (v) => fmt(v, ARUB_DECIMALS);
+  return {
+    current_rate_usdt_per_arub: fmt(pnl.currentRate, RATE_DECIMALS),
+    total_paid_usdt: usdt(pnl.totalPaid),
+    total_bought_arub: arub(pnl.totalBought),
+    total_fees_usdt: usdt(pnl.totalFees),
+    debt_outstanding_usdt: usdt(pnl.debtOutstanding),
+    avg_price_usdt_per_arub: pnl.avgPrice,
+    discount_pct: pnl.discountPct,
+    fifo: {
+      realized_usdt: usdt(pnl.fifo.realized),
+      unrealized_usdt: usdt(pnl.fifo.unrealized),
+      holding_arub: arub(pnl.fifo.holdingArub),
+      cost_basis_usdt: usdt(pnl.fifo.costBasis),
+    },
+    average: {
+      realized_usdt: usdt(pnl.average.realized),
+      unrealized_usdt: usdt(pnl.average.unrealized),
+      holding_arub: arub(pnl.average.holdingArub),
+      cost_basis_usdt: usdt(pnl.average.costBasis),
+      avg_cost_usdt_per_arub: pnl.average.avgCostPrice,
+    },
+  };
+}
+
+function downloadFile(name, mime, text) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Builds the ledger + PnL for rows (from history.js loadUserHistory) and
+ * downloads it as 'csv' or 'json'. Returns { ledger, pnl }.
+ */
+export async function exportPresaleActivity(address, rows, format = 'csv') {
+  const provider = await getReadOnlyProviderAsync();
+  const oracle = new ethers.Contract(CONFIG.ORACLE_ADDRESS, ORACLE_ABI, provider);
+
+  const [ledger, [currentRate]] = await Promise.all([
+    buildLedger(rows, { provider }),
+    oracle.getRate(),
+  ]);
+  const pnl = computePnl(rows, currentRate);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const base = `arub-presale-${String(address).slice(0, 10).toLowerCase()}-${stamp}`;
+
+  if (format === 'json') {
+    const doc = {
+      address,
+      presale: CONFIG.PRESALE_ADDRESS,
+      generatedAt: new Date().toISOString(),
+      rows: ledger.map((r) => ledgerRecord(r, pnl)),
+      pnl: pnlRecord(pnl),
+    };
+    downloadFile(`${base}.json`, 'application/json', JSON.stringify(doc, null, 2));
+  } else {
+    downloadFile(`${base}.csv`, 'text/csv;charset=utf-8', toCsv(ledger, pnl));
+  }
+
+  return { ledger, pnl };
+}
@@ -0,0 +1,377 @@
+/**
+ * allowances.js — token approvals page (list, approval policy, revoke)
+ *
+ * Lists the USDT and ARUB allowances the connected wallet has granted to the
+ * presale, the vault and AntiRUB, lets the user choose how future approvals
+ * are sized (txManager approval policy) and revokes any of them with
+ * approve(spender, 0).
+ *
+ * Opened from #allowancesLink (index.html footer, trading.html wallet menu).
+ *
+ * Exports:
+ *   initAllowances()
+ *   openAllowances()
+ *   loadAllowances(owner)   // -> [{ token, symbol, decimals, spender, spenderName, allowance }]
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ERC20_ABI_MIN } from './abis.js';
+import { getStoredLang } from './i18n.js';
+import { showNotification, formatTokenAmount } from './ui.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { runTx, getApprovalPolicy, setApprovalPolicy } from './txManager.js';
+import { errorMessage } from './errors.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const TOKENS = [
+  { key: 'USDT_ADDRESS', symbol: 'USDT', decimals: 6 },
+  { key: 'TOKEN_ADDRESS', symbol: 'ARUB', decimals: Number(CONFIG?.TOKEN_DECIMALS ?? 6) },
+];
+const SPENDERS = [
+  { key: 'PRESALE_ADDRESS', name: 'ARUB Presale' },
+  { key: 'VAULT_ADDRESS', name: 'ARUB Vault' },
+  { key: 'ANTIRUB_ADDRESS', name: 'AntiRUB' },
+];
+// anything above this is shown as "unlimited" (wallets often approve MaxUint256 - spent)
+const UNLIMITED_FROM = ethers.constants.MaxUint256.div(2);
+
+// -----------------------------
+// i18n
+// -----------------------------
+const I18N = {
+  ru: {
+    title: 'Дозволи токенів',
+    subtitle: 'Скільки USDT та ARUB контракти проєкту можуть списати з вашого гаманця.',
+    connect: 'Підключіть гаманець, щоб побачити дозволи.',
+    col_token: 'Токен',
+    col_spender: 'Контракт',
+    col_allowance: 'Дозвіл',
+    none: '0',
+    unlimited: 'без ліміту',
+    loading: 'завантаження…',
+    load_failed: 'Не вдалося прочитати дозволи: {{err}}',
+    revoke: 'Відкликати',
+    revoking: 'відкликання…',
+    revoked: 'Дозвіл {{symbol}} для {{spender}} відкликано',
+    rejected: 'Транзакцію скасовано в гаманці',
+    policy_title: 'Нові дозволи (approve)',
+    policy_exact: 'Точна сума угоди (approve перед кожною угодою)',
+    policy_cap: 'До ліміту (менше approve-транзакцій)',
+    policy_unlimited: 'Без ліміту (один approve назавжди — найменш безпечно)',
+    cap_label: 'Ліміт {{symbol}}',
+    save: 'Зберегти',
+    saved: 'Налаштування дозволів збережено',
+    bad_cap: 'Вкажіть ліміт більше 0',
+    refresh: 'Оновити',
+    close: 'Закрити',
+  },
+  en: {
+    title: 'Token approvals',
+    subtitle: 'How much USDT and ARUB the project contracts may spend from your wallet.',
+    connect: 'Connect your wallet to see your approvals.',
+    col_token: 'Token',
+    col_spender: 'Contract',
+    col_allowance: 'Allowance',
+    none: '0',
+    unlimited: 'unlimited',
+    loading: 'loading…',
+    load_failed: 'Could not read allowances: {{err}}',
+    revoke: 'Revoke',
+    revoking: 'revoking…',
+    revoked: '{{symbol}} approval for {{spender}} revoked',
+    rejected: 'Transaction rejected in wallet',
+    policy_title: 'New approvals',
+    policy_exact: 'Exact trade amount (approve before every trade)',
+    policy_cap: 'Up to a cap (fewer approve transactions)',
+    policy_unlimited: 'Unlimited (approve once — least safe)',
+    cap_label: '{{symbol}} cap',
+    save: 'Save',
+    saved: 'Approval settings saved',
+    bad_cap: 'Enter a cap greater than 0',
+    refresh: 'Refresh',
+    close: 'Close',
+  },
+};
+
+function t(key, vars) {
+  const lang = (getStoredLang?.() || 'ru');
+  const dict = I18N[lang] || I18N.ru;
+  let out = dict[key] || I18N.ru[key] || key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[c]));
+}
+
+// -----------------------------
+// Reads
+// -----------------------------
+export async function loadAllowances(owner) {
+  const provider = await getReadOnlyProviderAsync();
+  const pairs = [];
+  TOKENS.forEach((tk) => {
+    const token = CONFIG?.[tk.key];
+    if (!token) return;
+    SPENDERS.forEach((sp) => {
+      const spender = CONFIG?.[sp.key];
+      if (spender) pairs.push({ token, symbol: tk.symbol, decimals: tk.decimals, spender, spenderName: sp.name });
+    });
+  });
+
+  // same tick -> one Multicall3 batch
+  const values = await Promise.all(pairs.map((p) =>
+    new ethers.Contract(p.token, ERC20_ABI_MIN, provider).allowance(owner, p.spender)));
+  return pairs.map((p, i) => ({ ...p, allowance: values[i] }));
+}
+
+// -----------------------------
+// Modal
+// -----------------------------
+let modal = null;
+let rows = null;          // last loadAllowances() result
+let loadError = null;
+const revoking = new Set(); // `${token}:${spender}`
+
+const pairId = (r) => `${r.token}:${r.spender}`.toLowerCase();
+
+function formatAllowance(r) {
+  if (r.allowance.isZero()) return t('none');
+  if (r.allowance.gte(UNLIMITED_FROM)) return t('unlimited');
+  return `${formatTokenAmount(r.allowance, r.decimals, 2)} ${r.symbol}`;
+}
+
+function renderRows() {
+  const body = modal?.querySelector('#allowancesRows');
+  if (!body) return;
+
+  if (!window.walletState?.address) {
+    body.innerHTML = `<tr><td colspan="4" style="padding:10px; opacity:0.75;">${t('connect')}</td></tr>`;
+    return;
+  }
+  if (loadError) {
+    body.innerHTML = `<tr><td colspan="4" style="padding:10px; color:#f87171;">${escapeHtml(t('load_failed', { err: loadError }))}</td></tr>`;
+    return;
+  }
+  if (!rows) {
+    body.innerHTML = `<tr><td colspan="4" style="padding:10px; opacity:0.75;">${t('loading')}</td></tr>`;
+    return;
+  }
+
+  const btn = 'padding:2px 10px; border-radius:6px; border:1px solid rgba(255,255,255,0.2); background:transparent; color:inherit; cursor:pointer;';
+  body.innerHTML = rows.map((r, i) => {
+    const busy = revoking.has(pairId(r));
+    const action = r.allowance.isZero() ? ''
+      : `<button type="button" data-allowance-revoke="${i}" style="${btn}" ${busy ? 'disabled' : ''}>${busy ? t('revoking') : t('revoke')}</button>`;
+    return `
+      <tr style="border-top:1px solid rgba(255,255,255,0.08);">
+        <td style="padding:6px;">${r.symbol}</td>
+        <td style="padding:6px;">${escapeHtml(r.spenderName)}</td>
+        <td style="padding:6px; white-space:nowrap;">${formatAllowance(r)}</td>
+        <td style="padding:6px; text-align:right;">${action}</td>
+      </tr>`;
+  }).join('');
+}
+
+function renderPolicy() {
+  const { mode, caps } = getApprovalPolicy();
+  modal.querySelectorAll('input[name="approvalPolicy"]').forEach((inp) => { inp.checked = inp.value === mode; });
+  TOKENS.forEach((tk) => {
+    const inp = modal.querySelector(`[data-allowance-cap="${tk.symbol}"]`);
+    const raw = caps[String(CONFIG?.[tk.key] || '').toLowerCase()];
+    if (inp) {
+      inp.value = raw ? ethers.utils.formatUnits(raw, tk.decimals) : '';
+      inp.disabled = mode !== 'cap';
+    }
+  });
+}
+
+async function refresh() {
+  const owner = window.walletState?.address;
+  loadError = null;
+  rows = null;
+  renderRows();
+  if (!owner) return;
+
+  try {
+    const list = await loadAllowances(owner);
+    if (window.walletState?.address === owner) rows = list;
+  } catch (e) {
+    console.warn('[ALLOWANCES] load failed:', e?.message || e);
+    loadError = e?.message || String(e);
+  }
+  renderRows();
+}
+
+function savePolicy() {
+  const mode = modal.querySelector('input[name="approvalPolicy"]:checked')?.value || 'exact';
+  const caps = {};
+
+  if (mode === 'cap') {
+    for (const tk of TOKENS) {
+      const raw = String(modal.querySelector(`[data-allowance-cap="${tk.symbol}"]`)?.value || '').trim();
+      let bn = null;
+      try { bn = raw ? ethers.utils.parseUnits(raw, tk.decimals) : null; } catch (_) {}
+      if (!bn || bn.lte(0)) {
+        showNotification?.(t('bad_cap'), 'error');
+        return;
+      }
+      caps[CONFIG[tk.key]] = bn.toString();
+    }
+  }
+
+  setApprovalPolicy({ mode, caps });
+  showNotification?.(t('saved'), 'success');
+  renderPolicy();
+}
+
+async function revoke(i) {
+  const r = rows?.[i];
+  const signer = window.walletState?.signer;
+  if (!r || !signer || revoking.has(pairId(r))) return;
+
+  revoking.add(pairId(r));
+  renderRows();
+  try {
+    await runTx({
+      kind: 'revoke',
+      signer,
+      contract: new ethers.Contract(r.token, ERC20_ABI_MIN, signer),
+      method: 'approve',
+      args: [r.spender, 0],
+      meta: { symbol: r.symbol, spender: r.spender },
+    });
+    showNotification?.(t('revoked', { symbol: r.symbol, spender: r.spenderName }), 'success');
+  } catch (e) {
+    console.warn('[ALLOWANCES] revoke failed:', e?.message || e);
+    const rejected = e?.code === 4001 || e?.code === 'ACTION_REJECTED';
+    showNotification?.(rejected ? t('rejected') : (errorMessage(e) || e?.reason || e?.message || String(e)), 'error');
+  } finally {
+    revoking.delete(pairId(r));
+  }
+  await refresh();
+}
+
+function buildModal() {
+  const wrap = document.createElement('div');
+  wrap.className = 'wallet-modal';
+  wrap.id = 'allowancesModal';
+  wrap.style.display = 'none';
+
+  const th = 'text-align:left; padding:6px; font-weight:600; opacity:0.7; white-space:nowrap;';
+  const input = 'width:140px; padding:6px 10px; border-radius:8px; border:1px solid rgba(255,255,255,0.2); background:rgba(0,0,0,0.3); color:inherit;';
+  wrap.innerHTML = `
+    <div class="wallet-modal-content" style="max-width:640px; padding:24px;">
+      <div class="wallet-modal-title" style="font-size:1.6em; margin-bottom:8px;">${t('title')}</div>
+      <div style="text-align:center; font-size:13px; opacity:0.75; margin-bottom:16px;">${t('subtitle')}</div>
+
+      <table style="width:100%; border-collapse:collapse; font-size:13px;">
+        <thead>
+          <tr>
+            <th style="${th}">${t('col_token')}</th>
+            <th style="${th}">${t('col_spender')}</th>
+            <th style="${th}">${t('col_allowance')}</th>
+            <th style="${th}"></th>
+          </tr>
+        </thead>
+        <tbody id="allowancesRows"></tbody>
+      </table>
+
+      <div style="margin-top:18px; font-size:13px;">
+        <div style="font-weight:600; margin-bottom:6px;">${t('policy_title')}</div>
+        <label style="display:block; margin:4px 0;"><input type="radio" name="approvalPolicy" value="exact"> ${t('policy_exact')}</label>
+        <label style="display:block; margin:4px 0;"><input type="radio" name="approvalPolicy" value="cap"> ${t('policy_cap')}</label>
+        <div style="display:flex; gap:12px; flex-wrap:wrap; margin:6px 0 6px 22px;">
+          ${TOKENS.map((tk) => `
+            <label>${t('cap_label', { symbol: tk.symbol })}
+              <input type="number" min="0" step="any" data-allowance-cap="${tk.symbol}" style="${input}">
+            </label>`).join('')}
+        </div>
+        <label style="display:block; margin:4px 0;"><input type="radio" name="approvalPolicy" value="unlimited"> ${t('policy_unlimited')}</label>
+      </div>
+
+      <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+        <button type="button" id="allowancesSave" class="connect-btn">${t('save')}</button>
+        <button type="button" id="allowancesRefresh" class="connect-btn">${t('refresh')}</button>
+        <button type="button" id="allowancesClose" class="connect-btn">${t('close')}</button>
+      </div>
+    </div>`;
+
+  wrap.addEventListener('click', (e) => {
+    if (e.target === wrap) closeAllowances();
+
+    const b = e.target.closest?.('button');
+    if (!b) return;
+
+    if (b.id === 'allowancesClose') closeAllowances();
+    else if (b.id === 'allowancesSave') savePolicy();
+    else if (b.id === 'allowancesRefresh') refresh();
+    else if (b.dataset.allowanceRevoke != null) revoke(Number(b.dataset.allowanceRevoke));
+  });
+
+  wrap.addEventListener('change', (e) => {
+    if (e.target?.name !== 'approvalPolicy') return;
+    wrap.querySelectorAll('[data-allowance-cap]').forEach((inp) => { inp.disabled = e.target.value !== 'cap'; });
+  });
+
+  document.body.appendChild(wrap);
+  return wrap;
+}
+
+// -----------------------------
+// Public
+// -----------------------------
+export function openAllowances() {
+  if (!modal) modal = buildModal();
+  modal.style.display = 'flex';
+  renderPolicy();
+  refresh();
+}
+
+function closeAllowances() {
+  if (modal) modal.style.display = 'none';
+}
+
+export function initAllowances() {
+  const link = document.getElementById('allowancesLink');
+  if (!link) return;
+
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    openAllowances();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal?.style.display === 'flex') closeAllowances();
+  });
+
+  const isOpen = () => modal?.style.display === 'flex';
+
+  window.addEventListener('walletStateChanged', () => {
+    if (isOpen()) refresh();
+  });
+
+  // approvals made by trades change the list
+  window.addEventListener('txStatus', (e) => {
+    if (isOpen() && e.detail?.stage === 'confirmed' && !revoking.size) refresh();
+  });
+
+  // static labels are baked into the modal: rebuild on language switch
+  window.addEventListener('langChanged', () => {
+    if (!modal) return;
+    const wasOpen = isOpen();
+    modal.remove();
+    modal = null;
+    if (wasOpen) openAllowances();
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * antirub.js — AntiRUB core mint/burn (USDT <-> ARUB at the oracle rate)
+ *
+ * Quotes come from the contract's own previews (getMintAmount / getBurnReturn),
+ * min-out is derived from them with the caller's slippage (bps).
+ * Note: previews revert with OracleStale() when the oracle is older than 1h.
+ *
+ * Exports:
+ *   getAntiRubState()
+ *   quoteMint(usdtAmountBN, { slippageBps })
+ *   quoteBurn(arubAmountBN, { slippageBps })
+ *   mintArub(usdtAmountBN, opts?)
+ *   burnArub(arubAmountBN, opts?)
+ *   formatCrBps(bps)
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ANTIRUB_ABI } from './abis.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { runTx } from './txManager.js';
+
+const BN = ethers.BigNumber;
+const BPS = 10_000;
+const MAX_SLIPPAGE_BPS = 5_000;
+
+// -----------------------------
+// Internals
+// -----------------------------
+function assertConfig() {
+  if (!CONFIG?.ANTIRUB_ADDRESS) throw new Error('CONFIG.ANTIRUB_ADDRESS is missing');
+}
+
+async function getAntiRubRO() {
+  assertConfig();
+  const provider = await getReadOnlyProviderAsync();
+  return new ethers.Contract(CONFIG.ANTIRUB_ADDRESS, ANTIRUB_ABI, provider);
+}
+
+function normalizeSlippageBps(bps) {
+  const n = Math.round(Number(bps));
+  if (!Number.isFinite(n) || n < 0) return 50;
+  return Math.min(n, MAX_SLIPPAGE_BPS);
+}
+
+function applySlippage(amountBN, slippageBps) {
+  return amountBN.mul(BPS - slippageBps).div(BPS);
+}
+
+// currentCollateralRatio() is 1e6-scale (max uint: no liabilities); previews report bps
+function crToBps(cr1e6) {
+  return cr1e6.eq(ethers.constants.MaxUint256) ? cr1e6 : cr1e6.div(100);
+}
+
+function resolveSigner(opts) {
+  const signer = opts?.signer || window.walletState?.signer || null;
+  if (!signer) throw new Error('Wallet not connected or signer not ready');
+  return signer;
+}
+
+// -----------------------------
+// Public: reads
+// -----------------------------
+
+/**
+ * "∞" for max uint / no liabilities, otherwise percent with 2 decimals.
+ */
+export function formatCrBps(bps) {
+  try {
+    const v = BN.from(bps ?? 0);
+    if (v.gte(BN.from(2).pow(128))) return '∞';
+    return `${(Number(v.toString()) / 100).toFixed(2)}%`;
+  } catch (_) {
+    return '—';
+  }
+}
+
+export async function getAntiRubState() {
+  const core = await getAntiRubRO();
+
+  const [mintFeeBps, burnFeeBps, totalUsdtCollateral, totalArubLiability, emergencyPauseUntil] =
+    await Promise.all([
+      core.mintFeeBps(),
+      core.burnFeeBps(),
+      core.totalUsdtCollateral(),
+      core.totalArubLiability(),
+      core.emergencyPauseUntil().catch(() => BN.from(0)),
+    ]);
+
+  let crBps = null;
+  try {
+    crBps = crToBps(await core.currentCollateralRatio());
+  } catch (e) {
+    console.warn('[ANTIRUB] currentCollateralRatio failed:', e?.message || e);
+  }
+
+  const pausedUntil = Number(emergencyPauseUntil.toString());
+
+  return {
+    mintFeeBps: Number(mintFeeBps.toString()),
+    burnFeeBps: Number(burnFeeBps.toString()),
+    totalUsdtCollateral,
+    totalArubLiability,
+    crBps,
+    paused: pausedUntil > Math.floor(Date.now() / 1000),
+    pausedUntil,
+  };
+}
+
+export async function quoteMint(usdtAmountBN, { slippageBps } = {}) {
+  const amount = BN.from(usdtAmountBN ?? 0);
+  if (amount.lte(0)) throw new Error('Invalid USDT amount');
+
+  const bps = normalizeSlippageBps(slippageBps);
+  const core = await getAntiRubRO();
+  const { userArub, feeArub, newCrBps } = await core.getMintAmount(amount);
+
+  return {
+    amountIn: amount,
+    amountOut: userArub,
+    fee: feeArub,
+    // dust amounts (gross out 0): the preview returns (0, 0, currentCollateralRatio()) —
+    // 1e6 scale in the bps slot; a fee eating the whole output still returns bps
+    newCrBps: userArub.isZero() && feeArub.isZero() ? crToBps(newCrBps) : newCrBps,
+    minOut: applySlippage(userArub, bps),
+    slippageBps: bps,
+  };
+}
+
+export async function quoteBurn(arubAmountBN, { slippageBps } = {}) {
+  const amount = BN.from(arubAmountBN ?? 0);
+  if (amount.lte(0)) throw new Error('Invalid ARUB amount');
+
+  const bps = normalizeSlippageBps(slippageBps);
+  const core = await getAntiRubRO();
+  const { userUsdt, feeUsdt, newCrBps } = await core.getBurnReturn(amount);
+
+  return {
+    amountIn: amount,
+    amountOut: userUsdt,
+    fee: feeUsdt,
+    newCrBps: userUsdt.isZero() && feeUsdt.isZero() ? crToBps(newCrBps) : newCrBps,
+    minOut: applySlippage(userUsdt, bps),
+    slippageBps: bps,
+  };
+}
+
+// -----------------------------
+// Public: writes
+// -----------------------------
+export async function mintArub(usdtAmountBN, opts = {}) {
+  /**
+   * opts:
+   *  - signer: ethers.Signer (default window.walletState.signer)
+   *  - slippageBps: number (default 50)
+   *  - confirmations: number (default CONFIG.TX_CONFIRMATIONS || 1)
+   *  - onStatus: (stage: string, payload?: any) => void
+   *
+   * stages (txManager.runTx): preflight -> approve (USDT allowance) -> sign -> submitted -> confirmed | failed
+   * The quote (min-out) is taken before the preflight stage.
+   */
+  assertConfig();
+  if (!CONFIG?.USDT_ADDRESS) throw new Error('CONFIG.USDT_ADDRESS is missing');
+
+  const signer = resolveSigner(opts);
+  const quote = await quoteMint(usdtAmountBN, opts);
+  const core = new ethers.Contract(CONFIG.ANTIRUB_ADDRESS, ANTIRUB_ABI, signer);
+
+  return runTx({
+    ...opts,
+    kind: 'antirub_mint',
+    signer,
+    contract: core,
+    method: 'mint',
+    args: [quote.amountIn, quote.minOut],
+    approve: { token: CONFIG.USDT_ADDRESS, spender: CONFIG.ANTIRUB_ADDRESS, amount: quote.amountIn },
+    meta: { amount: quote.amountIn.toString(), symbol: 'USDT' },
+  });
+}
+
+export async function burnArub(arubAmountBN, opts = {}) {
+  /**
+   * opts: same as mintArub
+   * burn() pulls ARUB via token.burnFrom, so an ARUB allowance is required.
+   */
+  assertConfig();
+  if (!CONFIG?.TOKEN_ADDRESS) throw new Error('CONFIG.TOKEN_ADDRESS is missing');
+
+  const signer = resolveSigner(opts);
+  const quote = await quoteBurn(arubAmountBN, opts);
+  const core = new ethers.Contract(CONFIG.ANTIRUB_ADDRESS, ANTIRUB_ABI, signer);
+
+  return runTx({
+    ...opts,
+    kind: 'antirub_burn',
+    signer,
+    contract: core,
+    method: 'burn',
+    args: [quote.amountIn, quote.minOut],
+    approve: { token: CONFIG.TOKEN_ADDRESS, spender: CONFIG.ANTIRUB_ADDRESS, amount: quote.amountIn },
+    meta: { amount: quote.amountIn.toString(), symbol: 'ARUB' },
+  });
+}
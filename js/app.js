@@ -6,17 +6,24 @@
 
 import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
 import { CONFIG } from './config.js';
-import { initWalletModule, getEthersProvider, getAvailableWallets, connectWallet, disconnectWallet } from './wallet.js';
+import { initWalletModule, getEthersProvider, getAvailableWallets, connectWallet, disconnectWallet, forgetWallet } from './wallet.js';
 import { initTradingModule, buyTokens, sellTokens, setMaxBuy, setMaxSell } from './trading.js';
-import { showNotification, copyToClipboard, formatUSD, formatTokenAmount } from './ui.js';
-import { ERC20_ABI_MIN, VAULT_ABI } from './abis.js';
+import { showNotification, copyToClipboard, formatUSD, formatTokenAmount, formatAge } from './ui.js';
+import { ERC20_ABI_MIN, VAULT_ABI, ANTIRUB_ABI, PRESALE_READ_ABI, PRESALE_EVENTS_ABI } from './abis.js';
 import { initI18n, getStoredLang } from './i18n.js';
+import { initRateHistoryChart } from './rateHistory.js';
+import { initTvlChart, updateTvlHistory } from './tvlHistory.js';
+import { calcDiscount, normalizeAvgPrice } from './accounting.js';
+import { initRpcSettings } from './rpcSettings.js';
+import { initAllowances } from './allowances.js';
+import { initLive } from './live.js';
 import {
   initReadOnlyContracts,
   getReadOnlyProviderAsync,
   getArubPrice,
   getTotalSupplyArub,
 } from './contracts.js';
+import { indexEvents, blockAtTimestamp } from './indexer.js';
 
 initWalletModule(); // важно: до любых renderWallets()
 initI18n();
@@ -34,12 +41,19 @@ const I18N = {
     price_source_label: 'Джерело курсу: {{source}}',
     price_source_unknown: 'Джерело курсу: —',
     data_updated: 'Дані оновлено',
+    price_stale: 'Курс оракула застарів — купівля та продаж тимчасово недоступні',
+    price_aging: 'Курс оракула скоро застаріє',
     wallet_not_found: 'Web3-гаманець не знайдено. Встановіть MetaMask/Trust/Phantom/Uniswap або відкрийте сайт у dApp-браузері.',
     select_wallet_first: 'Спочатку оберіть гаманець і підключіться.',
     wallet_menu_not_found: 'Меню гаманця не знайдено в DOM.',
     add_token_failed: 'Не вдалося додати токен.',
     trading_connect_wallet: 'Підключіть гаманець для торгівлі',
     trading_connected_note: 'Гаманець підключено. UI торгівлі має бути відрендерено trading.js.',
+    solvency_ok: 'Забезпечення в нормі',
+    solvency_warn: 'Забезпечення нижче {{pct}}%',
+    solvency_critical: 'Недостатнє забезпечення (нижче {{pct}}%)',
+    solvency_no_liability: 'Зобов’язань немає',
+    solvency_summary: 'Резерви {{reserves}} проти зобов’язань {{obligations}} (покриття {{coverage}})',
   },
   en: {
     wallets_not_found: 'No wallets found',
@@ -53,12 +67,19 @@ const I18N = {
     price_source_label: 'Price source: {{source}}',
     price_source_unknown: 'Price source: —',
     data_updated: 'Data updated',
+    price_stale: 'Oracle rate is stale — buying and selling are temporarily unavailable',
+    price_aging: 'Oracle rate will be stale soon',
     wallet_not_found: 'Web3 wallet not found. Install MetaMask/Trust/Phantom/Uniswap or open the site in a dApp browser.',
     select_wallet_first: 'Please choose a wallet and connect first.',
     wallet_menu_not_found: 'Wallet menu not found in DOM.',
     add_token_failed: 'Failed to add token.',
     trading_connect_wallet: 'Connect a wallet to trade',
     trading_connected_note: 'Wallet connected. Trading UI should be rendered by trading.js.',
+    solvency_ok: 'Backing is healthy',
+    solvency_warn: 'Backing below {{pct}}%',
+    solvency_critical: 'Under-collateralized (below {{pct}}%)',
+    solvency_no_liability: 'No outstanding liabilities',
+    solvency_summary: 'Reserves {{reserves}} vs obligations {{obligations}} (coverage {{coverage}})',
   },
 };
 
@@ -78,6 +99,7 @@ function t(key, vars) {
 window.getAvailableWallets = getAvailableWallets;
 window.connectWallet = connectWallet;           // реальный connectWallet({walletId})
 window.disconnectWallet = disconnectWallet;
+window.forgetWallet = forgetWallet;
 
 if (typeof window.walletState === 'undefined') window.walletState = null;
 
@@ -417,6 +439,12 @@ function bindWalletUiTradingPage() {
     menu?.classList.remove('open');
   });
 
+  // token approvals (the modal itself is bound by initAllowances); the menu may have been
+  // renamed to #walletDropdown by the id compatibility shim, so close it by class
+  document.getElementById('allowancesLink')?.addEventListener('click', (e) => {
+    e.currentTarget.closest('.wallet-menu')?.classList.remove('open');
+  });
+
   // disconnect
   document.getElementById('walletDisconnect')?.addEventListener('click', async () => {
     try { await disconnectWallet?.(); } catch (_) {}
@@ -454,6 +482,22 @@ function updateWalletUI(reason = 'unknown') {
     };
   }
 
+  // "Forget this wallet": index.html #forgetWalletBtn (wallet dropdown), trading.html #walletForget
+  // (wallet menu, next to disconnect) — disconnect + drop the saved session / site permission
+  const forgetBtn = document.getElementById('forgetWalletBtn') || document.getElementById('walletForget');
+  if (forgetBtn) {
+    forgetBtn.style.display = connected ? '' : 'none';
+    forgetBtn.onclick = async (e) => {
+      e?.preventDefault?.();
+      try { await forgetWallet(); } finally {
+        renderWallets?.();
+        updateWalletUI('forgotten');
+        if (dropdown) dropdown.classList.remove('open');
+        document.getElementById('walletMenu')?.classList.remove('open');
+      }
+    };
+  }
+
   // TRADING page: wallet menu toggle + menu address + disconnect
   const toggleBtn = document.getElementById('walletMenuToggle');
   const menuAddr = document.getElementById('walletMenuAddress');
@@ -537,6 +581,29 @@ function getPriceSourceLabel(info) {
   if (info?.isFallback) return t('price_source_fallback');
   return '—';
 }
+// Age + staleness next to every price label ([data-price-age] / [data-price-stale])
+function updatePriceAge(info) {
+  const ageText = Number.isFinite(info?.ageSec) ? formatAge(info.ageSec) : '';
+
+  document.querySelectorAll('[data-price-age]').forEach((node) => {
+    node.textContent = ageText;
+    node.dataset.stale = info?.isStale ? '1' : info?.isAging ? 'aging' : '';
+  });
+
+  document.querySelectorAll('[data-price-stale]').forEach((node) => {
+    if (info?.isStale) {
+      node.textContent = t('price_stale');
+      node.style.display = '';
+    } else if (info?.isAging) {
+      node.textContent = t('price_aging');
+      node.style.display = '';
+    } else {
+      node.textContent = '';
+      node.style.display = 'none';
+    }
+  });
+}
+
 // -----------------------------
 // Global stats
 // -----------------------------
@@ -565,6 +632,8 @@ async function updateGlobalStats() {
       priceOk ? t('price_source_label', { source: priceSource }) : t('price_source_unknown')
     );
 
+    updatePriceAge(priceInfo);
+
     const priceShort = priceOk ? arubPrice.toFixed(2) : '—';
     setTextLocal('arubPriceDisplay', priceOk ? `${priceShort} USDT` : '—');
     setTextLocal('usdRubRate', priceShort);
@@ -586,10 +655,23 @@ async function updateGlobalStats() {
     } catch (e) {
       console.warn('[APP] updateVaultStats failed:', e?.message || e);
     }
+    try { updateTvlHistory(); } catch (_) {}
+    try {
+      await updateSolvencyStats(priceInfo, setTextLocal);
+    } catch (e) {
+      console.warn('[APP] updateSolvencyStats failed:', e?.message || e);
+    }
     if (oracleOk) {
       try {
         window.dispatchEvent(new CustomEvent('oraclePriceUpdated', {
-          detail: { price: oraclePriceInfo.price, sourceLabel: getPriceSourceLabel(oraclePriceInfo) }
+          detail: {
+            price: oraclePriceInfo.price,
+            sourceLabel: getPriceSourceLabel(oraclePriceInfo),
+            updatedAt: oraclePriceInfo.updatedAt,
+            ageSec: oraclePriceInfo.ageSec,
+            isStale: !!oraclePriceInfo.isStale,
+            isAging: !!oraclePriceInfo.isAging,
+          }
         }));
       } catch (_) {}
     }
@@ -689,6 +771,116 @@ async function updateVaultStats(arubPriceInfo, setTextLocal) {
   setTextSafe('usdt-staked-usd', formatUSD(usdtVal));
 }
 
+// =======================
+// SOLVENCY / PROOF OF RESERVES
+// =======================
+function getSolvencyBand(crPct) {
+  const warn = Number(CONFIG?.SOLVENCY?.WARN_CR_PCT ?? 120);
+  const critical = Number(CONFIG?.SOLVENCY?.CRITICAL_CR_PCT ?? 100);
+
+  if (crPct == null) return { band: 'ok', label: t('solvency_no_liability') };
+  if (crPct < critical) return { band: 'critical', label: t('solvency_critical', { pct: critical }) };
+  if (crPct < warn) return { band: 'warn', label: t('solvency_warn', { pct: warn }) };
+  return { band: 'ok', label: t('solvency_ok') };
+}
+
+async function updateSolvencyStats(arubPriceInfo, setTextLocal) {
+  const antirubAddr = CONFIG?.ANTIRUB_ADDRESS;
+  const presaleAddr = CONFIG?.PRESALE_ADDRESS;
+  const vaultAddr = CONFIG?.VAULT_ADDRESS;
+  const usdtAddr = CONFIG?.USDT_ADDRESS;
+  if (!antirubAddr || !presaleAddr || !vaultAddr || !usdtAddr) return;
+  if (!document.getElementById('solvencySection')) return;
+
+  const setTextSafe =
+    typeof setTextLocal === 'function'
+      ? setTextLocal
+      : (id, val) => {
+          const el = document.getElementById(id);
+          if (el) el.textContent = val;
+        };
+
+  let provider = null;
+  try {
+    provider = await getReadOnlyProviderAsync();
+  } catch (_) {
+    return;
+  }
+  if (!provider) return;
+
+  const core = new ethers.Contract(antirubAddr, ANTIRUB_ABI, provider);
+  const presale = new ethers.Contract(presaleAddr, PRESALE_READ_ABI, provider);
+  const usdt = new ethers.Contract(usdtAddr, ERC20_ABI_MIN, provider);
+
+  let collateral;
+  let liability;
+  let presaleDebt;
+  let coreUsdt;
+  let presaleUsdt;
+  let vaultUsdt;
+
+  try {
+    [collateral, liability, presaleDebt, coreUsdt, presaleUsdt, vaultUsdt] = await Promise.all([
+      core.totalUsdtCollateral(),
+      core.totalArubLiability(),
+      presale.totalDebtUsdtEquivalent(),
+      usdt.balanceOf(antirubAddr),
+      usdt.balanceOf(presaleAddr),
+      usdt.balanceOf(vaultAddr),
+    ]);
+  } catch (e) {
+    console.warn('[APP] solvency reads failed:', e?.message || e);
+    return;
+  }
+
+  // currentCollateralRatio(): 1e6-scale (1_000_000 = 100%), max uint when no liabilities.
+  // Reverts with OracleStale() if the oracle is older than 1h — keep the rest of the panel.
+  let crPct = null;
+  let crKnown = true;
+  try {
+    const cr = await core.currentCollateralRatio();
+    if (!cr.eq(ethers.constants.MaxUint256)) crPct = Number(cr.toString()) / 10_000;
+  } catch (e) {
+    crKnown = false;
+    console.warn('[APP] currentCollateralRatio failed:', e?.message || e);
+  }
+
+  const usdtNum = (bn) => Number(ethers.utils.formatUnits(bn, 6));
+
+  setTextSafe('solvencyCr', !crKnown ? '—' : crPct == null ? '∞' : `${crPct.toFixed(2)}%`);
+  setTextSafe('solvencyCollateral', `${formatTokenAmount(collateral, 6, 2)} USDT`);
+  setTextSafe('solvencyLiability', `${formatTokenAmount(liability, 6, 2)} ARUB`);
+  setTextSafe('solvencyPresaleDebt', `${formatTokenAmount(presaleDebt, 6, 2)} USDT`);
+  setTextSafe('solvencyPresaleUsdt', `${formatTokenAmount(presaleUsdt, 6, 2)} USDT`);
+  setTextSafe('solvencyVaultUsdt', `${formatTokenAmount(vaultUsdt, 6, 2)} USDT`);
+
+  const price = Number(arubPriceInfo?.price);
+  const priceOk = Number.isFinite(price) && price > 0;
+  const liabilityUsd = priceOk ? usdtNum(liability) * price : null;
+  setTextSafe('solvencyLiabilityUsd', liabilityUsd == null ? '—' : `≈ ${formatUSD(liabilityUsd)}`);
+
+  // Proof of reserves: USDT actually held vs. what is owed in USDT terms
+  const reserves = usdtNum(coreUsdt) + usdtNum(presaleUsdt) + usdtNum(vaultUsdt);
+  const obligations = liabilityUsd == null ? null : liabilityUsd + usdtNum(presaleDebt);
+  const coverage = obligations && obligations > 0 ? `${((reserves / obligations) * 100).toFixed(2)}%` : '—';
+
+  setTextSafe(
+    'solvencySummary',
+    t('solvency_summary', {
+      reserves: formatUSD(reserves),
+      obligations: obligations == null ? '—' : formatUSD(obligations),
+      coverage,
+    })
+  );
+
+  const band = crKnown ? getSolvencyBand(crPct) : null;
+  const bandEl = document.getElementById('solvencyBand');
+  if (bandEl) {
+    bandEl.textContent = band ? band.label : '—';
+    bandEl.dataset.band = band ? band.band : '';
+  }
+}
+
 // =======================
 // PRESALE / ORACLE STATS
 // =======================
@@ -708,82 +900,24 @@ function setText(id, value) {
   if (el) el.textContent = value;
 }
 
-function calcDiscount(avgPrice, currentPrice) {
-  if (!avgPrice || !currentPrice || currentPrice <= 0) return null;
-  return (1 - avgPrice / currentPrice) * 100;
-}
-
-function normalizeAvgPrice(avgPrice, currentPrice) {
-  if (!Number.isFinite(avgPrice) || avgPrice <= 0) return null;
-  if (!Number.isFinite(currentPrice) || currentPrice <= 0) return avgPrice;
-
-  const inv = 1 / avgPrice;
-  const rel = Math.abs(avgPrice - currentPrice) / currentPrice;
-  const relInv = Math.abs(inv - currentPrice) / currentPrice;
-
-  if (Number.isFinite(relInv) && relInv < rel) return inv;
-  return avgPrice;
-}
-
 const USDT_DECIMALS = 6;
 const ARUB_DECIMALS = 6;
 
 // 2025-12-15 16:30:03 UTC (ваш деплой)
-const PRESALE_DEPLOY_UTC_MS = Date.parse('2025-12-15T16:30:03Z');
-const PRESALE_STATS_CACHE = new Map();
-const PRESALE_STATS_CACHE_EPS = 1e-6;
-const PRESALE_STATS_STORAGE_PREFIX = 'arub:presaleStats:v1';
-
-function presaleCacheKey(address) {
-  return String(address || '').toLowerCase();
-}
-
-function samePaidUsdt(a, b) {
-  if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
-  return Math.abs(a - b) <= PRESALE_STATS_CACHE_EPS;
-}
+const PRESALE_DEPLOY_UTC_MS = Date.parse(CONFIG?.PRESALE_DEPLOY_UTC || '2025-12-15T16:30:03Z');
+const LEGACY_PRESALE_STATS_PREFIX = 'arub:presaleStats:v1';
 
-function presaleStorageKey(address) {
-  const addr = presaleCacheKey(address);
-  const presale = presaleCacheKey(CONFIG?.PRESALE_ADDRESS);
-  return `${PRESALE_STATS_STORAGE_PREFIX}:${presale}:${addr}`;
-}
-
-function loadPresaleStatsFromStorage(address) {
+// Summary blobs from before the event indexer; the indexer keeps raw logs now
+function dropLegacyPresaleStatsCache() {
   try {
-    if (!address || !window?.localStorage) return null;
-    const raw = localStorage.getItem(presaleStorageKey(address));
-    if (!raw) return null;
-    const data = JSON.parse(raw);
-    if (!data) return null;
-
-    const paidUSDT = Number(data.paidUSDT);
-    const totalARUB = Number(data.totalARUB);
-    const principalARUB = Number(data.principalARUB);
-    const bonusARUB = Number(data.bonusARUB);
-    const avgPrice = Number(data.avgPrice);
-
-    if (!Number.isFinite(paidUSDT) || !Number.isFinite(totalARUB)) return null;
-    return { paidUSDT, totalARUB, principalARUB, bonusARUB, avgPrice };
-  } catch (_) {
-    return null;
-  }
-}
-
-function savePresaleStatsToStorage(address, stats) {
-  try {
-    if (!address || !window?.localStorage) return;
-    const payload = {
-      paidUSDT: stats?.paidUSDT ?? null,
-      totalARUB: stats?.totalARUB ?? null,
-      principalARUB: stats?.principalARUB ?? null,
-      bonusARUB: stats?.bonusARUB ?? null,
-      avgPrice: stats?.avgPrice ?? null,
-      cachedAt: Date.now(),
-    };
-    localStorage.setItem(presaleStorageKey(address), JSON.stringify(payload));
+    if (!window?.localStorage) return;
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(LEGACY_PRESALE_STATS_PREFIX)) localStorage.removeItem(k);
+    }
   } catch (_) {}
 }
+dropLegacyPresaleStatsCache();
 
 async function loadPresaleStats(user, provider) {
   const c = new ethers.Contract(CONFIG.PRESALE_ADDRESS, PRESALE_ABI_MIN, provider);
@@ -820,33 +954,6 @@ async function loadCurrentArubPrice(provider) {
 }
 
 // Event ABI: Purchased(buyer, usdtAmount, arubTotal, bonusArub, ...)
-const PRESALE_EVENTS_ABI = [
-  'event Purchased(address indexed buyer, uint256 usdtAmount, uint256 arubTotal, uint256 bonusArub, uint256 discountPercent, uint256 discountAppliedEq)'
-];
-
-// Находим ближайший блок по timestamp (бинарный поиск)
-async function findBlockByTimestamp(provider, targetTsSec) {
-  const latest = await provider.getBlockNumber();
-  let lo = 1;
-  let hi = latest;
-
-  const bLo = await provider.getBlock(lo);
-  if (bLo && bLo.timestamp >= targetTsSec) return lo;
-
-  const bHi = await provider.getBlock(hi);
-  if (bHi && bHi.timestamp <= targetTsSec) return hi;
-
-  while (lo + 1 < hi) {
-    const mid = Math.floor((lo + hi) / 2);
-    const b = await provider.getBlock(mid);
-    if (!b) { hi = mid; continue; }
-
-    if (b.timestamp < targetTsSec) lo = mid;
-    else hi = mid;
-  }
-  return lo; // ближайший <= target
-}
-
 function setPresaleScanVisible(visible) {
   const wrap = document.getElementById('presaleScanWrap');
   if (!wrap) return;
@@ -863,7 +970,8 @@ function setPresaleScanProgress(pct) {
   bar.style.width = `${p}%`;
 }
 
-// Сканируем Purchased в чанках, чтобы не упираться в лимиты RPC
+// Purchased logs come from the shared indexer: the first visit scans from the
+// deploy block, later visits only fetch new blocks
 async function loadPresaleStatsFromEvents(user, provider) {
   const presale = new ethers.Contract(
     CONFIG.PRESALE_ADDRESS,
@@ -871,50 +979,27 @@ async function loadPresaleStatsFromEvents(user, provider) {
     provider
   );
 
-  const targetTsSec = Math.floor(PRESALE_DEPLOY_UTC_MS / 1000);
-  const guessed = await findBlockByTimestamp(provider, targetTsSec);
+  const guessed = await blockAtTimestamp(provider, Math.floor(PRESALE_DEPLOY_UTC_MS / 1000));
   const startBlock = Math.max(1, guessed - 1000);
-  const endBlock = await provider.getBlockNumber();
-
-  const filter = presale.filters.Purchased(user);
 
   let paidRaw = ethers.BigNumber.from(0);
   let arubTotalRaw = ethers.BigNumber.from(0);
   let bonusRaw = ethers.BigNumber.from(0);
 
-  // Some RPC providers cap eth_getLogs ranges (e.g. 50k blocks). Keep the
-  // step conservative to avoid SERVER_ERROR -32701 "exceed maximum block range".
-  const STEP = 50_000;
-
-  const totalRanges = Math.max(1, Math.ceil((endBlock - startBlock + 1) / STEP));
-  let doneRanges = 0;
-
   setPresaleScanVisible(true);
   setPresaleScanProgress(0);
 
   try {
-    for (let from = startBlock; from <= endBlock; from += STEP) {
-      const to = Math.min(endBlock, from + STEP - 1);
-
-      let logs;
-      try {
-        logs = await presale.queryFilter(filter, from, to);
-      } catch (err) {
-        // If provider still rejects the range, shrink the window and retry once.
-        const mid = Math.floor((from + to) / 2);
-        const firstHalf = await presale.queryFilter(filter, from, mid);
-        const secondHalf = await presale.queryFilter(filter, mid + 1, to);
-        logs = firstHalf.concat(secondHalf);
-      }
-
-      for (const ev of logs) {
-        paidRaw = paidRaw.add(ev.args.usdtAmount);
-        arubTotalRaw = arubTotalRaw.add(ev.args.arubTotal);
-        bonusRaw = bonusRaw.add(ev.args.bonusArub);
-      }
+    const logs = await indexEvents(presale, ['Purchased'], {
+      fromBlock: startBlock,
+      topics: [ethers.utils.hexZeroPad(user, 32)],
+      onProgress: setPresaleScanProgress,
+    });
 
-      doneRanges += 1;
-      setPresaleScanProgress((doneRanges / totalRanges) * 100);
+    for (const ev of logs) {
+      paidRaw = paidRaw.add(ev.args.usdtAmount);
+      arubTotalRaw = arubTotalRaw.add(ev.args.arubTotal);
+      bonusRaw = bonusRaw.add(ev.args.bonusArub);
     }
 
     setPresaleScanProgress(100);
@@ -948,36 +1033,13 @@ async function refreshPresaleUI(address) {
   const fastPaidOk = Number.isFinite(fastPaid);
   const hasPaid = fastPaidOk && fastPaid > 0;
 
-  const key = presaleCacheKey(address);
-  if (!PRESALE_STATS_CACHE.has(key)) {
-    const stored = loadPresaleStatsFromStorage(address);
-    if (stored) PRESALE_STATS_CACHE.set(key, stored);
-  }
-  const cached = PRESALE_STATS_CACHE.get(key);
-  const canUseCache =
-    cached &&
-    Number.isFinite(cached.paidUSDT) &&
-    (!fastPaidOk || samePaidUsdt(cached.paidUSDT, fastPaid));
-
   if (hasPaid || !fastPaidOk) {
-    if (canUseCache) {
-      presale = cached;
-      usedEvents = true;
-    } else {
-      if (loadingNote) loadingNote.style.display = '';
-      try {
-        presale = await loadPresaleStatsFromEvents(address, provider);
-        if (presale) {
-          PRESALE_STATS_CACHE.set(key, presale);
-          savePresaleStatsToStorage(address, presale);
-          usedEvents = true;
-        }
-      } catch (_) {
-        if (cached) {
-          presale = cached;
-          usedEvents = true;
-        }
-      }
+    if (loadingNote) loadingNote.style.display = '';
+    try {
+      presale = await loadPresaleStatsFromEvents(address, provider);
+      if (presale) usedEvents = true;
+    } catch (e) {
+      console.warn('[APP] loadPresaleStatsFromEvents failed:', e?.message || e);
     }
   }
 
@@ -1371,6 +1433,12 @@ function initApp() {
   bindConnectButton();
   setupWalletMenu();
   bindWalletUiTradingPage();
+  try { initRpcSettings(); } catch (e) {
+    console.warn('[APP] initRpcSettings failed:', e?.message || e);
+  }
+  try { initAllowances(); } catch (e) {
+    console.warn('[APP] initAllowances failed:', e?.message || e);
+  }
 
   // 2) init read-only contracts + stats
   (async () => {
@@ -1383,6 +1451,19 @@ function initApp() {
         const ms = Number.isFinite(intervalMs) && intervalMs >= 3000 ? intervalMs : 15000;
 
         setInterval(() => { try { updateGlobalStats(); } catch {} }, ms);
+
+        // websocket push (live.js): oracle rate changed -> re-read price now
+        window.addEventListener('oracleRateChanged', () => { try { updateGlobalStats(); } catch {} });
+        try { initLive(); } catch (e) {
+          console.warn('[APP] initLive failed:', e?.message || e);
+        }
+
+        try { initRateHistoryChart(); } catch (e) {
+          console.warn('[APP] initRateHistoryChart failed:', e?.message || e);
+        }
+        try { initTvlChart(); } catch (e) {
+          console.warn('[APP] initTvlChart failed:', e?.message || e);
+        }
       }
     } catch (e) {
       console.warn('[APP] initReadOnlyContracts failed:', e?.message || e);
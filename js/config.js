@@ -25,6 +25,10 @@ export const CONFIG = {
     // Add your Alchemy key if available:
     // 'https://arb-mainnet.g.alchemy.com/v2/<key>',
   ],
+  // Websocket endpoints for live updates (live.js); HTTP polling when none connects
+  wsRpcUrls: [
+    'wss://arbitrum-one-rpc.publicnode.com',
+  ],
   chainId: 42161,
   chainIdHex: '0xa4b1',
   blockExplorerUrls: ['https://arbiscan.io'],
@@ -44,9 +48,83 @@ export const CONFIG = {
   ANTIRUB_ADDRESS: '0x18D1d662371AD5732Ef996A054bd7672ab626368',
   VAULT_ADDRESS:   '0x41983921104099F6e6E18b26120bf6B4037D199B',
   PRESALE_ADDRESS:'0x986833160f8E9636A6383BfAb5BeF35739edA1eC',
+  // Lower bound for presale event scans (deploy time)
+  PRESALE_DEPLOY_UTC: '2025-12-15T16:30:03Z',
   ORACLE_ADDRESS: '0xC15fFAA8D6835e3238c9B73428edb6A56cb3AF89',
   ORACLE_RATE_DECIMALS: 6,
+  // Oracle staleness policy (seconds since getRate().updatedAt).
+  // Token/AntiRUB revert with "Oracle stale" / OracleStale() after ORACLE_MAX_AGE (1h),
+  // so presale buy/sell and mint/burn are blocked in the UI past MAX_AGE_SEC.
+  ORACLE_STALENESS: {
+    WARN_AGE_SEC: 45 * 60,
+    MAX_AGE_SEC: 60 * 60,
+  },
+  // Lower bound for the "all" range of the oracle rate history scan
+  ORACLE_HISTORY_START_UTC: '2025-12-01T00:00:00Z',
+  // TVL chart: vault state sampled at a historical block every interval
+  TVL_HISTORY: {
+    SAMPLE_INTERVAL_SEC: 24 * 60 * 60,
+    MAX_SAMPLES: 90,
+  },
+  // Event indexer (IndexedDB): getLogs chunk size and the tail rescanned on every sync
+  INDEXER: {
+    SCAN_STEP: 50000,
+    REORG_DEPTH: 64,
+  },
+  // Read-only eth_calls issued in the same tick are batched into Multicall3.aggregate3
+  MULTICALL: {
+    ENABLED: true,
+    ADDRESS: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    WAIT_MS: 10,
+    MAX_BATCH: 50,
+  },
+  // Read-only RPC pool (readOnlyRpcUrl + walletRpcUrls): health scoring and failover
+  RPC_POOL: {
+    TIMEOUT_MS: 8000,         // per request, then fail over to the next endpoint
+    PROBE_TIMEOUT_MS: 3000,
+    EWMA_ALPHA: 0.3,          // weight of the newest latency / error sample
+    PRIORITY_BIAS_MS: 50,     // per position in the URL list (keeps readOnlyRpcUrl preferred)
+    COOLDOWN_MS: 15000,       // first cool-down, doubles per consecutive failure
+    MAX_COOLDOWN_MS: 300000,
+    RATE_LIMIT_COOLDOWN_MS: 30000, // 429 without Retry-After
+  },
+  // Block-driven UI refresh (scheduler.js); paused while the tab is hidden
+  SCHEDULER: {
+    // a tick costs up to one eth_getLogs per source filter (5 today) on the shared public RPCs;
+    // own transactions and websocket logs refresh right away, the poll only catches other activity
+    POLL_MS: 15000,
+    MAX_SCAN_BLOCKS: 5000, // longer gaps refresh every panel instead of scanning logs
+  },
+  // Websocket subscriptions (newHeads + logs); the scheduler polls while disconnected
+  LIVE: {
+    ENABLED: true,
+    RECONNECT_BASE_MS: 1000,  // doubles per failed attempt
+    RECONNECT_MAX_MS: 60000,
+    STALL_MS: 30000,          // no new head for this long -> reconnect
+    REQUEST_TIMEOUT_MS: 8000,
+  },
+  // Optional: oracle rate / redeemableBalance are read from SIZE pool endpoints
+  // at one block and accepted only if MIN_AGREE of them return the same value
+  QUORUM: {
+    ENABLED: false,
+    SIZE: 3,
+    MIN_AGREE: 2,
+  },
   LP_TARGET_USDT: 50000,
 
+  // -----------------------------
+  // Solvency dashboard (collateral ratio bands, %)
+  // -----------------------------
+  SOLVENCY: {
+    WARN_CR_PCT: 120,     // below -> warning band
+    CRITICAL_CR_PCT: 100, // below -> critical band (under-collateralized)
+  },
+
   TX_CONFIRMATIONS: 1,
+  // Every write: estimateGas + buffer, ETH balance checked against limit * gasPrice before signing
+  GAS: {
+    BUFFER_BPS: 2000, // +20% over estimateGas
+    ETH_USD_FEED: '0x639Fe6ab55C921f74e7fac1ee960C0B6293BA612', // Chainlink ETH/USD (Arbitrum)
+    BRIDGE_URL: 'https://bridge.arbitrum.io',
+  },
 }
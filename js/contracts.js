@@ -10,12 +10,34 @@
  *   - getReadOnlyPresale()
  *   - getReadOnlyProviderAsync()
  *   - getReadOnlyProviderSync()
+ *
+ * Oracle staleness:
+ *   - getOracleAgeInfo(updatedAt)
+ *
+ * Gas cost (txManager.js):
+ *   - getEthUsdPrice() (Chainlink ETH/USD, CONFIG.GAS.ETH_USD_FEED)
+ *
+ * Log scanning helpers (app.js / rateHistory.js):
+ *   - findBlockByTimestamp(provider, tsSec)
+ *   - queryFilterChunked(contract, filter, fromBlock, toBlock, opts?)
+ *
+ * Read batching:
+ *   - MulticallProvider (JsonRpcProvider that folds eth_calls into Multicall3.aggregate3)
+ *
+ * RPC pool (health-scored endpoints with failover):
+ *   - RpcPoolProvider (MulticallProvider that routes each request to the healthiest URL)
+ *   - getRpcPoolHealth()
+ *   - readWithQuorum(contract, method, args?, key?) (CONFIG.QUORUM)
+ *   - getCustomRpcUrls() / setCustomRpcUrls(urls) (user endpoints, localStorage)
+ *   - getWsRpcUrls() (websocket endpoints for live.js)
 */
 
 import {
   ERC20_ABI,
   ORACLE_ABI,
   PRESALE_READ_ABI,
+  MULTICALL3_ABI,
+  CHAINLINK_FEED_ABI,
 } from './abis.js';
 import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
 import { CONFIG } from './config.js';
@@ -42,7 +64,7 @@ var lastGoodArubPriceInfo = null;
 // -----------------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// callWithRetry / withTimeout / isBrowserNetworkBlock / probeProvider / normalizeUrl / uniq / ensureChainId
+// callWithRetry / withTimeout / isBrowserNetworkBlock / normalizeUrl / uniq
 // ... (ваши функции как вы прислали)
 
 // pickWorkingRpc (ваша улучшенная версия)
@@ -85,32 +107,6 @@ function isBrowserNetworkBlock(msg) {
   );
 }
 
-async function probeProvider(provider, urlLabel, tries = 2) {
-  // Minimal probe: blockNumber + eth_call
-  // (chainId проверяем отдельно в ensureChainId, чтобы не делать eth_chainId дважды)
-  for (let i = 0; i < tries; i++) {
-    try {
-      // A) block number
-      const pBn = provider.getBlockNumber();
-      const bn = await withTimeout(pBn, 2500, `RPC timeout (blockNumber): ${urlLabel}`);
-      if (typeof bn !== 'number') throw new Error(`RPC bad blockNumber: ${urlLabel}`);
-
-      // B) lightweight eth_call (проверка, что eth_call не режется)
-      const pCall = provider.send('eth_call', [
-        { to: '0x0000000000000000000000000000000000000000', data: '0x' },
-        'latest',
-      ]);
-      await withTimeout(pCall, 2500, `RPC timeout (eth_call): ${urlLabel}`);
-
-      return true;
-    } catch (e) {
-      if (i === tries - 1) throw e;
-      await new Promise((r) => setTimeout(r, 250));
-    }
-  }
-  return false;
-}
-
 // Module-level cache
 let _picked = null;        // { url, provider, via }
 let _pickedKey = null;     // cache key for invalidation
@@ -132,38 +128,6 @@ function uniq(arr) {
   return out;
 }
 
-async function ensureChainId(provider, expectedChainId, urlLabel) {
-  const exp = Number(expectedChainId);
-
-  if (!Number.isFinite(exp)) {
-    throw new Error(`Invalid expectedChainId: ${expectedChainId} (${urlLabel})`);
-  }
-
-  // 1) Прямой eth_chainId + timeout
-  try {
-    const p = provider.send('eth_chainId', []);
-    const hex = await withTimeout(p, 2500, `RPC timeout (chainId): ${urlLabel}`);
-
-    const got = Number.parseInt(hex, 16);
-    if (Number.isFinite(got) && got !== exp) {
-      throw new Error(`RPC chainId mismatch: expected ${exp}, got ${got} (${urlLabel})`);
-    }
-    return true;
-  } catch (_) {
-    // fallback ниже
-  }
-
-  // 2) Fallback: getNetwork() + timeout
-  const pNet = provider.getNetwork();
-  const net = await withTimeout(pNet, 2500, `RPC timeout (getNetwork): ${urlLabel}`);
-
-  const got = Number(net?.chainId);
-  if (Number.isFinite(got) && got !== exp) {
-    throw new Error(`RPC chainId mismatch: expected ${exp}, got ${got} (${urlLabel})`);
-  }
-  return true;
-}
-
 // -----------------------------
 // Module-level cache (как у вас)
 // -----------------------------
@@ -188,18 +152,440 @@ async function probeRpcUrl(url, timeoutMs = 3500) {
   }
 }
 
+// -----------------------------
+// Multicall3 batching (CONFIG.MULTICALL)
+// eth_calls issued within WAIT_MS share one aggregate3 call per blockTag.
+// Each call has allowFailure=true: a revert resolves with its revert data,
+// exactly what a plain eth_call returns, so Contract decoding/errors are unchanged.
+// -----------------------------
+const multicallIface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+// calls depending on msg.sender / value / gas settings are never batched
+const UNBATCHABLE_TX_FIELDS = [
+  'from', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'accessList', 'type',
+];
+
+export class MulticallProvider extends ethers.providers.JsonRpcProvider {
+  constructor(url, network, opts = {}) {
+    super(url, network);
+    this._mcAddress = opts.address || CONFIG?.MULTICALL?.ADDRESS || null;
+    this._mcWaitMs = Number(opts.waitMs ?? CONFIG?.MULTICALL?.WAIT_MS ?? 10);
+    this._mcMaxBatch = Number(opts.maxBatch ?? CONFIG?.MULTICALL?.MAX_BATCH ?? 50);
+    this._mcQueues = new Map(); // blockTag -> { items, timer }
+    this._mcDisabled = !this._mcAddress;
+  }
+
+  _isBatchable(params) {
+    const tx = params?.transaction;
+    if (this._mcDisabled || !tx?.to || !tx.data) return false;
+    if (String(tx.to).toLowerCase() === String(this._mcAddress).toLowerCase()) return false;
+    return UNBATCHABLE_TX_FIELDS.every((k) => tx[k] == null);
+  }
+
+  perform(method, params) {
+    if (method !== 'call' || !this._isBatchable(params)) return super.perform(method, params);
+
+    const tag = String(params.blockTag ?? 'latest');
+    return new Promise((resolve, reject) => {
+      let queue = this._mcQueues.get(tag);
+      if (!queue) {
+        queue = { items: [], timer: setTimeout(() => this._flushCalls(tag), this._mcWaitMs) };
+        this._mcQueues.set(tag, queue);
+      }
+      queue.items.push({ params, resolve, reject });
+      if (queue.items.length >= this._mcMaxBatch) this._flushCalls(tag);
+    });
+  }
+
+  async _flushCalls(tag) {
+    const queue = this._mcQueues.get(tag);
+    if (!queue) return;
+    this._mcQueues.delete(tag);
+    clearTimeout(queue.timer);
+
+    const items = queue.items;
+    const single = ({ params, resolve, reject }) => super.perform('call', params).then(resolve, reject);
+
+    if (items.length === 1) {
+      single(items[0]);
+      return;
+    }
+
+    try {
+      const data = multicallIface.encodeFunctionData('aggregate3', [
+        items.map(({ params }) => ({
+          target: params.transaction.to,
+          allowFailure: true,
+          callData: params.transaction.data,
+        })),
+      ]);
+
+      const raw = await super.perform('call', {
+        transaction: { to: this._mcAddress, data },
+        blockTag: items[0].params.blockTag,
+      });
+
+      // no Multicall3 on this chain/RPC: stop trying
+      if (!raw || raw === '0x') {
+        this._mcDisabled = true;
+        throw new Error('Multicall3 not deployed');
+      }
+
+      const [results] = multicallIface.decodeFunctionResult('aggregate3', raw);
+      if (results.length !== items.length) throw new Error('Multicall3 result length mismatch');
+
+      results.forEach((r, i) => items[i].resolve(r.returnData));
+    } catch (e) {
+      console.warn('[RPC] multicall batch failed, falling back to single calls:', e?.message || e);
+      items.forEach(single);
+    }
+  }
+}
+
+// -----------------------------
+// RPC pool (CONFIG.RPC_POOL)
+// Every JSON-RPC request goes to the healthiest endpoint; transport errors,
+// timeouts and 429s move it to the next one and put the failing endpoint in a
+// cool-down. A cooled endpoint comes back only after a successful probe.
+// All pooled methods are reads, so re-sending a request is always safe.
+// -----------------------------
+const RATE_LIMIT_RE = /too many requests|rate.?limit|status=429|exceeded.*(quota|capacity)/i;
+const STATE_MISSING_RE = /header not found|missing trie node|historical state|pruned/i;
+
+/**
+ * @returns {'rateLimit'|'transport'|'state'|null}
+ *   null = the node answered with a JSON-RPC error (revert, bad params): not its fault
+ */
+function classifyRpcError(e) {
+  // fetchJson wraps JSON-RPC error bodies as SERVER_ERROR with the original in .error
+  const rpcErr = e?.error ?? null;
+  const rpcCode = Number(rpcErr?.code ?? e?.code);
+  const text = `${e?.message || ''} ${rpcErr?.message || ''}`;
+
+  if (Number(e?.status) === 429 || rpcCode === -32005 || RATE_LIMIT_RE.test(text)) return 'rateLimit';
+  if (STATE_MISSING_RE.test(text)) return 'state';
+  if (Number.isFinite(rpcCode)) return null;
+  return 'transport';
+}
+
+export class RpcPoolProvider extends MulticallProvider {
+  /**
+   * @param {string[]} urls in priority order
+   * @param {{chainId:number, name:string}} network
+   */
+  constructor(urls, network, opts = {}) {
+    super(urls[0], network, opts);
+    this._poolNetwork = network;
+    this._poolChainId = Number(network.chainId);
+    if (CONFIG?.MULTICALL?.ENABLED === false) this._mcDisabled = true;
+
+    const cfg = CONFIG?.RPC_POOL || {};
+    this._poolCfg = {
+      timeoutMs: Number(cfg.TIMEOUT_MS ?? 8000),
+      probeTimeoutMs: Number(cfg.PROBE_TIMEOUT_MS ?? 3000),
+      alpha: Number(cfg.EWMA_ALPHA ?? 0.3),
+      biasMs: Number(cfg.PRIORITY_BIAS_MS ?? 50),
+      cooldownMs: Number(cfg.COOLDOWN_MS ?? 15000),
+      maxCooldownMs: Number(cfg.MAX_COOLDOWN_MS ?? 300000),
+      rateLimitCooldownMs: Number(cfg.RATE_LIMIT_COOLDOWN_MS ?? 30000),
+    };
+
+    this._endpoints = urls.map((url, index) => this._createEndpoint(url, index));
+  }
+
+  _createEndpoint(url, index) {
+    return {
+      url,
+      index,
+      // static network: the pool checks chainId itself in _probe()
+      provider: new ethers.providers.StaticJsonRpcProvider({
+        url,
+        timeout: this._poolCfg.timeoutMs,
+        throttleLimit: 1,
+        // surface 429 to the pool instead of stalling on the same endpoint
+        throttleCallback: () => Promise.resolve(false),
+      }, this._poolNetwork),
+      latencyMs: null,
+      errorRate: 0,
+      fails: 0,
+      requests: 0,
+      errors: 0,
+      rateLimited: 0,
+      cooling: false,
+      cooldownUntil: 0,
+      disabled: false,
+      lastError: null,
+      probeTimer: null,
+    };
+  }
+
+  /**
+   * Replaces the URL list in place (custom RPC settings), so every contract
+   * already bound to this provider follows. Known URLs keep their stats;
+   * new ones are probed before they receive traffic.
+   */
+  setUrls(urls) {
+    const byUrl = new Map(this._endpoints.map((ep) => [ep.url, ep]));
+    const next = urls.map((url, index) => {
+      const ep = byUrl.get(url);
+      byUrl.delete(url);
+      if (ep) {
+        ep.index = index;
+        return ep;
+      }
+      const fresh = this._createEndpoint(url, index);
+      fresh.cooling = true; // until the probe below succeeds
+      this._probe(fresh).catch(() => {});
+      return fresh;
+    });
+
+    for (const ep of byUrl.values()) clearTimeout(ep.probeTimer);
+    this._endpoints = next;
+  }
+
+  _score(ep) {
+    const latency = ep.latencyMs ?? this._poolCfg.timeoutMs / 2;
+    return latency * (1 + 4 * ep.errorRate) + ep.index * this._poolCfg.biasMs;
+  }
+
+  _pick(tried) {
+    const candidates = this._endpoints.filter((ep) => !ep.disabled && !tried.has(ep));
+    const ready = candidates.filter((ep) => !ep.cooling);
+    if (ready.length) return ready.reduce((a, b) => (this._score(b) < this._score(a) ? b : a));
+
+    // everything is cooling down: try the one that is due first rather than fail
+    if (!candidates.length) return null;
+    return candidates.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a));
+  }
+
+  _recordSuccess(ep, ms) {
+    const a = this._poolCfg.alpha;
+    ep.requests++;
+    ep.latencyMs = ep.latencyMs == null ? ms : a * ms + (1 - a) * ep.latencyMs;
+    ep.errorRate = (1 - a) * ep.errorRate;
+    ep.fails = 0;
+    if (ep.cooling) {
+      ep.cooling = false;
+      ep.cooldownUntil = 0;
+      clearTimeout(ep.probeTimer);
+      ep.probeTimer = null;
+      console.log('[RPC] endpoint available:', ep.url);
+    }
+  }
+
+  _recordFailure(ep, e, kind) {
+    const a = this._poolCfg.alpha;
+    ep.requests++;
+    ep.errors++;
+    ep.errorRate = a + (1 - a) * ep.errorRate;
+    ep.fails++;
+    ep.lastError = String(e?.message || e).slice(0, 200);
+
+    let ms;
+    if (kind === 'rateLimit') {
+      ep.rateLimited++;
+      const retryAfter = Number(e?.headers?.['retry-after']);
+      ms = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : this._poolCfg.rateLimitCooldownMs;
+    } else {
+      ms = this._poolCfg.cooldownMs * 2 ** (ep.fails - 1);
+    }
+    ms = Math.min(ms, this._poolCfg.maxCooldownMs);
+
+    ep.cooling = true;
+    ep.cooldownUntil = Date.now() + ms;
+    clearTimeout(ep.probeTimer);
+    ep.probeTimer = setTimeout(() => {
+      ep.probeTimer = null;
+      this._probe(ep).catch(() => {});
+    }, ms);
+
+    console.warn(`[RPC] ${ep.url} cooling down ${Math.round(ms / 1000)}s (${kind}):`, ep.lastError);
+  }
+
+  /**
+   * chainId + blockNumber + eth_call on one endpoint.
+   * Seeds latency at startup and readmits cooled endpoints.
+   */
+  async _probe(ep) {
+    if (ep.disabled) return false;
+    const p = ep.provider;
+    const timeoutMs = this._poolCfg.probeTimeoutMs;
+    try {
+      const hex = await withTimeout(p.send('eth_chainId', []), timeoutMs, `RPC timeout (chainId): ${ep.url}`);
+      const got = Number.parseInt(hex, 16);
+      if (got !== this._poolChainId) {
+        ep.disabled = true;
+        ep.lastError = `RPC chainId mismatch: expected ${this._poolChainId}, got ${got}`;
+        console.warn('[RPC] endpoint removed from pool:', ep.url, ep.lastError);
+        return false;
+      }
+
+      const t0 = Date.now();
+      await withTimeout(p.send('eth_blockNumber', []), timeoutMs, `RPC timeout (blockNumber): ${ep.url}`);
+      const ms = Date.now() - t0;
+
+      // проверка, что eth_call не режется
+      await withTimeout(
+        p.send('eth_call', [{ to: '0x0000000000000000000000000000000000000000', data: '0x' }, 'latest']),
+        timeoutMs,
+        `RPC timeout (eth_call): ${ep.url}`
+      );
+
+      this._recordSuccess(ep, ms);
+      return true;
+    } catch (e) {
+      this._recordFailure(ep, e, classifyRpcError(e) || 'transport');
+      return false;
+    }
+  }
+
+  /** Probes every endpoint in parallel; resolves with the live ones, best first. */
+  async probeAll(tries = 1) {
+    await Promise.all(this._endpoints.map(async (ep) => {
+      for (let i = 0; i < tries && !ep.disabled; i++) {
+        if (await this._probe(ep)) return;
+      }
+    }));
+    return this._endpoints
+      .filter((ep) => !ep.disabled && !ep.cooling)
+      .sort((a, b) => this._score(a) - this._score(b));
+  }
+
+  // One request on one endpoint; updates its health. Rejects with e.rpcFailKind
+  // set when another endpoint should be tried.
+  async _sendTo(ep, method, params) {
+    const t0 = Date.now();
+    try {
+      const result = await ep.provider.send(method, params);
+      this._recordSuccess(ep, Date.now() - t0);
+      return result;
+    } catch (e) {
+      const kind = classifyRpcError(e);
+      if (!kind) {
+        this._recordSuccess(ep, Date.now() - t0);
+        throw e;
+      }
+      // the node is fine, it just lacks old state: no penalty
+      if (kind !== 'state') this._recordFailure(ep, e, kind);
+      e.rpcFailKind = kind;
+      throw e;
+    }
+  }
+
+  async send(method, params) {
+    const tried = new Set();
+    let lastErr = null;
+
+    for (let ep = this._pick(tried); ep; ep = this._pick(tried)) {
+      tried.add(ep);
+      try {
+        return await this._sendTo(ep, method, params);
+      } catch (e) {
+        if (!e?.rpcFailKind) throw e;
+        lastErr = e;
+        console.warn(`[RPC] ${method} failed on ${ep.url} (${e.rpcFailKind}), trying next endpoint`);
+      }
+    }
+
+    throw lastErr || new Error('No usable RPC endpoints in pool');
+  }
+
+  /**
+   * Same eth_call on up to `size` live endpoints at one common block
+   * (the lowest head among them, so every endpoint has it).
+   * Raw return data is compared byte for byte; ok = at least minAgree identical
+   * answers, unanimous = no endpoint answered differently.
+   * @returns {Promise<{ok:boolean, unanimous:boolean, data:string|null, agree:number, total:number, block:number, results:Array}>}
+   */
+  async quorumCall(tx, { size = 3, minAgree = 2 } = {}) {
+    const eps = this._endpoints
+      .filter((ep) => !ep.disabled && !ep.cooling)
+      .sort((a, b) => this._score(a) - this._score(b))
+      .slice(0, size);
+
+    const heads = await Promise.all(eps.map((ep) =>
+      withTimeout(this._sendTo(ep, 'eth_blockNumber', []), this._poolCfg.probeTimeoutMs, `RPC timeout (blockNumber): ${ep.url}`)
+        .then((hex) => ({ ep, head: Number.parseInt(hex, 16) }), () => null)
+    ));
+    const live = heads.filter((h) => h && Number.isFinite(h.head));
+
+    if (live.length < minAgree) {
+      const err = new Error(`Quorum unavailable: ${live.length}/${minAgree} endpoints reachable`);
+      err.code = 'QUORUM_UNAVAILABLE';
+      throw err;
+    }
+
+    const block = Math.min(...live.map((h) => h.head));
+    const tag = ethers.utils.hexValue(block);
+
+    const results = await Promise.all(live.map(({ ep }) =>
+      this._sendTo(ep, 'eth_call', [tx, tag]).then(
+        (data) => ({ url: ep.url, data: String(data).toLowerCase() }),
+        (e) => ({ url: ep.url, data: null, error: String(e?.message || e).slice(0, 200) })
+      )
+    ));
+
+    const counts = new Map();
+    for (const r of results) {
+      if (r.data != null) counts.set(r.data, (counts.get(r.data) || 0) + 1);
+    }
+    let data = null;
+    let agree = 0;
+    for (const [d, n] of counts) {
+      if (n > agree) { data = d; agree = n; }
+    }
+
+    return {
+      ok: agree >= minAgree,
+      unanimous: counts.size === 1 && agree === results.length,
+      data,
+      agree,
+      total: results.length,
+      block,
+      results,
+    };
+  }
+
+  /** Stops cool-down probes (pool discarded). */
+  stopProbes() {
+    for (const ep of this._endpoints) {
+      clearTimeout(ep.probeTimer);
+      ep.probeTimer = null;
+    }
+  }
+
+  /** Snapshot for diagnostics. */
+  getHealth() {
+    const now = Date.now();
+    return this._endpoints.map((ep) => ({
+      url: ep.url,
+      latencyMs: ep.latencyMs == null ? null : Math.round(ep.latencyMs),
+      errorRate: Number(ep.errorRate.toFixed(3)),
+      requests: ep.requests,
+      errors: ep.errors,
+      rateLimited: ep.rateLimited,
+      cooling: ep.cooling,
+      cooldownLeftMs: ep.cooling ? Math.max(0, ep.cooldownUntil - now) : 0,
+      disabled: ep.disabled,
+      lastError: ep.lastError,
+      score: ep.disabled ? null : Math.round(this._score(ep)),
+    }));
+  }
+}
+
 /**
  * pickWorkingRpc
- * - prefers CONFIG.NETWORK.readOnlyRpcUrl
- * - falls back to CONFIG.NETWORK.walletRpcUrls[]
- * - then rpcUrls argument (optional)
+ * - pools the user's RPCs (getCustomRpcUrls), CONFIG.NETWORK.readOnlyRpcUrl,
+ *   CONFIG.NETWORK.walletRpcUrls[] and rpcUrls (optional)
+ *   into one RpcPoolProvider; readOnlyRpcUrl is preferred while it is healthy
+ * - url/via describe the best endpoint at startup; later calls fail over inside the pool
  * - finally falls back to injected provider (window.ethereum) if nothing works
  *
  /**
  * @param {string[]} rpcUrls optional extra urls
  * @param {number} triesPerRpc retries per endpoint
  * @param {{allowWalletFallback?: boolean}} opts
- * @returns {Promise<{url: string|null, provider: any, via: 'proxy'|'rpc'|'wallet'}>}
+ * @returns {Promise<{url: string|null, provider: any, via: 'custom'|'proxy'|'rpc'|'wallet'}>}
  * 
  */
 
@@ -208,7 +594,8 @@ async function probeRpcUrl(url, timeoutMs = 3500) {
 // -----------------------------
 
 
-function isBadRpcUrl(u) {
+// ws: true -> websocket endpoint (live.js); otherwise only http(s) for the pool
+function isBadRpcUrl(u, { ws = false } = {}) {
   if (!u || typeof u !== 'string') return true;
   const s = u.trim();
   if (!s) return true;
@@ -216,13 +603,72 @@ function isBadRpcUrl(u) {
   // Отсекаем явный мусор/плейсхолдеры
   if (s === 'null' || s === 'undefined') return true;
 
-  // Разрешаем http(s). (Если захотите wss/ws — добавьте второй regex)
-  if (!/^https?:\/\//i.test(s)) return true;
+  // Разрешаем http(s) для пула, ws(s) — только для подписок
+  if (!(ws ? /^wss?:\/\//i : /^https?:\/\//i).test(s)) return true;
 
   return false;
 }
 
 
+/**
+ * Websocket endpoints for live subscriptions (NETWORK.wsRpcUrls), in order.
+ */
+export function getWsRpcUrls() {
+  const list = CONFIG?.NETWORK?.wsRpcUrls;
+  return Array.isArray(list) ? uniq(list).filter((u) => !isBadRpcUrl(u, { ws: true })) : [];
+}
+
+
+// -----------------------------
+// User RPC endpoints (rpcSettings.js), tried before the configured ones
+// -----------------------------
+const CUSTOM_RPC_STORAGE_KEY = 'arub:customRpcs:v1';
+
+export function getCustomRpcUrls() {
+  try {
+    const raw = window?.localStorage?.getItem(CUSTOM_RPC_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? uniq(list).filter((u) => !isBadRpcUrl(u)) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Saves the user's list (priority order) and applies it to the live pool.
+ */
+export function setCustomRpcUrls(urls) {
+  const list = uniq(urls || []).filter((u) => !isBadRpcUrl(u));
+  try {
+    window?.localStorage?.setItem(CUSTOM_RPC_STORAGE_KEY, JSON.stringify(list));
+  } catch (_) {}
+
+  if (roProvider instanceof RpcPoolProvider) {
+    const urlsNow = rpcUrlList();
+    roProvider.setUrls(urlsNow);
+    _pickedKey = rpcListKey(urlsNow);
+    console.log('[RPC] pool updated:', urlsNow.join(', '));
+  }
+  return list;
+}
+
+// custom -> readOnlyRpcUrl -> walletRpcUrls -> extra
+function rpcUrlList(extraRpcs = []) {
+  const net = CONFIG?.NETWORK || {};
+  const walletRpcs = Array.isArray(net.walletRpcUrls) ? net.walletRpcUrls : [];
+  return uniq([
+    ...getCustomRpcUrls(),                             // 0) свои ноды пользователя
+    ...(net.readOnlyRpcUrl ? [net.readOnlyRpcUrl] : []), // 1) proxy
+    ...walletRpcs,                                     // 2) всегда как fallback
+    ...extraRpcs,                                      // 3) дополнительные
+  ]).filter((u) => !isBadRpcUrl(u));
+}
+
+function rpcListKey(urls) {
+  const net = CONFIG?.NETWORK || {};
+  return JSON.stringify({ chainId: Number(net.chainId ?? 42161), readOnly: net.readOnlyRpcUrl || '', urls });
+}
+
 export async function pickWorkingRpc(extraRpcs = [], triesPerRpc = 2, opts = {}) {
   const {
     allowWalletFallback = true,
@@ -233,16 +679,12 @@ export async function pickWorkingRpc(extraRpcs = [], triesPerRpc = 2, opts = {})
   const NETWORK = { chainId, name: net.name || 'arbitrum' };
 
   const readOnly = net.readOnlyRpcUrl;                 // string | undefined
-  const walletRpcs = Array.isArray(net.walletRpcUrls) ? net.walletRpcUrls : [];
+  const custom = getCustomRpcUrls();
 
   // ---- стратегия выбора ----
-  // Для read-only в приоритете ваш proxy/readOnlyRpcUrl.
+  // Для read-only в приоритете ноды пользователя, затем ваш proxy/readOnlyRpcUrl.
   // Но если он упал/таймаутит, пробуем публичные walletRpcUrls (без injected fallback, если allowWalletFallback=false).
-  const baseUrls = uniq([
-    ...(readOnly ? [readOnly] : []), // 1) proxy первым
-    ...walletRpcs,                   // 2) всегда как fallback
-    ...extraRpcs,                    // 3) дополнительные
-  ]).filter((u) => !isBadRpcUrl(u));
+  const baseUrls = rpcUrlList(extraRpcs);
 
   if (baseUrls.length === 0) {
     if (allowWalletFallback && window.ethereum?.request) {
@@ -257,40 +699,39 @@ export async function pickWorkingRpc(extraRpcs = [], triesPerRpc = 2, opts = {})
     );
   }
 
-  const key = JSON.stringify({ chainId, readOnly: readOnly || '', urls: baseUrls });
+  const key = rpcListKey(baseUrls);
   if (_picked?.provider && _pickedKey === key) return _picked;
 
   let lastErr = null;
 
-  for (const url of baseUrls) {
-    try {
-      const provider = new ethers.providers.JsonRpcProvider(url, NETWORK);
-
-      // 1) минимальная “живость” RPC (без chainId, чтобы не дублировать)
-      await probeProvider(provider, url, triesPerRpc);
+  // Один пул на все URL: лучший endpoint выбирается на каждый запрос,
+  // а не один раз на сессию (см. RpcPoolProvider).
+  try {
+    const provider = new RpcPoolProvider(baseUrls, NETWORK);
+    const live = await provider.probeAll(triesPerRpc);
 
-      // 2) строгая проверка сети (с таймаутом)
-      await ensureChainId(provider, chainId, url);
+    for (const ep of provider.getHealth().filter((h) => h.disabled || h.cooling)) {
+      const msg = String(ep.lastError || '');
+      console.warn(isBrowserNetworkBlock(msg) ? '[RPC] skipped (browser blocked)' : '[RPC] failed', ep.url, msg);
+    }
 
-      const via =
-        (readOnly && url === readOnly) ? 'proxy'
+    if (live.length) {
+      const url = live[0].url;
+      const via = custom.includes(url) ? 'custom'
+        : (readOnly && url === readOnly) ? 'proxy'
         : 'rpc';
 
-      console.log('[RPC] selected', via === 'proxy' ? `${url} (proxy)` : url);
+      console.log('[RPC] pool ready:', live.map((ep) => ep.url).join(', '), '| best:', via === 'rpc' ? url : `${url} (${via})`);
 
       _picked = { url, provider, via };
       _pickedKey = key;
       return _picked;
-    } catch (e) {
-      lastErr = e;
-      const msg = String(e?.message || e);
-
-      console.warn(
-        isBrowserNetworkBlock(msg) ? '[RPC] skipped (browser blocked)' : '[RPC] failed',
-        url,
-        msg
-      );
     }
+
+    provider.stopProbes();
+    lastErr = new Error('No working RPC endpoints: ' + provider.getHealth().map((h) => `${h.url} (${h.lastError})`).join('; '));
+  } catch (e) {
+    lastErr = e;
   }
 
   if (allowWalletFallback && window.ethereum?.request) {
@@ -330,6 +771,80 @@ export async function getReadOnlyProviderAsync() {
   return roProvider;
 }
 
+// Per-endpoint stats of the read-only pool ([] before init / on wallet fallback)
+export function getRpcPoolHealth() {
+  return roProvider instanceof RpcPoolProvider ? roProvider.getHealth() : [];
+}
+
+// -----------------------------
+// Quorum reads (CONFIG.QUORUM)
+// Values that decide what users sign are cross-checked on several endpoints
+// at one block. Each check is reported as window 'rpcQuorum'
+// { key, ok, unanimous, unverified, agree, total, block }.
+// -----------------------------
+function emitQuorum(detail) {
+  try { window.dispatchEvent(new CustomEvent('rpcQuorum', { detail })); } catch (_) {}
+}
+
+/**
+ * Drop-in for contract[method](...args) (view functions only).
+ * Only contract.address / contract.interface are used, so signer-bound contracts work too.
+ * Throws code 'QUORUM_MISMATCH' when fewer than MIN_AGREE endpoints return the same data.
+ */
+export async function readWithQuorum(contract, method, args = [], key = method) {
+  const q = CONFIG?.QUORUM || {};
+  if (!q.ENABLED) return contract[method](...args);
+
+  await initReadOnlyContracts();
+  if (!(roProvider instanceof RpcPoolProvider)) return contract[method](...args);
+
+  const iface = contract.interface;
+  const tx = { to: contract.address, data: iface.encodeFunctionData(method, args) };
+
+  let res;
+  try {
+    res = await roProvider.quorumCall(tx, {
+      size: Number(q.SIZE ?? 3),
+      minAgree: Number(q.MIN_AGREE ?? 2),
+    });
+  } catch (e) {
+    if (e?.code !== 'QUORUM_UNAVAILABLE') throw e;
+    // not enough live endpoints to compare: plain read, flagged as unverified
+    console.warn('[RPC] quorum', key, e.message);
+    emitQuorum({ key, ok: true, unanimous: false, unverified: true, agree: 1, total: 1, block: null });
+    return contract[method](...args);
+  }
+
+  if (!res.agree) {
+    // every endpoint errored: nothing to compare, surface the error as a plain read would
+    throw new Error(res.results[0]?.error || `${method}: no RPC result`);
+  }
+
+  emitQuorum({
+    key,
+    ok: res.ok,
+    unanimous: res.unanimous,
+    unverified: false,
+    agree: res.agree,
+    total: res.total,
+    block: res.block,
+  });
+
+  if (!res.ok) {
+    console.warn('[RPC] quorum mismatch', key, 'at block', res.block, res.results);
+    const err = new Error(`RPC endpoints disagree on ${method}() at block ${res.block}`);
+    err.code = 'QUORUM_MISMATCH';
+    err.results = res.results;
+    throw err;
+  }
+  if (!res.unanimous) {
+    console.warn('[RPC] quorum dissent', key, `${res.agree}/${res.total}`, 'at block', res.block, res.results);
+  }
+
+  const out = iface.decodeFunctionResult(method, res.data);
+  return out.length === 1 ? out[0] : out;
+}
+
 function assertConfig() {
   const net = CONFIG?.NETWORK || {};
   const readOnlyRpc = net.readOnlyRpcUrl;
@@ -463,17 +978,38 @@ export async function getReadOnlyPresale() {
   return roPresale;
 }
 
+// -----------------------------
+// Oracle staleness (CONFIG.ORACLE_STALENESS)
+// -----------------------------
+export function getOracleAgeInfo(updatedAt) {
+  const warnAge = Number(CONFIG?.ORACLE_STALENESS?.WARN_AGE_SEC ?? 2700);
+  const maxAge = Number(CONFIG?.ORACLE_STALENESS?.MAX_AGE_SEC ?? 3600);
+
+  const ts = Number(updatedAt);
+  if (!Number.isFinite(ts) || ts <= 0) {
+    return { ageSec: null, isStale: false, isAging: false };
+  }
+
+  const ageSec = Math.max(0, Math.floor(Date.now() / 1000) - ts);
+  return {
+    ageSec,
+    isStale: ageSec > maxAge,
+    isAging: ageSec > warnAge,
+  };
+}
+
 // -----------------------------
 // Required by app.js: getArubPrice()
 // Oracle: getRate() returns (rate, updatedAt)
 // We return rate as number (scaled by ORACLE_DECIMALS; default 6)
+// plus ageSec / isStale / isAging from getOracleAgeInfo()
 // -----------------------------
 export async function getArubPrice() {
   if (!roOracle) await initReadOnlyContracts();
 
   try {
     const { rate, updatedAt } = await callWithRetry(async () => {
-      const [rate, updatedAt] = await roOracle.getRate(); // (uint256,uint256)
+      const [rate, updatedAt] = await readWithQuorum(roOracle, 'getRate'); // (uint256,uint256)
       return { rate, updatedAt: Number(updatedAt) };
     }, 3, 400);
 
@@ -485,7 +1021,7 @@ export async function getArubPrice() {
       updatedAt,
       source: 'oracle',
       isFallback: false,
-      isStale: false,
+      ...getOracleAgeInfo(updatedAt),
     };
 
     if (Number.isFinite(price) && price > 0) {
@@ -495,12 +1031,40 @@ export async function getArubPrice() {
     return info;
   } catch (e) {
     if (lastGoodArubPriceInfo) {
-      return { ...lastGoodArubPriceInfo, isFallback: true, source: 'oracle' };
+      return {
+        ...lastGoodArubPriceInfo,
+        ...getOracleAgeInfo(lastGoodArubPriceInfo.updatedAt),
+        isFallback: true,
+        source: 'oracle',
+      };
     }
     throw e;
   }
 }
 
+// -----------------------------
+// ETH/USD (Chainlink) for gas cost in USD; cached for a minute
+// -----------------------------
+const ETH_USD_TTL_MS = 60_000;
+let ethUsdCache = null; // { price, ts }
+
+export async function getEthUsdPrice() {
+  if (ethUsdCache && Date.now() - ethUsdCache.ts < ETH_USD_TTL_MS) return ethUsdCache.price;
+
+  const feedAddr = CONFIG?.GAS?.ETH_USD_FEED;
+  if (!feedAddr) return null;
+
+  const provider = await getReadOnlyProviderAsync();
+  const feed = new ethers.Contract(feedAddr, CHAINLINK_FEED_ABI, provider);
+  const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+
+  const price = Number(ethers.utils.formatUnits(round.answer, decimals));
+  if (!Number.isFinite(price) || price <= 0) return null;
+
+  ethUsdCache = { price, ts: Date.now() };
+  return price;
+}
+
 // -----------------------------
 // Required by app.js: getTotalSupplyArub()
 // ERC20.totalSupply()
@@ -512,3 +1076,75 @@ export async function getTotalSupplyArub() {
     return await roToken.totalSupply();
   }, 3, 350);
 }
+
+// -----------------------------
+// Log scanning helpers
+// -----------------------------
+
+// Находим ближайший блок по timestamp (бинарный поиск)
+export async function findBlockByTimestamp(provider, targetTsSec) {
+  const latest = await provider.getBlockNumber();
+  let lo = 1;
+  let hi = latest;
+
+  const bLo = await provider.getBlock(lo);
+  if (bLo && bLo.timestamp >= targetTsSec) return lo;
+
+  const bHi = await provider.getBlock(hi);
+  if (bHi && bHi.timestamp <= targetTsSec) return hi;
+
+  while (lo + 1 < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const b = await provider.getBlock(mid);
+    if (!b) { hi = mid; continue; }
+
+    if (b.timestamp < targetTsSec) lo = mid;
+    else hi = mid;
+  }
+  return lo; // ближайший <= target
+}
+
+/**
+ * queryFilter over [fromBlock, toBlock] in fixed windows.
+ * opts:
+ *  - step: blocks per request (default 50_000; some RPCs cap eth_getLogs ranges)
+ *  - onProgress: (pct: number) => void
+ *  - onChunk: (logs, from, to) => void  (called in block order, lets callers persist progress)
+ */
+export async function queryFilterChunked(contract, filter, fromBlock, toBlock, opts = {}) {
+  const step = Math.max(1, Number(opts.step) || 50_000);
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  const onChunk = typeof opts.onChunk === 'function' ? opts.onChunk : null;
+
+  const out = [];
+  if (toBlock < fromBlock) {
+    onProgress?.(100);
+    return out;
+  }
+
+  const totalRanges = Math.max(1, Math.ceil((toBlock - fromBlock + 1) / step));
+  let doneRanges = 0;
+
+  for (let from = fromBlock; from <= toBlock; from += step) {
+    const to = Math.min(toBlock, from + step - 1);
+
+    let logs;
+    try {
+      logs = await contract.queryFilter(filter, from, to);
+    } catch (err) {
+      // If provider still rejects the range, shrink the window and retry once.
+      const mid = Math.floor((from + to) / 2);
+      const firstHalf = await contract.queryFilter(filter, from, mid);
+      const secondHalf = await contract.queryFilter(filter, mid + 1, to);
+      logs = firstHalf.concat(secondHalf);
+    }
+
+    for (const ev of logs) out.push(ev);
+    onChunk?.(logs, from, to);
+
+    doneRanges += 1;
+    onProgress?.((doneRanges / totalRanges) * 100);
+  }
+
+  return out;
+}
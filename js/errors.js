@@ -0,0 +1,405 @@
+/**
+ * errors.js — contract revert decoding + localized error catalog
+ *
+ * Revert data is looked up anywhere in an ethers / wallet / RPC error
+ * (e.data, e.error.data, JSON bodies ...) and decoded as Error(string),
+ * Panic(uint256) or a custom error of any ABI exported by abis.js
+ * (e.g. ZeroAmount() / OracleStale() of AntiRUB, ERC20InsufficientAllowance of
+ * the OZ 5 based ARUB token, also when it surfaces through the presale or vault).
+ * Errors without data fall
+ * back to the reason text ("execution reverted: Deposit locked").
+ *
+ * The decoded reason is mapped to a catalog entry: a RU/EN message plus a
+ * suggested fix. Unknown reasons still get a readable "rejected by the
+ * contract: <reason>" message.
+ *
+ * Exports:
+ *   decodeRevert(e)     // -> { kind: 'string' | 'panic' | 'custom', name, args, reason } | null
+ *   describeError(e)    // -> { key, message, fix, revert } | null (null: not a contract revert)
+ *   errorMessage(e)     // -> 'message. fix' | null; also the gas preflight's INSUFFICIENT_ETH
+ *                       //    (txManager.js) with the bridge hint, so every write shows it alike
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import * as ABIS from './abis.js';
+import { getStoredLang } from './i18n.js';
+
+// -----------------------------
+// Catalog: revert reason / custom error name -> key
+// (strings exactly as in contracts/*.sol; OpenZeppelin 4.x strings of the presale,
+// vault, AntiRUB and arbitrage manager, 5.x custom errors of token.sol only)
+// -----------------------------
+const REVERT_KEYS = {
+  // amounts / limits
+  'ZeroAmount': 'zero_amount',
+  'Amount > 0': 'zero_amount',
+  'amount=0': 'zero_amount',
+  'shares=0': 'zero_amount',
+  'usdtIn=0': 'zero_amount',
+  'Too small amount': 'too_small',
+  'Below min per tx': 'too_small',
+  'Below min redeem': 'too_small',
+  'Exceeds max per tx': 'max_per_tx',
+  'Exceeds max per wallet': 'max_per_wallet',
+  'Max supply exceeded': 'max_supply',
+  'deposit limit': 'vault_limit',
+  'withdraw limit': 'vault_limit',
+
+  // presale
+  'Discount slots filled': 'discount_unavailable',
+  'Discount not available': 'discount_unavailable',
+  'Exceeds redeemable balance': 'redeemable',
+  'Deposit locked': 'deposit_locked',
+  'Nothing locked': 'nothing_locked',
+  'No debt': 'no_debt',
+  'No liquidity': 'no_liquidity',
+  'Not enough USDT': 'no_liquidity',
+  'Exceeds collateral': 'no_liquidity',
+  'Insufficient USDT': 'no_liquidity',
+  'usdt balance': 'no_liquidity',
+
+  // oracle
+  'OracleStale': 'oracle_stale',
+  'Oracle stale': 'oracle_stale',
+  'Oracle time': 'oracle_stale',
+  'OracleRateZero': 'oracle_rate',
+  'Rate=0': 'oracle_rate',
+  'rate=0': 'oracle_rate',
+  'oracle price=0': 'oracle_rate',
+  'Oracle not set': 'oracle_rate',
+  'Oracle call failed': 'oracle_rate',
+
+  // pauses
+  'Pausable: paused': 'paused',
+  'EnforcedPause': 'paused',
+  'EmergencyPaused': 'emergency_paused',
+
+  // price protection
+  'Slippage': 'slippage',
+  'slippage too high': 'slippage',
+  'lp slippage': 'slippage',
+  'profit < min': 'slippage',
+  'no profit': 'slippage',
+  'deadline': 'deadline',
+  'UniswapV2Router: EXPIRED': 'deadline',
+  'oracle deviation': 'oracle_deviation',
+  'CR too low': 'cr_limit',
+  'CR too high': 'cr_limit',
+
+  // vault
+  'strategy off': 'strategy_off',
+  'use strategy withdraw': 'use_strategy_withdraw',
+  'no shares': 'no_shares',
+  'empty reserves': 'empty_pool',
+  'pair not created': 'empty_pool',
+  'lp total=0': 'empty_pool',
+  'supply=0': 'empty_pool',
+  'assets=0': 'empty_pool',
+
+  // tokens
+  'ERC20: insufficient allowance': 'allowance',
+  'ERC20InsufficientAllowance': 'allowance',
+  'ERC20InsufficientBalance': 'balance',
+  'ERC20InvalidSender': 'transfer_failed',
+  'ERC20InvalidReceiver': 'transfer_failed',
+  'ERC20InvalidApprover': 'transfer_failed',
+  'ERC20InvalidSpender': 'transfer_failed',
+  'Insufficient allowance': 'allowance',
+  'ERC20: transfer amount exceeds balance': 'balance',
+  'ERC20: burn amount exceeds balance': 'balance',
+  'Insufficient ARUB': 'balance',
+  'arub balance': 'balance',
+  'USDT transfer failed': 'transfer_failed',
+  'USDT transferFrom failed': 'transfer_failed',
+  'ARUB transfer failed': 'transfer_failed',
+  'SafeERC20: ERC20 operation did not succeed': 'transfer_failed',
+  'SafeERC20: low-level call failed': 'transfer_failed',
+  'SafeERC20FailedOperation': 'transfer_failed',
+
+  // arbitrage routes (keeper config)
+  'path[0]!=ARUB': 'route',
+  'last!=ARUB': 'route',
+  'bad path': 'route',
+  'Invalid DEX': 'route',
+  'Invalid pool': 'route',
+  'router zero': 'route',
+  'quoter zero': 'route',
+
+  // admin-only
+  'Not owner': 'admin_only',
+  'Not keeper': 'admin_only',
+  'not guardian/owner': 'admin_only',
+  'NotGuardianOrOwner': 'admin_only',
+  'Ownable: caller is not the owner': 'admin_only',
+  'OwnableUnauthorizedAccount': 'admin_only',
+  'AccessControlUnauthorizedAccount': 'admin_only',
+};
+
+// -----------------------------
+// i18n (message + <key>_fix)
+// -----------------------------
+const I18N = {
+  ru: {
+    zero_amount: 'Сума має бути більшою за нуль',
+    zero_amount_fix: 'Вкажіть суму більше 0.',
+    too_small: 'Сума менша за мінімальну',
+    too_small_fix: 'Збільште суму (мінімум вказано біля поля).',
+    max_per_tx: 'Перевищено ліміт на одну транзакцію',
+    max_per_tx_fix: 'Зменшіть суму або розділіть покупку на кілька транзакцій.',
+    max_per_wallet: 'Досягнуто ліміту покупок для цього гаманця',
+    max_per_wallet_fix: 'Зменшіть суму — залишок ліміту видно в панелі покупки.',
+    max_supply: 'Досягнуто максимальної емісії ARUB',
+    max_supply_fix: 'Нові ARUB зараз не випускаються; спробуйте меншу суму.',
+    vault_limit: 'Сума перевищує ліміт стратегії',
+    vault_limit_fix: 'Зменшіть суму до ліміту, вказаного в панелі Vault.',
+    discount_unavailable: 'Покупка з бонусом недоступна (слоти зайняті або ліміт бонусу гаманця вичерпано)',
+    discount_unavailable_fix: 'Купіть у звичайному режимі.',
+    redeemable: 'Сума перевищує доступний для продажу баланс',
+    redeemable_fix: 'Продати можна лише ARUB, куплені через пресейл, — до суми, вказаної в панелі продажу.',
+    deposit_locked: 'Депозит ще заблоковано',
+    deposit_locked_fix: 'Дочекайтеся дати розблокування в панелі блокування.',
+    nothing_locked: 'Немає заблокованих ARUB',
+    nothing_locked_fix: 'Розблоковувати нічого — оновіть сторінку.',
+    no_debt: 'Боргу немає',
+    no_debt_fix: 'Виплачувати нічого — оновіть сторінку.',
+    no_liquidity: 'У контракті зараз недостатньо USDT',
+    no_liquidity_fix: 'Спробуйте меншу суму або пізніше.',
+    oracle_stale: 'Курс оракула застарів',
+    oracle_stale_fix: 'Дочекайтеся наступного оновлення оракула (зазвичай протягом години).',
+    oracle_rate: 'Курс оракула недоступний',
+    oracle_rate_fix: 'Спробуйте пізніше.',
+    paused: 'Контракт призупинено',
+    paused_fix: 'Операції відновляться після паузи — стежте за оголошеннями проєкту.',
+    emergency_paused: 'AntiRUB на аварійній паузі',
+    emergency_paused_fix: 'Мінт і спалення запрацюють після завершення паузи.',
+    slippage: 'Ціна змінилася більше, ніж дозволяє проковзування',
+    slippage_fix: 'Оновіть котирування або збільште допустиме проковзування.',
+    deadline: 'Минув дедлайн транзакції',
+    deadline_fix: 'Збільште дедлайн у налаштуваннях і повторіть.',
+    oracle_deviation: 'Ціна в пулі надто відрізняється від курсу оракула',
+    oracle_deviation_fix: 'Спробуйте пізніше, коли ціна в пулі вирівняється.',
+    cr_limit: 'Досягнуто межі коефіцієнта забезпечення',
+    cr_limit_fix: 'Спробуйте меншу суму.',
+    strategy_off: 'Стратегію Vault вимкнено',
+    strategy_off_fix: 'Скористайтеся звичайним внеском / виведенням.',
+    use_strategy_withdraw: 'Звичайне виведення недоступне в режимі стратегії',
+    use_strategy_withdraw_fix: 'Виведіть через стратегію (пул ARUB/USDT).',
+    no_shares: 'У вас немає часток Vault',
+    no_shares_fix: 'Перевірте баланс часток.',
+    empty_pool: 'У пулі ще немає ліквідності',
+    empty_pool_fix: 'Спробуйте пізніше.',
+    allowance: 'Недостатній дозвіл (allowance) на токен',
+    allowance_fix: 'Повторіть і підтвердьте approve у гаманці.',
+    balance: 'Недостатньо токенів на балансі',
+    balance_fix: 'Зменшіть суму до свого балансу.',
+    transfer_failed: 'Переказ токена не вдався',
+    transfer_failed_fix: 'Перевірте баланс і дозвіл, потім повторіть.',
+    route: 'Маршрут обміну налаштовано неправильно',
+    route_fix: 'Це помилка конфігурації протоколу — повідомте команду.',
+    admin_only: 'Дія доступна лише адміністратору протоколу',
+    admin_only_fix: 'Звичайним гаманцям ця дія недоступна.',
+    panic: 'Внутрішня помилка контракту ({{code}})',
+    panic_fix: 'Перевірте суму; якщо повторюється — повідомте команду.',
+    rejected: 'Контракт відхилив транзакцію: {{reason}}',
+    need_eth: 'Недостатньо ETH в Arbitrum для оплати газу: потрібно ≈ {{need}} ETH, на балансі {{have}} ETH. Переведіть ETH у мережу Arbitrum One ({{bridge}}).',
+  },
+  en: {
+    zero_amount: 'Amount must be greater than zero',
+    zero_amount_fix: 'Enter an amount above 0.',
+    too_small: 'Amount is below the minimum',
+    too_small_fix: 'Increase the amount (the minimum is shown next to the field).',
+    max_per_tx: 'Amount exceeds the per-transaction limit',
+    max_per_tx_fix: 'Lower the amount or split the purchase into several transactions.',
+    max_per_wallet: 'This wallet has reached its purchase limit',
+    max_per_wallet_fix: 'Lower the amount — the remaining limit is shown in the buy panel.',
+    max_supply: 'ARUB max supply reached',
+    max_supply_fix: 'No new ARUB can be minted right now; try a smaller amount.',
+    vault_limit: 'Amount exceeds the strategy limit',
+    vault_limit_fix: 'Lower the amount to the limit shown in the Vault panel.',
+    discount_unavailable: 'Bonus purchase is not available (slots filled or wallet bonus limit used)',
+    discount_unavailable_fix: 'Buy in instant mode.',
+    redeemable: 'Amount exceeds your redeemable balance',
+    redeemable_fix: 'Only ARUB bought through the presale can be sold — up to the amount shown in the sell panel.',
+    deposit_locked: 'Deposit is still locked',
+    deposit_locked_fix: 'Wait for the unlock date shown in the lock panel.',
+    nothing_locked: 'No locked ARUB',
+    nothing_locked_fix: 'Nothing to unlock — refresh the page.',
+    no_debt: 'No debt to claim',
+    no_debt_fix: 'Nothing to pay out — refresh the page.',
+    no_liquidity: 'The contract does not hold enough USDT right now',
+    no_liquidity_fix: 'Try a smaller amount or later.',
+    oracle_stale: 'Oracle rate is stale',
+    oracle_stale_fix: 'Wait for the next oracle update (usually within an hour).',
+    oracle_rate: 'Oracle rate is unavailable',
+    oracle_rate_fix: 'Try again later.',
+    paused: 'Contract is paused',
+    paused_fix: 'Operations resume after the pause — follow the project announcements.',
+    emergency_paused: 'AntiRUB is under an emergency pause',
+    emergency_paused_fix: 'Mint and burn resume once the pause ends.',
+    slippage: 'Price moved more than your slippage tolerance',
+    slippage_fix: 'Refresh the quote or raise the slippage tolerance.',
+    deadline: 'Transaction deadline passed',
+    deadline_fix: 'Increase the deadline in the settings and retry.',
+    oracle_deviation: 'Pool price is too far from the oracle rate',
+    oracle_deviation_fix: 'Try later, once the pool price is back in line.',
+    cr_limit: 'Collateral ratio limit reached',
+    cr_limit_fix: 'Try a smaller amount.',
+    strategy_off: 'Vault strategy is off',
+    strategy_off_fix: 'Use the plain deposit / withdraw.',
+    use_strategy_withdraw: 'Plain withdraw is not available in strategy mode',
+    use_strategy_withdraw_fix: 'Withdraw through the strategy (ARUB/USDT pool).',
+    no_shares: 'You have no Vault shares',
+    no_shares_fix: 'Check your share balance.',
+    empty_pool: 'The pool has no liquidity yet',
+    empty_pool_fix: 'Try again later.',
+    allowance: 'Token allowance is too low',
+    allowance_fix: 'Retry and confirm the approve in your wallet.',
+    balance: 'Not enough tokens on the balance',
+    balance_fix: 'Lower the amount to your balance.',
+    transfer_failed: 'Token transfer failed',
+    transfer_failed_fix: 'Check the balance and allowance, then retry.',
+    route: 'Swap route is misconfigured',
+    route_fix: 'This is a protocol configuration error — please report it to the team.',
+    admin_only: 'Only the protocol admin can do this',
+    admin_only_fix: 'This action is not available to regular wallets.',
+    panic: 'Internal contract error ({{code}})',
+    panic_fix: 'Check the amount; if it keeps happening, report it to the team.',
+    rejected: 'The contract rejected the transaction: {{reason}}',
+    need_eth: 'Not enough ETH on Arbitrum for gas: need ≈ {{need}} ETH, balance {{have}} ETH. Bridge ETH to Arbitrum One ({{bridge}}).',
+  },
+};
+
+function t(key, vars) {
+  const lang = (getStoredLang?.() || 'ru');
+  const dict = I18N[lang] || I18N.ru;
+  let out = dict[key] ?? I18N.ru[key] ?? key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
+}
+
+// -----------------------------
+// Decoding
+// -----------------------------
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';        // Panic(uint256)
+
+let projectIfaces = null;
+
+// every ABI exported by abis.js that declares custom errors
+function getProjectIfaces() {
+  if (projectIfaces) return projectIfaces;
+  projectIfaces = [];
+  Object.values(ABIS).forEach((abi) => {
+    if (!Array.isArray(abi) || !abi.some((f) => typeof f === 'string' && f.startsWith('error '))) return;
+    try { projectIfaces.push(new ethers.utils.Interface(abi)); } catch (_) {}
+  });
+  return projectIfaces;
+}
+
+const isRevertData = (v) => typeof v === 'string' && /^0x[0-9a-f]{8}([0-9a-f]{2})*$/i.test(v);
+
+// revert data sits at different depths per wallet / RPC / ethers call type
+function findRevertData(e) {
+  const seen = new Set();
+  const walk = (v, depth) => {
+    if (v == null || depth > 6) return null;
+    if (typeof v === 'string') {
+      if (isRevertData(v)) return v;
+      if (/^\s*\{/.test(v)) {
+        try { return walk(JSON.parse(v), depth + 1); } catch (_) {}
+      }
+      return null;
+    }
+    if (typeof v !== 'object' || seen.has(v)) return null;
+    seen.add(v);
+    for (const k of ['data', 'error', 'body', 'originalError', 'cause']) {
+      const hit = walk(v[k], depth + 1);
+      if (hit) return hit;
+    }
+    return null;
+  };
+  return walk(e, 0);
+}
+
+// no data: the reason is only in the text ('execution reverted: X' / reason="X")
+function findReasonText(e) {
+  if (typeof e?.reason === 'string' && e.reason) return e.reason.replace(/^execution reverted:\s*/i, '');
+
+  const texts = [e?.message, e?.error?.message, e?.data?.message, e?.error?.error?.message, e?.error?.body];
+  for (const s of texts) {
+    if (typeof s !== 'string') continue;
+    const m = s.match(/execution reverted: ([^"\\\n]+)/i) || s.match(/reason="([^"]+)"/);
+    if (m) return m[1].trim();
+  }
+  return null;
+}
+
+function decodeData(data) {
+  const selector = data.slice(0, 10).toLowerCase();
+  const body = `0x${data.slice(10)}`;
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], body);
+    return { kind: 'string', name: 'Error', args: [reason], reason };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], body);
+    return { kind: 'panic', name: 'Panic', args: [code], reason: `Panic(${code.toHexString()})` };
+  }
+  for (const iface of getProjectIfaces()) {
+    try {
+      const err = iface.parseError(data);
+      return { kind: 'custom', name: err.name, args: [...err.args], reason: err.name };
+    } catch (_) {}
+  }
+  return { kind: 'custom', name: selector, args: [], reason: selector };
+}
+
+export function decodeRevert(e) {
+  if (!e) return null;
+  const data = findRevertData(e);
+  if (data) {
+    try { return decodeData(data); } catch (_) {}
+  }
+  // ethers decoded a custom error of the contract's own ABI
+  if (typeof e?.errorName === 'string' && e.errorName) {
+    return { kind: 'custom', name: e.errorName, args: [...(e.errorArgs || [])], reason: e.errorName };
+  }
+  const reason = findReasonText(e);
+  return reason ? { kind: 'string', name: 'Error', args: [reason], reason } : null;
+}
+
+// -----------------------------
+// Catalog lookup
+// -----------------------------
+export function describeError(e) {
+  const revert = decodeRevert(e);
+  if (!revert) return null;
+
+  if (revert.kind === 'panic') {
+    return { key: 'panic', message: t('panic', { code: revert.args[0].toHexString() }), fix: t('panic_fix'), revert };
+  }
+
+  const key = REVERT_KEYS[revert.reason] || REVERT_KEYS[revert.name] || null;
+  if (!key) return { key: null, message: t('rejected', { reason: revert.reason }), fix: '', revert };
+  return { key, message: t(key), fix: t(`${key}_fix`), revert };
+}
+
+export function errorMessage(e) {
+  // not a revert: txManager's ETH check before the wallet is asked to sign
+  if (e?.code === 'INSUFFICIENT_ETH') {
+    return t('need_eth', {
+      need: Number(e.needEth).toFixed(6),
+      have: Number(e.haveEth).toFixed(6),
+      bridge: CONFIG?.GAS?.BRIDGE_URL || 'https://bridge.arbitrum.io',
+    });
+  }
+  const d = describeError(e);
+  if (!d) return null;
+  return d.fix ? `${d.message}. ${d.fix}` : d.message;
+}
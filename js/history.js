@@ -0,0 +1,375 @@
+/**
+ * history.js — personal presale history (Purchased / Redeemed / DebtClaimed / DepositUnlocked)
+ *
+ * All four events index the user as the first topic. Logs come from the shared
+ * event indexer (indexer.js), which keeps every presale log in IndexedDB and only
+ * fetches new blocks on later visits; rows are filtered by the user topic on read.
+ *
+ * Exports:
+ *   loadUserHistory(address, opts?)
+ *   refreshTxHistory(address, opts?)
+ *
+ * CSV/JSON export and PnL come from accounting.js.
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { PRESALE_EVENTS_ABI, ORACLE_ABI } from './abis.js';
+import { getStoredLang } from './i18n.js';
+import { formatTokenAmount, showNotification } from './ui.js';
+import { computePnl, exportPresaleActivity } from './accounting.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { indexEvents, getBlockTimestamps, blockAtTimestamp } from './indexer.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const HISTORY_EVENTS = ['Purchased', 'Redeemed', 'DebtClaimed', 'DepositUnlocked'];
+const LEGACY_STORAGE_PREFIX = 'arub:txHistory:v1';
+const REFRESH_MIN_MS = 30_000;
+const MAX_ROWS = 50;
+const USDT_DECIMALS = 6;
+const ARUB_DECIMALS = Number(CONFIG?.TOKEN_DECIMALS ?? 6);
+
+const I18N = {
+  ru: {
+    title: 'Історія операцій',
+    loading: 'Завантаження історії…',
+    empty: 'Операцій ще немає',
+    failed: 'Не вдалося завантажити історію',
+    connect: 'Підключіть гаманець, щоб побачити історію',
+    col_time: 'Час',
+    col_action: 'Дія',
+    col_amounts: 'Суми',
+    col_bonus: 'Бонус / знижка',
+    col_fee: 'Комісія',
+    Purchased: 'Купівля',
+    Redeemed: 'Продаж',
+    DebtClaimed: 'Виплата боргу',
+    DepositUnlocked: 'Розблокування',
+    debt_issued: 'борг {{v}} USDT',
+    debt_left: 'залишок боргу {{v}} USDT',
+    discount: 'знижка {{p}}%',
+    shown: 'Показано {{n}} з {{total}}',
+    export_busy: 'Готуємо експорт (курс оракула на кожен блок)…',
+    export_failed: 'Не вдалося сформувати експорт',
+    pnl_fifo: 'PnL (FIFO): реалізований {{r}} / нереалізований {{u}} USDT',
+    pnl_avg: 'PnL (середня ціна): реалізований {{r}} / нереалізований {{u}} USDT',
+  },
+  en: {
+    title: 'Transaction history',
+    loading: 'Loading history…',
+    empty: 'No transactions yet',
+    failed: 'Failed to load history',
+    connect: 'Connect a wallet to see your history',
+    col_time: 'Time',
+    col_action: 'Action',
+    col_amounts: 'Amounts',
+    col_bonus: 'Bonus / discount',
+    col_fee: 'Fee',
+    Purchased: 'Buy',
+    Redeemed: 'Sell',
+    DebtClaimed: 'Debt claim',
+    DepositUnlocked: 'Unlock',
+    debt_issued: 'debt {{v}} USDT',
+    debt_left: 'debt left {{v}} USDT',
+    discount: 'discount {{p}}%',
+    shown: 'Showing {{n}} of {{total}}',
+    export_busy: 'Preparing export (oracle rate at each block)…',
+    export_failed: 'Failed to build the export',
+    pnl_fifo: 'PnL (FIFO): realized {{r}} / unrealized {{u}} USDT',
+    pnl_avg: 'PnL (average cost): realized {{r}} / unrealized {{u}} USDT',
+  },
+};
+
+function t(key, vars) {
+  const lang = (getStoredLang?.() || 'ru');
+  const dict = I18N[lang] || I18N.ru;
+  let out = dict[key] || I18N.ru[key] || key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
+}
+
+// -----------------------------
+// Load
+// row = { type, block, logIndex, tx, ts, args: { name: decimalString } }
+// -----------------------------
+
+// per-user localStorage caches from before the shared indexer
+function dropLegacyCache() {
+  try {
+    if (!window?.localStorage) return;
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(LEGACY_STORAGE_PREFIX)) localStorage.removeItem(k);
+    }
+  } catch (_) {}
+}
+dropLegacyCache();
+
+function toRow(ev, ts) {
+  const args = {};
+  ev.args && Object.keys(ev.args).forEach((k) => {
+    if (/^\d+$/.test(k)) return;
+    const v = ev.args[k];
+    if (v?._isBigNumber) args[k] = v.toString();
+  });
+
+  return {
+    type: ev.event,
+    block: ev.blockNumber,
+    logIndex: ev.logIndex,
+    tx: ev.transactionHash,
+    ts: ts || 0,
+    args,
+  };
+}
+
+/**
+ * Returns the user's presale history rows, newest first.
+ * opts.onProgress(pct) reports scan progress (0..100).
+ */
+export async function loadUserHistory(address, opts = {}) {
+  if (!address) return [];
+
+  const provider = await getReadOnlyProviderAsync();
+  const presale = new ethers.Contract(CONFIG.PRESALE_ADDRESS, PRESALE_EVENTS_ABI, provider);
+
+  const deployTs = Math.floor(Date.parse(CONFIG?.PRESALE_DEPLOY_UTC || '') / 1000);
+  const guessed = Number.isFinite(deployTs) ? await blockAtTimestamp(provider, deployTs) : 1;
+
+  const events = await indexEvents(presale, HISTORY_EVENTS, {
+    fromBlock: Math.max(1, guessed - 1000),
+    topics: [ethers.utils.hexZeroPad(address, 32)],
+    onProgress: opts.onProgress,
+  });
+
+  const tsByBlock = await getBlockTimestamps(provider, events.map((ev) => ev.blockNumber));
+
+  return events
+    .map((ev) => toRow(ev, tsByBlock.get(ev.blockNumber)))
+    .sort((a, b) => (b.block - a.block) || (b.logIndex - a.logIndex));
+}
+
+// -----------------------------
+// Render (#txHistoryBox)
+// -----------------------------
+let lastLoad = { address: null, ts: 0 };
+let lastRows = null;
+
+function explorerTxUrl(hash) {
+  const base = CONFIG?.NETWORK?.blockExplorerUrls?.[0] || 'https://arbiscan.io';
+  return `${String(base).replace(/\/+$/, '')}/tx/${hash}`;
+}
+
+function fmtArub(v) {
+  return `${formatTokenAmount(v, ARUB_DECIMALS, 6)} ARUB`;
+}
+
+function fmtUsdt(v) {
+  return `${formatTokenAmount(v, USDT_DECIMALS, 2)} USDT`;
+}
+
+function formatTime(tsSec) {
+  if (!tsSec) return '—';
+  const lang = (getStoredLang?.() || 'ru') === 'en' ? 'en-GB' : 'uk-UA';
+  return new Date(tsSec * 1000).toLocaleString(lang, {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function describeRow(row) {
+  const a = row.args || {};
+  const isZero = (v) => !v || String(v) === '0';
+
+  switch (row.type) {
+    case 'Purchased':
+      return {
+        amounts: `${fmtUsdt(a.usdtAmount)} → ${fmtArub(a.arubTotal)}`,
+        bonus: isZero(a.bonusArub)
+          ? '—'
+          : `+${fmtArub(a.bonusArub)} (${t('discount', { p: a.discountPercent })})`,
+        fee: '—',
+      };
+    case 'Redeemed':
+      return {
+        amounts: `${fmtArub(a.arubAmount)} → ${fmtUsdt(a.stablePaid)}`
+          + (isZero(a.debtIssued) ? '' : `, ${t('debt_issued', { v: formatTokenAmount(a.debtIssued, USDT_DECIMALS, 2) })}`),
+        bonus: '—',
+        fee: fmtUsdt(a.feeCharged),
+      };
+    case 'DebtClaimed':
+      return {
+        amounts: `+${fmtUsdt(a.amountPaid)}`
+          + (isZero(a.remainingDebt) ? '' : `, ${t('debt_left', { v: formatTokenAmount(a.remainingDebt, USDT_DECIMALS, 2) })}`),
+        bonus: '—',
+        fee: '—',
+      };
+    case 'DepositUnlocked':
+      return {
+        amounts: `+${fmtArub(a.principalArub)}`,
+        bonus: isZero(a.bonusArub) ? '—' : `+${fmtArub(a.bonusArub)}`,
+        fee: '—',
+      };
+    default:
+      return { amounts: '—', bonus: '—', fee: '—' };
+  }
+}
+
+function renderShell(box) {
+  if (box.dataset.ready === '1') return false;
+  box.dataset.ready = '1';
+  const btn = 'padding:6px 12px; border-radius:10px; border:1px solid rgba(255,255,255,0.12); background: rgba(0,0,0,0.25); color:#fff; cursor:pointer; font-size:12px;';
+  box.innerHTML = `
+    <div style="display:flex; justify-content:space-between; align-items:center; gap:12px; margin-bottom:10px;">
+      <h3 style="margin:0;">${t('title')}</h3>
+      <div style="display:flex; gap:8px;">
+        <button type="button" data-tx-export="csv" style="${btn}">CSV</button>
+        <button type="button" data-tx-export="json" style="${btn}">JSON</button>
+      </div>
+    </div>
+    <div id="txHistoryStatus" style="font-size:12px; opacity:0.75; margin-bottom:8px;">—</div>
+    <div id="txHistoryPnl" style="font-size:12px; opacity:0.85; margin-bottom:8px; line-height:1.5;"></div>
+    <div style="overflow-x:auto;">
+      <table id="txHistoryTable" style="width:100%; border-collapse:collapse; font-size:13px;"></table>
+    </div>
+  `;
+
+  box.querySelectorAll('[data-tx-export]').forEach((node) => {
+    node.addEventListener('click', () => { runExport(node.getAttribute('data-tx-export')).catch(() => {}); });
+  });
+  return true;
+}
+
+let exportBusy = false;
+
+async function runExport(format) {
+  if (exportBusy) return;
+  if (!lastLoad.address || !lastRows?.length) {
+    showNotification?.(t(lastLoad.address ? 'empty' : 'connect'), 'error');
+    return;
+  }
+
+  exportBusy = true;
+  setStatus(t('export_busy'));
+  try {
+    await exportPresaleActivity(lastLoad.address, lastRows, format);
+    renderRows(lastRows);
+  } catch (e) {
+    console.warn('[HISTORY] export failed:', e?.message || e);
+    setStatus(t('export_failed'));
+  } finally {
+    exportBusy = false;
+  }
+}
+
+async function renderPnl(rows) {
+  const el = document.getElementById('txHistoryPnl');
+  if (!el) return;
+  if (!rows.length) {
+    el.textContent = '';
+    return;
+  }
+
+  try {
+    const provider = await getReadOnlyProviderAsync();
+    const oracle = new ethers.Contract(CONFIG.ORACLE_ADDRESS, ORACLE_ABI, provider);
+    const [rate] = await oracle.getRate();
+    const pnl = computePnl(rows, rate);
+    const usdt = (v) => formatTokenAmount(v, USDT_DECIMALS, 2);
+
+    el.innerHTML = `
+      <div>${t('pnl_fifo', { r: usdt(pnl.fifo.realized), u: usdt(pnl.fifo.unrealized) })}</div>
+      <div>${t('pnl_avg', { r: usdt(pnl.average.realized), u: usdt(pnl.average.unrealized) })}</div>
+    `;
+  } catch (e) {
+    console.warn('[HISTORY] PnL failed:', e?.message || e);
+    el.textContent = '';
+  }
+}
+
+function setStatus(text) {
+  const el = document.getElementById('txHistoryStatus');
+  if (el) el.textContent = text;
+}
+
+function renderRows(rows) {
+  const table = document.getElementById('txHistoryTable');
+  if (!table) return;
+
+  if (!rows.length) {
+    table.innerHTML = '';
+    setStatus(t('empty'));
+    renderPnl(rows).catch(() => {});
+    return;
+  }
+
+  const shown = rows.slice(0, MAX_ROWS);
+  setStatus(t('shown', { n: shown.length, total: rows.length }));
+
+  const cell = 'padding:6px 8px; border-bottom:1px solid rgba(255,255,255,0.08); text-align:left; vertical-align:top;';
+  const head = ['col_time', 'col_action', 'col_amounts', 'col_bonus', 'col_fee', '']
+    .map((k) => `<th style="${cell} opacity:0.7; font-weight:500;">${k ? t(k) : ''}</th>`)
+    .join('');
+
+  const body = shown.map((row) => {
+    const d = describeRow(row);
+    return `
+      <tr>
+        <td style="${cell} white-space:nowrap;">${formatTime(row.ts)}</td>
+        <td style="${cell}">${t(row.type)}</td>
+        <td style="${cell}">${d.amounts}</td>
+        <td style="${cell}">${d.bonus}</td>
+        <td style="${cell}">${d.fee}</td>
+        <td style="${cell}"><a href="${explorerTxUrl(row.tx)}" target="_blank" rel="noopener">Arbiscan ↗</a></td>
+      </tr>
+    `;
+  }).join('');
+
+  table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+  renderPnl(rows).catch(() => {});
+}
+
+/**
+ * Renders the history into #txHistoryBox (created by trading.js).
+ * Throttled per address; opts.force skips the throttle (e.g. after a tx).
+ */
+export async function refreshTxHistory(address, opts = {}) {
+  const box = document.getElementById('txHistoryBox');
+  if (!box) return;
+  const fresh = renderShell(box);
+
+  if (!address) {
+    lastLoad = { address: null, ts: 0 };
+    lastRows = null;
+    document.getElementById('txHistoryTable')?.replaceChildren();
+    document.getElementById('txHistoryPnl')?.replaceChildren();
+    setStatus(t('connect'));
+    return;
+  }
+
+  const sameUser = String(lastLoad.address || '').toLowerCase() === String(address).toLowerCase();
+  // box was re-rendered (e.g. language switch): show what we already have
+  if (fresh && sameUser && lastRows) renderRows(lastRows);
+  if (!opts.force && sameUser && Date.now() - lastLoad.ts < REFRESH_MIN_MS) return;
+  lastLoad = { address, ts: Date.now() };
+
+  if (!sameUser) setStatus(t('loading'));
+
+  try {
+    const rows = await loadUserHistory(address, {
+      onProgress: (p) => { if (!sameUser) setStatus(`${t('loading')} ${Math.floor(p)}%`); },
+    });
+    // wallet switched while loading
+    if (String(lastLoad.address || '').toLowerCase() !== String(address).toLowerCase()) return;
+    lastRows = rows;
+    renderRows(rows);
+  } catch (e) {
+    console.warn('[HISTORY] loadUserHistory failed:', e?.message || e);
+    setStatus(t('failed'));
+  }
+}
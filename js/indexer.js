@@ -0,0 +1,410 @@
+/**
+ * indexer.js — shared incremental event indexer (IndexedDB)
+ *
+ * Raw logs are stored per stream = (chainId, contract, topic0) together with a
+ * cursor { fromBlock, toBlock } of the contiguous range already scanned.
+ * A sync only fetches what is missing:
+ *  - forward: (toBlock - REORG_DEPTH, latest], the tail is dropped and rescanned
+ *    so short reorgs replace stale logs
+ *  - backward: [fromBlock, cursor.fromBlock) when an earlier start is requested
+ * Streams of one contract that need the same range share a single getLogs filter.
+ * Without IndexedDB (private mode etc.) the same API runs on an in-memory store.
+ *
+ * Exports:
+ *   indexEvents(contract, eventNames, opts)
+ *   syncEvents(contract, eventNames, opts)
+ *   getIndexedEvents(contract, eventNames, opts?)
+ *   getBlockTimestamps(provider, blockNumbers)
+ *   blockAtTimestamp(provider, tsSec)
+ *   clearIndex()
+ */
+
+import { CONFIG } from './config.js';
+import { findBlockByTimestamp, queryFilterChunked } from './contracts.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const DB_NAME = 'arub-indexer';
+const DB_VERSION = 1;
+const SCAN_STEP = Number(CONFIG?.INDEXER?.SCAN_STEP ?? 50_000);
+const REORG_DEPTH = Number(CONFIG?.INDEXER?.REORG_DEPTH ?? 64);
+const MAX_KEY = Number.MAX_SAFE_INTEGER;
+
+// -----------------------------
+// Storage: IndexedDB with in-memory fallback
+// logs:    { stream, block, logIndex, blockHash, tx, topics, data }  key [stream, block, logIndex]
+// cursors: { stream, fromBlock, toBlock }                            key stream
+// blocks:  { number, timestamp }                                     key number
+// meta:    { key, value }                                            key key
+// -----------------------------
+let dbPromise = null;
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (!window?.indexedDB) {
+        resolve(null);
+        return;
+      }
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('logs')) db.createObjectStore('logs', { keyPath: ['stream', 'block', 'logIndex'] });
+        if (!db.objectStoreNames.contains('cursors')) db.createObjectStore('cursors', { keyPath: 'stream' });
+        if (!db.objectStoreNames.contains('blocks')) db.createObjectStore('blocks', { keyPath: 'number' });
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[INDEXER] IndexedDB unavailable, using memory:', req.error?.message || req.error);
+        resolve(null);
+      };
+    } catch (e) {
+      console.warn('[INDEXER] IndexedDB unavailable, using memory:', e?.message || e);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+const mem = {
+  logs: new Map(),    // stream -> Map("block:logIndex" -> log)
+  cursors: new Map(),
+  blocks: new Map(),
+  meta: new Map(),
+};
+
+function logRange(stream, from, to) {
+  return IDBKeyRange.bound([stream, from, 0], [stream, to, MAX_KEY]);
+}
+
+async function dbGetCursor(stream) {
+  const db = await openDb();
+  if (!db) return mem.cursors.get(stream) || null;
+  const tx = db.transaction('cursors', 'readonly');
+  return (await reqToPromise(tx.objectStore('cursors').get(stream))) || null;
+}
+
+// Drops logs in [from, to] and stores the cursor in one transaction
+async function dbDropRange(stream, from, to, cursor) {
+  const db = await openDb();
+  if (!db) {
+    const byKey = mem.logs.get(stream);
+    if (byKey) {
+      for (const [k, log] of byKey) {
+        if (log.block >= from && log.block <= to) byKey.delete(k);
+      }
+    }
+    mem.cursors.set(stream, cursor);
+    return;
+  }
+  const tx = db.transaction(['logs', 'cursors'], 'readwrite');
+  tx.objectStore('logs').delete(logRange(stream, from, to));
+  tx.objectStore('cursors').put(cursor);
+  await txDone(tx);
+}
+
+// Stores a chunk of logs and the advanced cursors atomically
+async function dbWriteChunk(logs, cursors) {
+  const db = await openDb();
+  if (!db) {
+    for (const log of logs) {
+      if (!mem.logs.has(log.stream)) mem.logs.set(log.stream, new Map());
+      mem.logs.get(log.stream).set(`${log.block}:${log.logIndex}`, log);
+    }
+    cursors.forEach((c) => mem.cursors.set(c.stream, c));
+    return;
+  }
+  const tx = db.transaction(['logs', 'cursors'], 'readwrite');
+  const logsStore = tx.objectStore('logs');
+  const cursorStore = tx.objectStore('cursors');
+  logs.forEach((log) => logsStore.put(log));
+  cursors.forEach((c) => cursorStore.put(c));
+  await txDone(tx);
+}
+
+async function dbReadLogs(stream, from, to) {
+  const db = await openDb();
+  if (!db) {
+    const byKey = mem.logs.get(stream);
+    if (!byKey) return [];
+    return [...byKey.values()].filter((l) => l.block >= from && l.block <= to);
+  }
+  const tx = db.transaction('logs', 'readonly');
+  return (await reqToPromise(tx.objectStore('logs').getAll(logRange(stream, from, to)))) || [];
+}
+
+async function dbGet(storeName, key) {
+  const db = await openDb();
+  if (!db) return mem[storeName].get(key) || null;
+  const tx = db.transaction(storeName, 'readonly');
+  return (await reqToPromise(tx.objectStore(storeName).get(key))) || null;
+}
+
+async function dbPutMany(storeName, records, keyOf) {
+  const db = await openDb();
+  if (!db) {
+    records.forEach((r) => mem[storeName].set(keyOf(r), r));
+    return;
+  }
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  records.forEach((r) => store.put(r));
+  await txDone(tx);
+}
+
+// -----------------------------
+// Streams
+// -----------------------------
+function streamKey(address, topic0) {
+  const chainId = Number(CONFIG?.NETWORK?.chainId ?? 0);
+  return `${chainId}:${String(address).toLowerCase()}:${String(topic0).toLowerCase()}`;
+}
+
+function resolveStreams(contract, eventNames) {
+  const iface = contract.interface;
+  return eventNames.map((name) => {
+    const topic0 = iface.getEventTopic(name);
+    return { name, topic0, stream: streamKey(contract.address, topic0) };
+  });
+}
+
+// Ranges each stream still needs; cursor is rewound to the reorg window first
+function plannedRanges(cursor, fromBlock, latest) {
+  if (!cursor) return [{ from: fromBlock, to: latest, backward: false, fresh: true }];
+
+  const out = [];
+  if (fromBlock < cursor.fromBlock) {
+    out.push({ from: fromBlock, to: cursor.fromBlock - 1, backward: true });
+  }
+  const fwdFrom = Math.max(cursor.fromBlock, cursor.toBlock - REORG_DEPTH + 1);
+  if (fwdFrom <= latest) out.push({ from: fwdFrom, to: latest, backward: false });
+  return out;
+}
+
+// -----------------------------
+// Public
+// -----------------------------
+
+/**
+ * Block number at/after tsSec; memoized, so the binary search runs once per timestamp.
+ */
+export async function blockAtTimestamp(provider, tsSec) {
+  const key = `blockAt:${Number(CONFIG?.NETWORK?.chainId ?? 0)}:${Math.floor(tsSec)}`;
+  const hit = await dbGet('meta', key).catch(() => null);
+  if (hit && Number.isFinite(hit.value)) return hit.value;
+
+  const block = await findBlockByTimestamp(provider, Math.floor(tsSec));
+  await dbPutMany('meta', [{ key, value: block }], (r) => r.key).catch(() => {});
+  return block;
+}
+
+async function runSync(contract, eventNames, opts) {
+  const provider = contract.provider;
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+  const fromBlock = Math.max(0, Math.floor(Number(opts.fromBlock) || 0));
+  const latest = await provider.getBlockNumber();
+
+  const streams = resolveStreams(contract, eventNames);
+  const cursors = new Map();
+  for (const s of streams) cursors.set(s.stream, await dbGetCursor(s.stream));
+
+  // group streams that need the same range into one getLogs filter
+  const groups = new Map();
+  for (const s of streams) {
+    for (const r of plannedRanges(cursors.get(s.stream), fromBlock, latest)) {
+      const key = `${r.from}:${r.to}:${r.backward ? 'b' : r.fresh ? 'n' : 'f'}`;
+      if (!groups.has(key)) groups.set(key, { ...r, streams: [] });
+      groups.get(key).streams.push(s);
+    }
+  }
+
+  const totalBlocks = [...groups.values()].reduce((n, g) => n + (g.to - g.from + 1), 0) || 1;
+  let doneBlocks = 0;
+
+  for (const g of groups.values()) {
+    // forward: drop the reorg window and rewind the cursor before rescanning it
+    if (!g.backward && !g.fresh) {
+      for (const s of g.streams) {
+        const cur = cursors.get(s.stream);
+        const next = { ...cur, toBlock: g.from - 1 };
+        await dbDropRange(s.stream, g.from, MAX_KEY, next);
+        cursors.set(s.stream, next);
+      }
+    }
+
+    const byTopic = new Map(g.streams.map((s) => [s.topic0.toLowerCase(), s]));
+    const filter = { address: contract.address, topics: [g.streams.map((s) => s.topic0)] };
+    const writes = [];
+
+    await queryFilterChunked(contract, filter, g.from, g.to, {
+      step: SCAN_STEP,
+      onProgress: (p) => onProgress?.(((doneBlocks + ((g.to - g.from + 1) * p) / 100) / totalBlocks) * 100),
+      onChunk: (logs, _from, to) => {
+        const records = [];
+        for (const log of logs) {
+          const s = byTopic.get(String(log.topics?.[0] || '').toLowerCase());
+          if (!s || log.removed) continue;
+          records.push({
+            stream: s.stream,
+            block: log.blockNumber,
+            logIndex: log.logIndex,
+            blockHash: log.blockHash,
+            tx: log.transactionHash,
+            topics: log.topics,
+            data: log.data,
+          });
+        }
+
+        // backward ranges only join the cursor once complete (it must stay contiguous)
+        const nextCursors = [];
+        if (!g.backward || to === g.to) {
+          for (const s of g.streams) {
+            const cur = cursors.get(s.stream);
+            const next = g.backward
+              ? { ...cur, fromBlock: g.from }
+              : { stream: s.stream, fromBlock: cur ? cur.fromBlock : g.from, toBlock: to };
+            cursors.set(s.stream, next);
+            nextCursors.push(next);
+          }
+        }
+
+        writes.push(dbWriteChunk(records, nextCursors));
+      },
+    });
+
+    await Promise.all(writes);
+    doneBlocks += g.to - g.from + 1;
+  }
+
+  onProgress?.(100);
+  return latest;
+}
+
+// syncs run one at a time: streams are shared (e.g. Purchased by stats and
+// history), and a reorg-window drop must not interleave with another sync's writes
+let syncChain = Promise.resolve();
+
+/**
+ * Brings the streams for eventNames up to the latest block.
+ * opts:
+ *  - fromBlock: first block to index (required on first sync)
+ *  - onProgress: (pct) => void
+ */
+export function syncEvents(contract, eventNames, opts = {}) {
+  const run = syncChain.then(() => runSync(contract, eventNames, opts));
+  syncChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Indexed events for eventNames, decoded with contract.interface, oldest first.
+ * opts:
+ *  - topics: [topic1?, topic2?, topic3?] exact matches (null = any), e.g. the indexed user
+ *  - fromBlock / toBlock: block bounds
+ *
+ * event = { event, blockNumber, logIndex, transactionHash, blockHash, args }
+ */
+export async function getIndexedEvents(contract, eventNames, opts = {}) {
+  const iface = contract.interface;
+  const from = Math.max(0, Math.floor(Number(opts.fromBlock) || 0));
+  const to = Number.isFinite(Number(opts.toBlock)) ? Math.floor(Number(opts.toBlock)) : MAX_KEY;
+  const want = (opts.topics || []).map((tp) => (tp == null ? null : String(tp).toLowerCase()));
+
+  const out = [];
+  for (const s of resolveStreams(contract, eventNames)) {
+    const logs = await dbReadLogs(s.stream, from, to);
+    for (const log of logs) {
+      const match = want.every((tp, i) => tp == null || String(log.topics?.[i + 1] || '').toLowerCase() === tp);
+      if (!match) continue;
+
+      let parsed;
+      try {
+        parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      } catch (_) {
+        continue;
+      }
+      out.push({
+        event: parsed.name,
+        blockNumber: log.block,
+        logIndex: log.logIndex,
+        transactionHash: log.tx,
+        blockHash: log.blockHash,
+        args: parsed.args,
+      });
+    }
+  }
+
+  return out.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+}
+
+// one sync per contract+events at a time; callers share the result
+const inflight = new Map();
+
+/**
+ * syncEvents() + getIndexedEvents(). opts = both option sets combined.
+ */
+export async function indexEvents(contract, eventNames, opts = {}) {
+  const key = `${String(contract.address).toLowerCase()}:${eventNames.join(',')}`;
+  if (!inflight.has(key)) {
+    inflight.set(key, syncEvents(contract, eventNames, opts).finally(() => inflight.delete(key)));
+  }
+  await inflight.get(key);
+  return getIndexedEvents(contract, eventNames, opts);
+}
+
+/**
+ * Map(blockNumber -> timestamp), cached in the blocks store.
+ */
+export async function getBlockTimestamps(provider, blockNumbers) {
+  const out = new Map();
+  const missing = [];
+
+  for (const n of new Set(blockNumbers)) {
+    const hit = await dbGet('blocks', n).catch(() => null);
+    if (hit) out.set(n, hit.timestamp);
+    else missing.push(n);
+  }
+
+  const fetched = [];
+  for (const n of missing) {
+    const block = await provider.getBlock(n);
+    const ts = Number(block?.timestamp || 0);
+    out.set(n, ts);
+    if (ts) fetched.push({ number: n, timestamp: ts });
+  }
+  if (fetched.length) await dbPutMany('blocks', fetched, (r) => r.number).catch(() => {});
+
+  return out;
+}
+
+export async function clearIndex() {
+  const db = await openDb();
+  if (!db) {
+    Object.values(mem).forEach((m) => m.clear());
+    return;
+  }
+  const names = ['logs', 'cursors', 'blocks', 'meta'];
+  const tx = db.transaction(names, 'readwrite');
+  names.forEach((n) => tx.objectStore(n).clear());
+  await txDone(tx);
+}
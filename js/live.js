@@ -0,0 +1,283 @@
+/**
+ * live.js — websocket subscriptions for near real-time updates
+ *
+ * Connects to NETWORK.wsRpcUrls and subscribes to:
+ *   - newHeads                 -> scheduler notifyNewBlock (block-driven slices)
+ *   - logs per scheduler source (wallet / presaleUser / presale / vault) -> notifySourceLogs
+ *     (resubscribed on walletStateChanged, when the wallet source follows a new address)
+ *   - logs of the oracle       -> window 'oracleRateChanged' (app.js re-reads the price)
+ *
+ * While a socket is live the scheduler runs in push mode; when it drops (or no
+ * websocket is available) the scheduler falls back to HTTP polling and the
+ * socket is reconnected with exponential backoff, rotating through the URLs.
+ *
+ * Exports:
+ *   initLive()
+ *   getLiveStatus()   // { state: 'off' | 'connecting' | 'live' | 'polling', url, blockNumber, attempts }
+ *
+ * Events:
+ *   window 'liveStatusChanged' (detail = getLiveStatus())
+ *   window 'oracleRateChanged' (detail = { blockNumber, txHash })
+ */
+
+import { CONFIG } from './config.js';
+import { getWsRpcUrls } from './contracts.js';
+import { getSourceFilters, notifyNewBlock, notifySourceLogs, setPushMode } from './scheduler.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const LIVE = CONFIG?.LIVE || {};
+const RECONNECT_BASE_MS = Number(LIVE.RECONNECT_BASE_MS ?? 1000);
+const RECONNECT_MAX_MS = Number(LIVE.RECONNECT_MAX_MS ?? 60000);
+const STALL_MS = Number(LIVE.STALL_MS ?? 30000);
+const REQUEST_TIMEOUT_MS = Number(LIVE.REQUEST_TIMEOUT_MS ?? 8000);
+const RESUBSCRIBE_RETRY_MS = 5000;
+const CHAIN_ID = Number(CONFIG?.NETWORK?.chainId ?? 42161);
+
+// -----------------------------
+// State
+// -----------------------------
+let urls = [];
+let urlIndex = 0;
+let ws = null;
+let attempts = 0;          // consecutive failed connects (reset by the first head)
+let reconnectTimer = null;
+let stallTimer = null;
+let resyncTimer = null;
+let lastHeadTs = 0;
+let nextId = 1;
+let started = false;
+
+const status = { state: 'off', url: null, blockNumber: null, attempts: 0 };
+const pending = new Map();      // request id -> { resolve, reject, timer }
+const subs = new Map();         // subscription id -> 'newHeads' | 'oracle' | 'source:<name>'
+const sourceKeys = new Map();   // source name -> JSON of the filters it is subscribed with
+
+export function getLiveStatus() {
+  return { ...status };
+}
+
+function setStatus(patch) {
+  const prev = status.state;
+  Object.assign(status, patch, { attempts });
+  if (patch.state && patch.state !== prev) {
+    console.log(`[LIVE] ${patch.state}${status.url ? ` (${status.url})` : ''}`);
+  }
+  try {
+    window.dispatchEvent(new CustomEvent('liveStatusChanged', { detail: getLiveStatus() }));
+  } catch (_) {}
+}
+
+// -----------------------------
+// JSON-RPC over the socket
+// -----------------------------
+function rpc(method, params = []) {
+  return new Promise((resolve, reject) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      reject(new Error('websocket not open'));
+      return;
+    }
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`${method} timeout`));
+    }, REQUEST_TIMEOUT_MS);
+    pending.set(id, { resolve, reject, timer });
+    ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+  });
+}
+
+function rejectPending(reason) {
+  pending.forEach(({ reject, timer }) => {
+    clearTimeout(timer);
+    reject(new Error(reason));
+  });
+  pending.clear();
+}
+
+function onMessage(ev) {
+  let msg;
+  try { msg = JSON.parse(ev.data); } catch (_) { return; }
+
+  if (msg?.method === 'eth_subscription') {
+    const { subscription, result } = msg.params || {};
+    const kind = subs.get(subscription);
+    if (!kind) return;
+
+    if (kind === 'newHeads') {
+      onHead(parseInt(result?.number, 16));
+    } else if (kind === 'oracle') {
+      try {
+        window.dispatchEvent(new CustomEvent('oracleRateChanged', {
+          detail: { blockNumber: parseInt(result?.blockNumber, 16), txHash: result?.transactionHash || null }
+        }));
+      } catch (_) {}
+    } else if (kind.startsWith('source:')) {
+      notifySourceLogs(kind.slice('source:'.length));
+    }
+    return;
+  }
+
+  const req = msg?.id != null ? pending.get(msg.id) : null;
+  if (!req) return;
+  pending.delete(msg.id);
+  clearTimeout(req.timer);
+  if (msg.error) req.reject(Object.assign(new Error(msg.error.message || 'rpc error'), { code: msg.error.code }));
+  else req.resolve(msg.result);
+}
+
+// -----------------------------
+// Subscriptions
+// -----------------------------
+async function subscribe(kind, params) {
+  const id = await rpc('eth_subscribe', params);
+  subs.set(id, kind);
+  return id;
+}
+
+async function unsubscribeKinds(pred) {
+  const ids = [...subs].filter(([, kind]) => pred(kind)).map(([id]) => id);
+  ids.forEach((id) => subs.delete(id));
+  await Promise.all(ids.map((id) => rpc('eth_unsubscribe', [id]).catch(() => {})));
+}
+
+// wallet source follows the connected address: resubscribe a source when its filters change
+async function syncSourceSubscriptions() {
+  for (const [name, filters] of getSourceFilters()) {
+    const list = (filters || []).map((f) => ({ address: f.address, topics: f.topics }));
+    const key = JSON.stringify(list);
+    if (sourceKeys.get(name) === key) continue;
+    sourceKeys.set(name, key);
+
+    const kind = `source:${name}`;
+    try {
+      await unsubscribeKinds((k) => k === kind);
+      for (const filter of list) await subscribe(kind, ['logs', filter]);
+    } catch (e) {
+      sourceKeys.delete(name); // retried by resyncSources
+      throw e;
+    }
+  }
+}
+
+// no-op while the filters are unchanged; a failure retries on a timer
+function resyncSources() {
+  clearTimeout(resyncTimer);
+  resyncTimer = null;
+  if (status.state !== 'live') return; // connect() subscribes on open
+  syncSourceSubscriptions().catch((e) => {
+    console.warn('[LIVE] resubscribe failed:', e?.message || e);
+    resyncTimer = setTimeout(resyncSources, RESUBSCRIBE_RETRY_MS);
+  });
+}
+
+function onHead(n) {
+  if (!Number.isFinite(n)) return;
+  lastHeadTs = Date.now();
+  if (attempts) attempts = 0;
+  if (status.blockNumber == null || n > status.blockNumber) setStatus({ blockNumber: n });
+  notifyNewBlock(n);
+}
+
+// -----------------------------
+// Connection
+// -----------------------------
+function scheduleReconnect() {
+  clearTimeout(reconnectTimer);
+  if (!started) return;
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts);
+  attempts += 1;
+  urlIndex = (urlIndex + 1) % urls.length;
+  setStatus({ state: 'polling' });
+  console.log(`[LIVE] reconnect in ${Math.round(delay / 1000)}s`);
+  reconnectTimer = setTimeout(connect, delay + Math.floor(Math.random() * 250));
+}
+
+function teardown() {
+  clearInterval(stallTimer);
+  stallTimer = null;
+  clearTimeout(resyncTimer);
+  resyncTimer = null;
+  subs.clear();
+  sourceKeys.clear();
+  rejectPending('websocket closed');
+  if (ws) {
+    ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+    try { ws.close(); } catch (_) {}
+    ws = null;
+  }
+  setPushMode(false);
+}
+
+function connect() {
+  const url = urls[urlIndex];
+  setStatus({ state: 'connecting', url });
+
+  let sock;
+  try {
+    sock = new WebSocket(url);
+  } catch (e) {
+    console.warn('[LIVE] websocket failed:', url, e?.message || e);
+    scheduleReconnect();
+    return;
+  }
+  ws = sock;
+
+  sock.onmessage = onMessage;
+  sock.onerror = () => {};  // onclose follows with the details
+  sock.onclose = (ev) => {
+    if (ws !== sock) return;
+    console.warn('[LIVE] websocket closed:', url, ev?.code || '', ev?.reason || '');
+    teardown();
+    scheduleReconnect();
+  };
+  sock.onopen = async () => {
+    try {
+      const chainId = parseInt(await rpc('eth_chainId'), 16);
+      if (chainId !== CHAIN_ID) throw new Error(`wrong chainId ${chainId}`);
+
+      await subscribe('newHeads', ['newHeads']);
+      if (CONFIG?.ORACLE_ADDRESS) await subscribe('oracle', ['logs', { address: CONFIG.ORACLE_ADDRESS }]);
+      await syncSourceSubscriptions();
+    } catch (e) {
+      console.warn('[LIVE] subscribe failed:', url, e?.message || e);
+      if (ws === sock) {
+        teardown();
+        scheduleReconnect();
+      }
+      return;
+    }
+
+    lastHeadTs = Date.now();
+    stallTimer = setInterval(() => {
+      if (Date.now() - lastHeadTs < STALL_MS) return;
+      console.warn('[LIVE] no new heads for', Math.round(STALL_MS / 1000), 's:', url);
+      teardown();
+      scheduleReconnect();
+    }, Math.max(1000, Math.floor(STALL_MS / 3)));
+
+    setPushMode(true);
+    setStatus({ state: 'live' });
+    // the wallet may have connected while the subscriptions were being set up
+    resyncSources();
+  };
+}
+
+// -----------------------------
+// Init
+// -----------------------------
+export function initLive() {
+  if (started) return;
+  urls = getWsRpcUrls();
+
+  if (LIVE.ENABLED === false || !urls.length || typeof WebSocket === 'undefined') {
+    console.log('[LIVE] websocket unavailable, using HTTP polling');
+    setStatus({ state: 'polling' });
+    return;
+  }
+
+  started = true;
+  window.addEventListener('walletStateChanged', resyncSources);
+  connect();
+}
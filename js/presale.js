@@ -10,13 +10,18 @@
  *   initPresaleWrite()
  *   getPresaleWriteContracts()
  *   quoteArubForUsdt(usdtAmountHuman)
+ *   quoteArubFormatted(usdtAmountHuman, maxFrac?)
  *   buyWithUsdt(usdtAmountHuman, opts?)
  */
 
 import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
 import { CONFIG } from './config.js';
-import { ERC20_ABI, PRESALE_ABI } from './abis.js';
-import { isWalletConnected, getSigner, getAddress } from './wallet.js';
+import { ERC20_ABI, PRESALE_READ_ABI, PRESALE_WRITE_ABI } from './abis.js';
+import { getSigner } from './wallet.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { runTx } from './txManager.js';
+
+const PRESALE_ABI = [...PRESALE_WRITE_ABI, ...PRESALE_READ_ABI];
 
 // -----------------------------
 // State
@@ -69,12 +74,8 @@ export function getPresaleWriteContracts() {
 export async function initPresaleWrite() {
   assertConfig();
 
-  if (!isWalletConnected()) {
-    // Not throwing here allows UI to call init safely before connect
-    return false;
-  }
-
-  const signer = getSigner?.();
+  // Not throwing here allows UI to call init safely before connect
+  const signer = window.walletState?.signer || getSigner?.();
   if (!signer) return false;
 
   usdt = new ethers.Contract(CONFIG.USDT_ADDRESS, ERC20_ABI, signer);
@@ -111,86 +112,53 @@ export async function quoteArubForUsdt(usdtAmountHuman) {
 export async function buyWithUsdt(usdtAmountHuman, opts = {}) {
   /**
    * opts:
+   *  - signer: ethers.Signer (default window.walletState.signer)
+   *  - withBonus: boolean (default false; true locks the purchase for the bonus)
    *  - confirmations: number (default CONFIG.TX_CONFIRMATIONS || 1)
    *  - onStatus: (stage: string, payload?: any) => void
    *
-   * stages:
-   *  - 'init'
-   *  - 'check_paused'
-   *  - 'check_allowance'
-   *  - 'approve_submitted'
-   *  - 'approve_confirmed'
-   *  - 'buy_submitted'
-   *  - 'buy_confirmed'
+   * stages (txManager.runTx): preflight (paused) -> approve (USDT allowance) -> sign -> submitted -> confirmed | failed
    */
-  const confirmations = Number.isFinite(opts.confirmations)
-    ? opts.confirmations
-    : (CONFIG.TX_CONFIRMATIONS ?? 1);
-
-  const onStatus = typeof opts.onStatus === 'function' ? opts.onStatus : null;
-
-    const signer = opts?.signer || window.walletState?.signer || null;
+  const signer = opts?.signer || window.walletState?.signer || null;
   if (!signer) throw new Error('Wallet not connected or signer not ready');
   await initFromSigner(signer);
-  const user = await signer.getAddress();
+
   const amt = Number(usdtAmountHuman);
   if (!Number.isFinite(amt) || amt <= 0) throw new Error('Invalid USDT amount');
 
-  onStatus?.('init');
-
-  // Optional pause check if contract has paused()
-  if (presale?.paused) {
-    onStatus?.('check_paused');
-    const paused = await presale.paused();
-    if (paused) throw new Error('Presale is paused');
-  }
-
   const usdtAmountBN = toBN(amt, usdtDecimals ?? 6);
-
-  // Allowance check
-  onStatus?.('check_allowance');
-  const allowance = await usdt.allowance(user, CONFIG.PRESALE_ADDRESS);
-
-  if (allowance.lt(usdtAmountBN)) {
-    const txApprove = await usdt.approve(CONFIG.PRESALE_ADDRESS, usdtAmountBN);
-    onStatus?.('approve_submitted', { hash: txApprove.hash });
-    await txApprove.wait(confirmations);
-    onStatus?.('approve_confirmed', { hash: txApprove.hash });
-  }
-
-  // BUY
-  const txBuy = await presale.buy(usdtAmountBN);
-  onStatus?.('buy_submitted', { hash: txBuy.hash });
-  const receipt = await txBuy.wait(confirmations);
-  onStatus?.('buy_confirmed', { hash: txBuy.hash, receipt });
-
-  return receipt;
+  const withBonus = !!opts.withBonus;
+
+  return runTx({
+    ...opts,
+    kind: 'buy',
+    signer,
+    contract: presale,
+    method: 'buyWithUSDT',
+    args: [usdtAmountBN, withBonus],
+    approve: { token: CONFIG.USDT_ADDRESS, spender: CONFIG.PRESALE_ADDRESS, amount: usdtAmountBN },
+    preflight: async () => {
+      if (await presale.paused()) throw new Error('Presale is paused');
+    },
+    meta: { amount: usdtAmountBN.toString(), symbol: 'USDT', withBonus },
+  });
 }
 // -----------------------------
 // Quote helpers for UI
 // -----------------------------
-let roProvider = null;
 let roToken = null;
 let tokenDecimals = null;
 
-function getReadOnlyProvider() {
-  if (roProvider) return roProvider;
-  const rpc = CONFIG?.NETWORK?.rpcUrls?.[0];
-  if (!rpc) throw new Error('CONFIG.NETWORK.rpcUrls[0] missing');
-  roProvider = new ethers.providers.JsonRpcProvider(rpc);
-  return roProvider;
-}
-
 async function getTokenDecimals() {
   if (tokenDecimals != null) return tokenDecimals;
 
   if (!CONFIG?.TOKEN_ADDRESS) throw new Error('CONFIG.TOKEN_ADDRESS missing');
-  roToken = roToken || new ethers.Contract(CONFIG.TOKEN_ADDRESS, ERC20_ABI, getReadOnlyProvider());
+  roToken = roToken || new ethers.Contract(CONFIG.TOKEN_ADDRESS, ERC20_ABI, await getReadOnlyProviderAsync());
 
   try {
     tokenDecimals = await roToken.decimals();
   } catch (_) {
-    tokenDecimals = 18; // fallback
+    tokenDecimals = CONFIG?.TOKEN_DECIMALS ?? 6; // fallback
   }
   return tokenDecimals;
 }
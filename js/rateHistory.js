@@ -0,0 +1,224 @@
+/**
+ * rateHistory.js — on-chain USD/RUB series from ArubOracle RateUpdated logs
+ *
+ * Logs come from the shared event indexer (indexer.js): later loads only scan
+ * forward, or backward when a wider range is requested. The range start is
+ * rounded down to a day so its block lookup is memoized.
+ *
+ * Exports:
+ *   RATE_RANGES
+ *   loadRateHistory(rangeKey, opts?)
+ *   initRateHistoryChart()
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ORACLE_ABI } from './abis.js';
+import { getStoredLang } from './i18n.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { indexEvents, blockAtTimestamp } from './indexer.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+export const RATE_RANGES = {
+  '24h': 24 * 3600,
+  '7d': 7 * 24 * 3600,
+  '30d': 30 * 24 * 3600,
+  all: null,
+};
+
+const LEGACY_STORAGE_PREFIX = 'arub:rateHistory:v1';
+const DAY_SEC = 24 * 3600;
+const REFRESH_MIN_MS = 60_000;
+
+const I18N = {
+  ru: {
+    loading: 'Завантаження історії курсу…',
+    empty: 'Немає оновлень курсу за цей період',
+    failed: 'Не вдалося завантажити історію курсу',
+    points: 'Оновлень: {{n}}',
+    label: 'Курс оракула (USD/RUB)',
+  },
+  en: {
+    loading: 'Loading rate history…',
+    empty: 'No rate updates in this period',
+    failed: 'Failed to load rate history',
+    points: 'Updates: {{n}}',
+    label: 'Oracle rate (USD/RUB)',
+  },
+};
+
+function t(key, vars) {
+  const lang = (getStoredLang?.() || 'ru');
+  const dict = I18N[lang] || I18N.ru;
+  let out = dict[key] || I18N.ru[key] || key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
+}
+
+// -----------------------------
+// Load
+// -----------------------------
+
+// block-window cache from before the shared indexer
+function dropLegacyCache() {
+  try {
+    if (!window?.localStorage) return;
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(LEGACY_STORAGE_PREFIX)) localStorage.removeItem(k);
+    }
+  } catch (_) {}
+}
+dropLegacyCache();
+
+function getHistoryStartTs() {
+  const ms = Date.parse(CONFIG?.ORACLE_HISTORY_START_UTC || '');
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : 0;
+}
+
+/**
+ * Returns [{ ts, rate }] for the given range, oldest first.
+ * opts.onProgress(pct) reports scan progress (0..100).
+ */
+export async function loadRateHistory(rangeKey = '7d', opts = {}) {
+  const span = RATE_RANGES[rangeKey];
+  const nowSec = Math.floor(Date.now() / 1000);
+  const startTs = getHistoryStartTs();
+  const cutoffTs = span == null ? startTs : Math.max(startTs, nowSec - span);
+
+  const provider = await getReadOnlyProviderAsync();
+  const oracle = new ethers.Contract(CONFIG.ORACLE_ADDRESS, ORACLE_ABI, provider);
+  const fromBlock = await blockAtTimestamp(provider, Math.floor(cutoffTs / DAY_SEC) * DAY_SEC);
+
+  const events = await indexEvents(oracle, ['RateUpdated'], {
+    fromBlock,
+    onProgress: opts.onProgress,
+  });
+
+  const d = Number(CONFIG?.ORACLE_RATE_DECIMALS ?? 6);
+  return events
+    .map((ev) => ({
+      ts: Number(ev.args.updatedAt.toString()),
+      rate: Number(ethers.utils.formatUnits(ev.args.rate, d)),
+    }))
+    .filter((p) => p.ts >= cutoffTs);
+}
+
+// -----------------------------
+// Chart (Chart.js is loaded globally in index.html)
+// -----------------------------
+let chart = null;
+let currentRange = '7d';
+let lastLoadTs = 0;
+
+function formatLabel(tsSec, rangeKey) {
+  const lang = (getStoredLang?.() || 'ru') === 'en' ? 'en-GB' : 'uk-UA';
+  const d = new Date(tsSec * 1000);
+  if (rangeKey === '24h') {
+    return d.toLocaleTimeString(lang, { hour: '2-digit', minute: '2-digit' });
+  }
+  return d.toLocaleString(lang, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+function setStatus(text) {
+  const el = document.getElementById('rateHistoryStatus');
+  if (el) el.textContent = text;
+}
+
+function markActiveRange(rangeKey) {
+  document.querySelectorAll('[data-rate-range]').forEach((btn) => {
+    btn.classList.toggle('active', btn.getAttribute('data-rate-range') === rangeKey);
+  });
+}
+
+async function renderRange(rangeKey) {
+  const canvas = document.getElementById('rateHistoryChart');
+  if (!canvas || typeof window.Chart !== 'function') return;
+
+  currentRange = rangeKey;
+  markActiveRange(rangeKey);
+  setStatus(t('loading'));
+
+  let points;
+  try {
+    points = await loadRateHistory(rangeKey, {
+      onProgress: (p) => setStatus(`${t('loading')} ${Math.floor(p)}%`),
+    });
+  } catch (e) {
+    console.warn('[RATE] loadRateHistory failed:', e?.message || e);
+    setStatus(t('failed'));
+    return;
+  }
+  lastLoadTs = Date.now();
+
+  // range was switched while loading
+  if (rangeKey !== currentRange) return;
+
+  setStatus(points.length ? t('points', { n: points.length }) : t('empty'));
+
+  const labels = points.map((p) => formatLabel(p.ts, rangeKey));
+  const data = points.map((p) => p.rate);
+
+  if (!chart) {
+    chart = new window.Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          { label: t('label'), data, stepped: true, borderWidth: 2, borderColor: '#ffd54a', fill: false, pointRadius: 0, pointHoverRadius: 4 },
+        ],
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${Number(context.parsed.y).toFixed(4)} RUB`,
+            },
+          },
+        },
+        scales: {
+          x: { ticks: { maxTicksLimit: 8, autoSkip: true } },
+          y: { beginAtZero: false },
+        },
+      },
+    });
+    return;
+  }
+
+  chart.data.labels = labels;
+  chart.data.datasets[0].data = data;
+  chart.data.datasets[0].label = t('label');
+  chart.update();
+}
+
+export function initRateHistoryChart() {
+  if (!document.getElementById('rateHistoryChart')) return;
+
+  document.querySelectorAll('[data-rate-range]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const key = btn.getAttribute('data-rate-range');
+      if (!(key in RATE_RANGES)) return;
+      renderRange(key).catch(() => {});
+    });
+  });
+
+  // new RateUpdated logs show up with the regular stats refresh
+  window.addEventListener('oraclePriceUpdated', () => {
+    if (Date.now() - lastLoadTs < REFRESH_MIN_MS) return;
+    renderRange(currentRange).catch(() => {});
+  });
+
+  window.addEventListener('langChanged', () => {
+    if (chart) renderRange(currentRange).catch(() => {});
+  });
+
+  renderRange(currentRange).catch(() => {});
+}
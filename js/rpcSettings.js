@@ -0,0 +1,491 @@
+/**
+ * rpcSettings.js — custom RPC endpoints + diagnostics panel
+ *
+ * Users add their own node URLs (stored by contracts.js in localStorage and
+ * tried before CONFIG.NETWORK urls). The panel lists every endpoint of the
+ * read-only pool with live diagnostics: chainId check, latency, block height,
+ * eth_getLogs range limit and the last error, plus the live-update
+ * (websocket / HTTP polling) status.
+ *
+ * Opened from #rpcSettingsLink (footer).
+ *
+ * Exports:
+ *   initRpcSettings()
+ *   openRpcSettings()
+ *   diagnoseRpc(url)
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { getStoredLang } from './i18n.js';
+import { showNotification } from './ui.js';
+import { getLiveStatus } from './live.js';
+import { getCustomRpcUrls, setCustomRpcUrls, getRpcPoolHealth } from './contracts.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const LIVE_REFRESH_MS = 5000;
+const DIAG_TIMEOUT_MS = 8000;
+// overall cap for the eth_getLogs range probe of one endpoint
+const LOGS_PROBE_BUDGET_MS = 20000;
+// eth_getLogs spans tried from the widest down; the first accepted one is the limit
+const LOG_RANGE_STEPS = [100000, 50000, 10000, 5000, 2000, 1000, 100];
+
+// -----------------------------
+// i18n
+// -----------------------------
+const I18N = {
+  ru: {
+    title: 'RPC-вузли',
+    subtitle: 'Власні вузли використовуються першими; якщо вони недоступні — працюють стандартні.',
+    add_placeholder: 'https://your-node.example/rpc',
+    add_btn: 'Додати',
+    test_all_btn: 'Перевірити всі',
+    close_btn: 'Закрити',
+    col_url: 'URL',
+    col_chain: 'chainId',
+    col_latency: 'Затримка',
+    col_block: 'Блок',
+    col_logs: 'eth_getLogs',
+    col_status: 'Стан',
+    col_error: 'Остання помилка',
+    src_custom: 'власний',
+    src_config: 'стандартний',
+    st_ok: 'працює',
+    st_cooling: 'пауза {{sec}} с',
+    st_disabled: 'вимкнено',
+    st_unknown: '—',
+    logs_none: 'недоступно',
+    testing: 'перевірка…',
+    invalid_url: 'Вкажіть URL, що починається з http:// або https://',
+    already_added: 'Цей URL уже в списку',
+    chain_mismatch: 'Вузол працює в іншій мережі (chainId {{got}}, потрібно {{exp}})',
+    added_unreachable: 'URL додано, але вузол зараз не відповідає: {{err}}',
+    added_ok: 'RPC-вузол додано',
+    move_up: 'Вище',
+    move_down: 'Нижче',
+    remove: 'Видалити',
+    live_live: 'Оновлення в реальному часі: WebSocket ({{url}}), блок {{block}}',
+    live_connecting: 'Підключення WebSocket ({{url}})…',
+    live_polling: 'Оновлення через HTTP-опитування (WebSocket недоступний)',
+  },
+  en: {
+    title: 'RPC endpoints',
+    subtitle: 'Your own nodes are used first; the default endpoints take over when they are unavailable.',
+    add_placeholder: 'https://your-node.example/rpc',
+    add_btn: 'Add',
+    test_all_btn: 'Test all',
+    close_btn: 'Close',
+    col_url: 'URL',
+    col_chain: 'chainId',
+    col_latency: 'Latency',
+    col_block: 'Block',
+    col_logs: 'eth_getLogs',
+    col_status: 'Status',
+    col_error: 'Last error',
+    src_custom: 'custom',
+    src_config: 'default',
+    st_ok: 'ok',
+    st_cooling: 'cooling {{sec}}s',
+    st_disabled: 'disabled',
+    st_unknown: '—',
+    logs_none: 'unavailable',
+    testing: 'testing…',
+    invalid_url: 'Enter a URL starting with http:// or https://',
+    already_added: 'This URL is already in the list',
+    chain_mismatch: 'Node is on another network (chainId {{got}}, expected {{exp}})',
+    added_unreachable: 'URL added, but the node does not respond right now: {{err}}',
+    added_ok: 'RPC endpoint added',
+    move_up: 'Up',
+    move_down: 'Down',
+    remove: 'Remove',
+    live_live: 'Live updates: WebSocket ({{url}}), block {{block}}',
+    live_connecting: 'Connecting WebSocket ({{url}})…',
+    live_polling: 'Updates via HTTP polling (WebSocket unavailable)',
+  },
+};
+
+function t(key, vars) {
+  const lang = (getStoredLang?.() || 'ru');
+  const dict = I18N[lang] || I18N.ru;
+  let out = dict[key] || I18N.ru[key] || key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[c]));
+}
+
+// -----------------------------
+// Diagnostics
+// -----------------------------
+const diagByUrl = new Map(); // url -> { chainId, chainOk, latencyMs, block, logsRange, error, testing }
+const providerByUrl = new Map(); // url -> StaticJsonRpcProvider (reused by the live refresh)
+
+function expectedChainId() {
+  return Number(CONFIG?.NETWORK?.chainId ?? 42161);
+}
+
+function getProvider(url) {
+  let provider = providerByUrl.get(url);
+  if (!provider) {
+    provider = new ethers.providers.StaticJsonRpcProvider(
+      { url, timeout: DIAG_TIMEOUT_MS, throttleLimit: 1, throttleCallback: () => Promise.resolve(false) },
+      { chainId: expectedChainId(), name: CONFIG?.NETWORK?.name || 'arbitrum' }
+    );
+    providerByUrl.set(url, provider);
+  }
+  return provider;
+}
+
+function withTimeout(promise, ms, msg = 'Timeout') {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(msg)), ms))
+  ]);
+}
+
+function shortError(e) {
+  const inner = e?.error?.message || e?.reason || e?.message || String(e);
+  return String(inner).split(' (')[0].slice(0, 160);
+}
+
+// null when the budget runs out before any span is accepted (limit unknown)
+async function probeLogsRange(provider, head) {
+  const address = CONFIG?.PRESALE_ADDRESS;
+  const deadline = Date.now() + LOGS_PROBE_BUDGET_MS;
+  for (const span of LOG_RANGE_STEPS) {
+    const left = deadline - Date.now();
+    if (left <= 0) return null;
+    try {
+      await withTimeout(provider.send('eth_getLogs', [{
+        address,
+        fromBlock: ethers.utils.hexValue(Math.max(0, head - span + 1)),
+        toBlock: ethers.utils.hexValue(head),
+      }]), left);
+      return span;
+    } catch (_) {}
+  }
+  return 0;
+}
+
+/**
+ * Full check of one endpoint (independent of the pool).
+ * @returns {Promise<{url, chainId:number|null, chainOk:boolean, latencyMs:number|null, block:number|null, logsRange:number|null, error:string|null}>}
+ */
+export async function diagnoseRpc(url) {
+  const out = { url, chainId: null, chainOk: false, latencyMs: null, block: null, logsRange: null, error: null };
+  const provider = getProvider(url);
+
+  try {
+    out.chainId = Number.parseInt(await provider.send('eth_chainId', []), 16);
+    out.chainOk = out.chainId === expectedChainId();
+    if (!out.chainOk) {
+      out.error = t('chain_mismatch', { got: out.chainId, exp: expectedChainId() });
+      return out;
+    }
+
+    const t0 = Date.now();
+    out.block = Number.parseInt(await provider.send('eth_blockNumber', []), 16);
+    out.latencyMs = Date.now() - t0;
+
+    out.logsRange = await probeLogsRange(provider, out.block);
+  } catch (e) {
+    out.error = shortError(e);
+  }
+  return out;
+}
+
+// Light live refresh: head + latency only (getLogs limits do not change)
+async function refreshHead(url) {
+  const prev = diagByUrl.get(url) || {};
+  try {
+    const t0 = Date.now();
+    const block = Number.parseInt(await getProvider(url).send('eth_blockNumber', []), 16);
+    diagByUrl.set(url, { ...prev, block, latencyMs: Date.now() - t0, error: null });
+  } catch (e) {
+    diagByUrl.set(url, { ...prev, error: shortError(e) });
+  }
+}
+
+async function runDiagnosis(url) {
+  diagByUrl.set(url, { ...(diagByUrl.get(url) || {}), testing: true });
+  render();
+  const res = await diagnoseRpc(url);
+  diagByUrl.set(url, { ...res, testing: false });
+  render();
+  return res;
+}
+
+// -----------------------------
+// Endpoint list (pool order)
+// -----------------------------
+function listEndpoints() {
+  const custom = getCustomRpcUrls();
+  const health = getRpcPoolHealth();
+  const byUrl = new Map(health.map((h) => [h.url, h]));
+
+  const net = CONFIG?.NETWORK || {};
+  const pooled = health.length
+    ? health.map((h) => h.url)
+    : [...new Set([net.readOnlyRpcUrl, ...(net.walletRpcUrls || [])].filter(Boolean))];
+  // custom urls not in the pool yet (read-only init pending/failed)
+  const urls = [...custom.filter((u) => !pooled.includes(u)), ...pooled];
+
+  return urls.map((url) => ({
+    url,
+    custom: custom.includes(url),
+    customIndex: custom.indexOf(url),
+    health: byUrl.get(url) || null,
+    diag: diagByUrl.get(url) || null,
+  }));
+}
+
+// -----------------------------
+// Modal
+// -----------------------------
+let modal = null;
+let liveTimer = null;
+
+function statusLabel(h) {
+  if (!h) return t('st_unknown');
+  if (h.disabled) return `<span style="color:#f87171;">${t('st_disabled')}</span>`;
+  if (h.cooling) return `<span style="color:#facc15;">${t('st_cooling', { sec: Math.ceil(h.cooldownLeftMs / 1000) })}</span>`;
+  return `<span style="color:#4ade80;">${t('st_ok')}</span>`;
+}
+
+function rowHtml(row, customCount) {
+  const { url, custom, customIndex, health: h, diag: d } = row;
+
+  const chain = d?.testing ? t('testing')
+    : d?.chainId == null ? t('st_unknown')
+    : d.chainOk ? `✓ ${d.chainId}` : `<span style="color:#f87171;">✗ ${d.chainId}</span>`;
+  const latency = d?.latencyMs ?? h?.latencyMs;
+  const logs = d?.logsRange == null ? t('st_unknown')
+    : d.logsRange === 0 ? t('logs_none')
+    : d.logsRange === LOG_RANGE_STEPS[0] ? `≥ ${d.logsRange.toLocaleString()}`
+    : d.logsRange.toLocaleString();
+  const lastError = d?.error || h?.lastError || '';
+
+  const btn = 'padding:2px 8px; border-radius:6px; border:1px solid rgba(255,255,255,0.2); background:transparent; color:inherit; cursor:pointer;';
+  const controls = custom ? `
+      <button type="button" data-rpc-up="${customIndex}" title="${t('move_up')}" style="${btn}" ${customIndex === 0 ? 'disabled' : ''}>↑</button>
+      <button type="button" data-rpc-down="${customIndex}" title="${t('move_down')}" style="${btn}" ${customIndex === customCount - 1 ? 'disabled' : ''}>↓</button>
+      <button type="button" data-rpc-remove="${customIndex}" title="${t('remove')}" style="${btn}">✕</button>` : '';
+
+  return `
+    <tr style="border-top:1px solid rgba(255,255,255,0.08);">
+      <td style="padding:6px; word-break:break-all;">
+        ${escapeHtml(url)}
+        <div style="font-size:11px; opacity:0.6;">${custom ? t('src_custom') : t('src_config')}</div>
+      </td>
+      <td style="padding:6px; white-space:nowrap;">${chain}</td>
+      <td style="padding:6px; white-space:nowrap;">${latency == null ? t('st_unknown') : `${Math.round(latency)} ms`}</td>
+      <td style="padding:6px; white-space:nowrap;">${d?.block == null ? t('st_unknown') : d.block.toLocaleString()}</td>
+      <td style="padding:6px; white-space:nowrap;">${logs}</td>
+      <td style="padding:6px; white-space:nowrap;">${statusLabel(h)}</td>
+      <td style="padding:6px; font-size:11px; opacity:0.8; max-width:200px; word-break:break-word;">${escapeHtml(lastError)}</td>
+      <td style="padding:6px; white-space:nowrap;">
+        <button type="button" data-rpc-test="${escapeHtml(url)}" style="${btn}">↻</button>${controls}
+      </td>
+    </tr>`;
+}
+
+function render() {
+  const body = modal?.querySelector('#rpcSettingsRows');
+  if (!body) return;
+
+  const rows = listEndpoints();
+  const customCount = rows.filter((r) => r.custom).length;
+  body.innerHTML = rows.map((r) => rowHtml(r, customCount)).join('');
+  renderLiveStatus();
+}
+
+function renderLiveStatus() {
+  const el = modal?.querySelector('#rpcSettingsLive');
+  if (!el) return;
+  const st = getLiveStatus();
+  const key = st.state === 'live' || st.state === 'connecting' ? `live_${st.state}` : 'live_polling';
+  el.textContent = t(key, { url: st.url || '—', block: st.blockNumber ?? '—' });
+  el.style.color = st.state === 'live' ? '#4ade80' : '#facc15';
+}
+
+function buildModal() {
+  const wrap = document.createElement('div');
+  wrap.className = 'wallet-modal';
+  wrap.id = 'rpcSettingsModal';
+  wrap.style.display = 'none';
+
+  const th = 'text-align:left; padding:6px; font-weight:600; opacity:0.7; white-space:nowrap;';
+  wrap.innerHTML = `
+    <div class="wallet-modal-content" style="max-width:1000px; padding:28px;">
+      <div class="wallet-modal-title" style="font-size:1.6em; margin-bottom:8px;">${t('title')}</div>
+      <div style="text-align:center; font-size:13px; opacity:0.75; margin-bottom:18px;">${t('subtitle')}</div>
+
+      <div style="display:flex; gap:8px; margin-bottom:14px;">
+        <input id="rpcSettingsInput" type="url" placeholder="${t('add_placeholder')}"
+          style="flex:1; padding:10px 12px; border-radius:10px; border:1px solid rgba(255,255,255,0.2); background:rgba(0,0,0,0.3); color:inherit;">
+        <button type="button" id="rpcSettingsAdd" class="connect-btn">${t('add_btn')}</button>
+      </div>
+
+      <div style="overflow-x:auto;">
+        <table style="width:100%; border-collapse:collapse; font-size:13px;">
+          <thead>
+            <tr>
+              <th style="${th}">${t('col_url')}</th>
+              <th style="${th}">${t('col_chain')}</th>
+              <th style="${th}">${t('col_latency')}</th>
+              <th style="${th}">${t('col_block')}</th>
+              <th style="${th}">${t('col_logs')}</th>
+              <th style="${th}">${t('col_status')}</th>
+              <th style="${th}">${t('col_error')}</th>
+              <th style="${th}"></th>
+            </tr>
+          </thead>
+          <tbody id="rpcSettingsRows"></tbody>
+        </table>
+      </div>
+
+      <div style="display:flex; justify-content:space-between; align-items:center; gap:8px; margin-top:16px;">
+        <div id="rpcSettingsLive" style="font-size:12px; opacity:0.85;"></div>
+        <div style="display:flex; gap:8px;">
+        <button type="button" id="rpcSettingsTestAll" class="connect-btn">${t('test_all_btn')}</button>
+        <button type="button" id="rpcSettingsClose" class="connect-btn">${t('close_btn')}</button>
+        </div>
+      </div>
+    </div>`;
+
+  wrap.addEventListener('click', (e) => {
+    if (e.target === wrap) closeRpcSettings();
+
+    const b = e.target.closest?.('button');
+    if (!b) return;
+
+    if (b.id === 'rpcSettingsClose') closeRpcSettings();
+    else if (b.id === 'rpcSettingsAdd') addFromInput();
+    else if (b.id === 'rpcSettingsTestAll') listEndpoints().forEach((r) => runDiagnosis(r.url));
+    else if (b.dataset.rpcTest) runDiagnosis(b.dataset.rpcTest);
+    else if (b.dataset.rpcUp != null) moveCustom(Number(b.dataset.rpcUp), -1);
+    else if (b.dataset.rpcDown != null) moveCustom(Number(b.dataset.rpcDown), 1);
+    else if (b.dataset.rpcRemove != null) removeCustom(Number(b.dataset.rpcRemove));
+  });
+
+  wrap.querySelector('#rpcSettingsInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addFromInput();
+  });
+
+  document.body.appendChild(wrap);
+  return wrap;
+}
+
+// -----------------------------
+// Edits
+// -----------------------------
+async function addFromInput() {
+  const input = modal?.querySelector('#rpcSettingsInput');
+  const url = String(input?.value || '').trim();
+
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    showNotification?.(t('invalid_url'), 'error');
+    return;
+  }
+  const custom = getCustomRpcUrls();
+  if (custom.includes(url)) {
+    showNotification?.(t('already_added'), 'error');
+    return;
+  }
+
+  const res = await runDiagnosis(url);
+  if (res.chainId != null && !res.chainOk) {
+    providerByUrl.delete(url);
+    showNotification?.(res.error, 'error');
+    return;
+  }
+
+  setCustomRpcUrls([...custom, url]);
+  if (input) input.value = '';
+  showNotification?.(res.error ? t('added_unreachable', { err: res.error }) : t('added_ok'), res.error ? 'error' : 'success');
+  render();
+}
+
+function moveCustom(i, dir) {
+  const list = getCustomRpcUrls();
+  const j = i + dir;
+  if (i < 0 || j < 0 || i >= list.length || j >= list.length) return;
+  [list[i], list[j]] = [list[j], list[i]];
+  setCustomRpcUrls(list);
+  render();
+}
+
+function removeCustom(i) {
+  const list = getCustomRpcUrls();
+  if (i < 0 || i >= list.length) return;
+  const [url] = list.splice(i, 1);
+  diagByUrl.delete(url);
+  providerByUrl.delete(url);
+  setCustomRpcUrls(list);
+  render();
+}
+
+// -----------------------------
+// Public
+// -----------------------------
+export function openRpcSettings() {
+  if (!modal) modal = buildModal();
+  modal.style.display = 'flex';
+  render();
+
+  // first open: full check of every endpoint, then heads only
+  listEndpoints().forEach((r) => {
+    if (!diagByUrl.has(r.url)) runDiagnosis(r.url);
+  });
+
+  clearInterval(liveTimer);
+  liveTimer = setInterval(async () => {
+    if (document.hidden) return;
+    await Promise.all(listEndpoints().filter((r) => !r.diag?.testing && r.diag?.chainOk !== false).map((r) => refreshHead(r.url)));
+    render();
+  }, LIVE_REFRESH_MS);
+}
+
+function closeRpcSettings() {
+  clearInterval(liveTimer);
+  liveTimer = null;
+  if (modal) modal.style.display = 'none';
+}
+
+export function initRpcSettings() {
+  const link = document.getElementById('rpcSettingsLink');
+  if (!link) return;
+
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    openRpcSettings();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal?.style.display === 'flex') closeRpcSettings();
+  });
+
+  window.addEventListener('liveStatusChanged', () => {
+    if (modal?.style.display === 'flex') renderLiveStatus();
+  });
+
+  // static labels are baked into the modal: rebuild on language switch
+  window.addEventListener('langChanged', () => {
+    if (!modal) return;
+    const wasOpen = modal.style.display === 'flex';
+    closeRpcSettings();
+    modal.remove();
+    modal = null;
+    if (wasOpen) openRpcSettings();
+  });
+}
@@ -0,0 +1,311 @@
+/**
+ * scheduler.js — block-driven refresh scheduler
+ *
+ * UI data slices register a refresh function, a priority and the change
+ * sources they depend on. On every new block each source is checked with one
+ * eth_getLogs over the new block range, and only slices whose sources saw
+ * logs are refreshed.
+ *
+ * - deduplicated: a slice requested while queued runs once; requested while
+ *   running, it runs once more afterwards
+ * - slices run one at a time, lowest priority number first
+ * - a slice may ask for a retry (markStale) — it runs on the next block
+ * - polling pauses while the tab is hidden; on return the gap is scanned once
+ * - push mode (live.js websocket): heads and source logs are pushed, so the
+ *   timer and the per-block eth_getLogs scan are off until push mode ends;
+ *   pushed heads still tick at most once per POLL_MS (the latest head trails)
+ *
+ * Exports:
+ *   registerSource(name, getFilters)   // getFilters() -> [{ address, topics }] | null
+ *   registerSlice(name, refresh, { priority, sources, maxAgeMs })
+ *   requestRefresh(...names)           // -> Promise, resolves after those slices ran
+ *   markStale(...names)                // refresh on the next block
+ *   startScheduler() / stopScheduler()
+ *   notifyNewBlock(blockNumber?)       // push a new head (e.g. from a websocket)
+ *   getSourceFilters()                 // -> Map(name -> filters) for log subscriptions
+ *   notifySourceLogs(name)             // a pushed log matched that source
+ *   setPushMode(on)
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { getReadOnlyProviderSync, getReadOnlyProviderAsync } from './contracts.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const POLL_MS = Number(CONFIG?.SCHEDULER?.POLL_MS ?? 15000);
+// longer gaps (tab was hidden for a while) skip the log check and refresh everything
+const MAX_SCAN_BLOCKS = Number(CONFIG?.SCHEDULER?.MAX_SCAN_BLOCKS ?? 5000);
+
+// -----------------------------
+// Registry
+// slice = { name, refresh, priority, sources:Set, maxAgeMs, lastRunTs, next, running }
+// -----------------------------
+const sources = new Map();
+const slices = new Map();
+
+export function registerSource(name, getFilters) {
+  sources.set(name, getFilters);
+}
+
+export function getSourceFilters() {
+  const out = new Map();
+  for (const [name, getFilters] of sources) {
+    let filters = null;
+    try { filters = getFilters(); } catch (_) {}
+    out.set(name, Array.isArray(filters) && filters.length ? filters : null);
+  }
+  return out;
+}
+
+export function registerSlice(name, refresh, { priority = 50, sources: deps = [], maxAgeMs = null } = {}) {
+  slices.set(name, {
+    name,
+    refresh,
+    priority,
+    sources: new Set(deps),
+    maxAgeMs,
+    lastRunTs: 0,
+    next: null,      // { promise, resolve } of the queued run
+    running: false,
+  });
+}
+
+// -----------------------------
+// Queue
+// -----------------------------
+const stale = new Set();
+let draining = false;
+
+function enqueue(slice) {
+  if (!slice.next) {
+    let resolve;
+    const promise = new Promise((r) => { resolve = r; });
+    slice.next = { promise, resolve };
+  }
+  return slice.next.promise;
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    for (;;) {
+      let pick = null;
+      for (const s of slices.values()) {
+        if (s.next && !s.running && (!pick || s.priority < pick.priority)) pick = s;
+      }
+      if (!pick) break;
+
+      const { resolve } = pick.next;
+      pick.next = null;
+      pick.running = true;
+      try {
+        await pick.refresh();
+      } catch (e) {
+        console.warn(`[SCHED] ${pick.name} refresh failed:`, e?.message || e);
+        stale.add(pick.name);
+      } finally {
+        pick.running = false;
+        pick.lastRunTs = Date.now();
+        resolve();
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Queues the named slices (unknown names are ignored) and resolves once all
+ * of them have run. Never rejects. Do not await it from inside a slice.
+ */
+export function requestRefresh(...names) {
+  const waits = [];
+  for (const name of names.flat()) {
+    const slice = name && slices.get(name);
+    if (slice) waits.push(enqueue(slice));
+  }
+  // next microtask: requests made in the same synchronous burst share one run
+  Promise.resolve().then(drain);
+  return Promise.all(waits).then(() => {});
+}
+
+export function markStale(...names) {
+  names.flat().forEach((n) => { if (n && slices.has(n)) stale.add(n); });
+}
+
+// -----------------------------
+// Block loop
+// -----------------------------
+let timer = null;
+let started = false;
+let ticking = null;
+let lastBlock = null;
+let pushMode = false;
+
+async function sourceChanged(provider, getFilters, fromBlock, toBlock) {
+  let filters = null;
+  try { filters = getFilters(); } catch (_) {}
+  if (!Array.isArray(filters) || !filters.length) return false;
+
+  for (const f of filters) {
+    const logs = await provider.send('eth_getLogs', [{
+      address: f.address,
+      topics: f.topics,
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock: ethers.utils.hexValue(toBlock),
+    }]);
+    if (Array.isArray(logs) && logs.length) return true;
+  }
+  return false;
+}
+
+async function tick(headHint, { scan = true } = {}) {
+  // the async getter re-runs initReadOnlyContracts (an eth_chainId round trip) every time
+  const provider = getReadOnlyProviderSync() || await getReadOnlyProviderAsync();
+  const head = Number.isFinite(headHint) ? headHint : await provider.getBlockNumber();
+  const due = new Set(stale);
+  stale.clear();
+
+  if (lastBlock == null) {
+    lastBlock = head;
+  } else if (head > lastBlock && !scan) {
+    // push mode: source logs arrive on their own (notifySourceLogs)
+    lastBlock = head;
+  } else if (head > lastBlock) {
+    const fromBlock = lastBlock + 1;
+    const changed = new Set();
+
+    if (head - lastBlock > MAX_SCAN_BLOCKS) {
+      sources.forEach((_, name) => changed.add(name));
+    } else {
+      for (const [name, getFilters] of sources) {
+        try {
+          if (await sourceChanged(provider, getFilters, fromBlock, head)) changed.add(name);
+        } catch (e) {
+          // cannot tell: treat as changed rather than show stale data
+          console.warn(`[SCHED] source ${name} check failed:`, e?.message || e);
+          changed.add(name);
+        }
+      }
+    }
+    lastBlock = head;
+
+    for (const s of slices.values()) {
+      if ([...s.sources].some((src) => changed.has(src))) due.add(s.name);
+    }
+  }
+
+  const now = Date.now();
+  for (const s of slices.values()) {
+    if (s.maxAgeMs && now - s.lastRunTs >= s.maxAgeMs) due.add(s.name);
+  }
+
+  if (due.size) requestRefresh([...due]);
+}
+
+function runTick(headHint, opts) {
+  if (ticking) return ticking;
+  ticking = tick(headHint, opts)
+    .catch((e) => console.warn('[SCHED] tick failed:', e?.message || e))
+    .finally(() => { ticking = null; });
+  return ticking;
+}
+
+function scheduleNext() {
+  clearTimeout(timer);
+  timer = null;
+  if (!started || pushMode || document.hidden) return;
+  timer = setTimeout(async () => {
+    await runTick();
+    scheduleNext();
+  }, POLL_MS);
+}
+
+function onVisibilityChange() {
+  if (!started) return;
+  if (document.hidden) {
+    clearTimeout(timer);
+    timer = null;
+    return;
+  }
+  runTick().finally(scheduleNext);
+}
+
+// Arbitrum heads come ~4 per second: at most one tick per POLL_MS, run with the latest head
+let headTimer = null;
+let headPending = null;
+let lastHeadTickTs = 0;
+
+export function notifyNewBlock(blockNumber) {
+  if (!started || document.hidden) return;
+  const n = Number(blockNumber);
+  if (Number.isFinite(n) && lastBlock != null && n <= lastBlock) return;
+  if (Number.isFinite(n)) headPending = Math.max(n, headPending ?? n);
+  if (headTimer) return;
+
+  headTimer = setTimeout(() => {
+    headTimer = null;
+    const head = headPending;
+    headPending = null;
+    lastHeadTickTs = Date.now();
+    if (!started || document.hidden) return;
+    runTick(head ?? undefined, { scan: !pushMode });
+  }, Math.max(0, lastHeadTickTs + POLL_MS - Date.now()));
+}
+
+// logs of one block usually come in a burst: refresh once per burst
+const PUSH_DEBOUNCE_MS = 250;
+const pushedSources = new Set();
+let pushTimer = null;
+
+export function notifySourceLogs(name) {
+  if (!sources.has(name)) return;
+  pushedSources.add(name);
+  if (pushTimer) return;
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    const due = [];
+    for (const s of slices.values()) {
+      if ([...s.sources].some((src) => pushedSources.has(src))) due.push(s.name);
+    }
+    pushedSources.clear();
+    // hidden tab: picked up by the tick on return
+    if (!started || document.hidden) markStale(due);
+    else requestRefresh(due);
+  }, PUSH_DEBOUNCE_MS);
+}
+
+/**
+ * On: the caller pushes heads (notifyNewBlock) and matching logs
+ * (notifySourceLogs); one last scan covers the blocks since the previous tick.
+ * Off: back to timer polling with eth_getLogs scans.
+ */
+export function setPushMode(on) {
+  on = !!on;
+  if (on === pushMode) return;
+  pushMode = on;
+  clearTimeout(timer);
+  timer = null;
+  if (!started || document.hidden) return;
+  if (on) runTick();
+  else runTick().finally(scheduleNext);
+}
+
+export function startScheduler() {
+  if (started) return;
+  started = true;
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  runTick().finally(scheduleNext);
+}
+
+export function stopScheduler() {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+  clearTimeout(headTimer);
+  headTimer = null;
+  document.removeEventListener('visibilitychange', onVisibilityChange);
+}
@@ -0,0 +1,254 @@
+/**
+ * strategy.js — ARUBVault Phase 2 strategy (ARUB <-> ARUB/USDT LP zap)
+ *
+ * The vault zaps half of the deposited ARUB into USDT and adds both sides
+ * to the Uniswap V2 pool; withdrawToARUB() removes LP and swaps USDT back.
+ * This module reads pair reserves, replays that math off-chain and turns the
+ * expected amounts into min-out bounds for the given slippage (bps).
+ *
+ * Exports:
+ *   getPoolSnapshot()
+ *   quoteStrategyDeposit(arubAmountBN, { slippageBps, deadline })
+ *   quoteStrategyWithdraw(sharesBN, { slippageBps, deadline })
+ *   depositWithStrategy(arubAmountBN, opts?)
+ *   withdrawToArub(sharesBN, opts?)
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ERC20_ABI_MIN, VAULT_ABI, UNIV2_PAIR_ABI } from './abis.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { runTx } from './txManager.js';
+
+const BN = ethers.BigNumber;
+const BPS = 10_000;
+const MAX_SLIPPAGE_BPS = 5_000;
+
+// -----------------------------
+// Internals
+// -----------------------------
+function assertConfig() {
+  if (!CONFIG?.VAULT_ADDRESS) throw new Error('CONFIG.VAULT_ADDRESS is missing');
+  if (!CONFIG?.TOKEN_ADDRESS) throw new Error('CONFIG.TOKEN_ADDRESS is missing');
+}
+
+function normalizeSlippageBps(bps) {
+  const n = Math.round(Number(bps));
+  if (!Number.isFinite(n) || n < 0) return 50;
+  return Math.min(n, MAX_SLIPPAGE_BPS);
+}
+
+function normalizeDeadline(deadline) {
+  const n = Math.floor(Number(deadline));
+  if (Number.isFinite(n) && n > 0) return n;
+  return Math.floor(Date.now() / 1000) + 20 * 60;
+}
+
+function applySlippage(amountBN, slippageBps) {
+  return amountBN.mul(BPS - slippageBps).div(BPS);
+}
+
+// UniswapV2Library.getAmountOut (0.3% fee)
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  if (amountIn.lte(0) || reserveIn.lte(0) || reserveOut.lte(0)) return BN.from(0);
+  const amountInWithFee = amountIn.mul(997);
+  return amountInWithFee.mul(reserveOut).div(reserveIn.mul(1000).add(amountInWithFee));
+}
+
+function resolveSigner(opts) {
+  const signer = opts?.signer || window.walletState?.signer || null;
+  if (!signer) throw new Error('Wallet not connected or signer not ready');
+  return signer;
+}
+
+// -----------------------------
+// Public: reads
+// -----------------------------
+
+/**
+ * Pair reserves oriented as ARUB/USDT plus the vault's own LP and idle balances.
+ * Throws if the strategy is off or the pool is empty (the contract would revert too).
+ */
+export async function getPoolSnapshot() {
+  assertConfig();
+  const provider = await getReadOnlyProviderAsync();
+  const vault = new ethers.Contract(CONFIG.VAULT_ADDRESS, VAULT_ABI, provider);
+
+  const [strategyEnabled, pairAddr, totalSupply] = await Promise.all([
+    vault.strategyEnabled(),
+    vault.pair(),
+    vault.totalSupply(),
+  ]);
+  if (!strategyEnabled) throw new Error('Vault strategy is not enabled');
+  if (!pairAddr || pairAddr === ethers.constants.AddressZero) throw new Error('Vault pair is not set');
+
+  const pair = new ethers.Contract(pairAddr, UNIV2_PAIR_ABI, provider);
+  const arub = new ethers.Contract(CONFIG.TOKEN_ADDRESS, ERC20_ABI_MIN, provider);
+  const usdt = new ethers.Contract(CONFIG.USDT_ADDRESS, ERC20_ABI_MIN, provider);
+
+  const [token0, reserves, lpTotal, lpVault, arubIdle, usdtIdle] = await Promise.all([
+    pair.token0(),
+    pair.getReserves(),
+    pair.totalSupply(),
+    pair.balanceOf(CONFIG.VAULT_ADDRESS),
+    arub.balanceOf(CONFIG.VAULT_ADDRESS),
+    usdt.balanceOf(CONFIG.VAULT_ADDRESS),
+  ]);
+
+  const arubIs0 = String(token0).toLowerCase() === String(CONFIG.TOKEN_ADDRESS).toLowerCase();
+  const rArub = BN.from(arubIs0 ? reserves.reserve0 : reserves.reserve1);
+  const rUsdt = BN.from(arubIs0 ? reserves.reserve1 : reserves.reserve0);
+  if (rArub.isZero() || rUsdt.isZero()) throw new Error('Pool reserves are empty');
+
+  return {
+    pair: pairAddr,
+    rArub,
+    rUsdt,
+    lpTotal,
+    lpVault,
+    arubIdle,
+    usdtIdle,
+    totalSupply,
+  };
+}
+
+/**
+ * Mirrors _zapArubToLP(): swap half, then addLiquidity(toKeep, usdtReceived)
+ * against the post-swap reserves.
+ */
+export async function quoteStrategyDeposit(arubAmountBN, { slippageBps, deadline } = {}) {
+  const amount = BN.from(arubAmountBN ?? 0);
+  if (amount.lte(0)) throw new Error('Invalid ARUB amount');
+
+  const bps = normalizeSlippageBps(slippageBps);
+  const snap = await getPoolSnapshot();
+
+  const toSwap = amount.div(2);
+  const toKeep = amount.sub(toSwap);
+  const usdtOut = getAmountOut(toSwap, snap.rArub, snap.rUsdt);
+
+  const rArub2 = snap.rArub.add(toSwap);
+  const rUsdt2 = snap.rUsdt.sub(usdtOut);
+
+  // router.addLiquidity picks the optimal pair of amounts
+  let arubUsed = toKeep;
+  let usdtUsed = toKeep.mul(rUsdt2).div(rArub2);
+  if (usdtUsed.gt(usdtOut)) {
+    usdtUsed = usdtOut;
+    arubUsed = usdtOut.mul(rArub2).div(rUsdt2);
+  }
+
+  const lpA = arubUsed.mul(snap.lpTotal).div(rArub2);
+  const lpB = usdtUsed.mul(snap.lpTotal).div(rUsdt2);
+  const lpOut = lpA.lt(lpB) ? lpA : lpB;
+
+  const params = {
+    arubAmount: amount,
+    minUsdtOut: applySlippage(usdtOut, bps),
+    minLpOut: applySlippage(lpOut, bps),
+    deadline: normalizeDeadline(deadline),
+  };
+
+  return { params, expected: { usdtOut, lpOut }, slippageBps: bps, snapshot: snap };
+}
+
+/**
+ * Mirrors withdrawToARUB(): pro-rata LP removal, then the USDT leg
+ * (idle share + LP share) is swapped to ARUB against the reduced reserves.
+ */
+export async function quoteStrategyWithdraw(sharesBN, { slippageBps, deadline } = {}) {
+  const shares = BN.from(sharesBN ?? 0);
+  if (shares.lte(0)) throw new Error('Invalid shares amount');
+
+  const bps = normalizeSlippageBps(slippageBps);
+  const snap = await getPoolSnapshot();
+  if (snap.totalSupply.isZero()) throw new Error('Vault has no shares');
+
+  const lpRemoved = snap.lpVault.mul(shares).div(snap.totalSupply);
+  const arubIdleShare = snap.arubIdle.mul(shares).div(snap.totalSupply);
+  const usdtIdleShare = snap.usdtIdle.mul(shares).div(snap.totalSupply);
+
+  const arubFromLp = snap.lpTotal.isZero() ? BN.from(0) : snap.rArub.mul(lpRemoved).div(snap.lpTotal);
+  const usdtFromLp = snap.lpTotal.isZero() ? BN.from(0) : snap.rUsdt.mul(lpRemoved).div(snap.lpTotal);
+
+  const usdtToSwap = usdtIdleShare.add(usdtFromLp);
+  const arubFromSwap = getAmountOut(
+    usdtToSwap,
+    snap.rUsdt.sub(usdtFromLp),
+    snap.rArub.sub(arubFromLp)
+  );
+
+  const params = {
+    shares,
+    minArubFromUsdt: applySlippage(arubFromSwap, bps),
+    amountAMin: applySlippage(arubFromLp, bps),
+    amountBMin: applySlippage(usdtFromLp, bps),
+    deadline: normalizeDeadline(deadline),
+  };
+
+  const arubOut = arubIdleShare.add(arubFromLp).add(arubFromSwap);
+  const minArubOut = arubIdleShare.add(params.amountAMin).add(params.minArubFromUsdt);
+
+  return {
+    params,
+    expected: { lpRemoved, arubFromLp, usdtFromLp, arubFromSwap, arubOut, minArubOut },
+    slippageBps: bps,
+    snapshot: snap,
+  };
+}
+
+// -----------------------------
+// Public: writes
+// -----------------------------
+export async function depositWithStrategy(arubAmountBN, opts = {}) {
+  /**
+   * opts:
+   *  - signer: ethers.Signer (default window.walletState.signer)
+   *  - slippageBps: number (default 50)
+   *  - deadline: unix seconds (default now + 20 min)
+   *  - confirmations: number (default CONFIG.TX_CONFIRMATIONS || 1)
+   *  - onStatus: (stage: string, payload?: any) => void
+   *
+   * stages (txManager.runTx): preflight -> approve (ARUB allowance) -> sign -> submitted -> confirmed | failed
+   * The quote (min-out bounds) is taken before the preflight stage.
+   */
+  assertConfig();
+
+  const signer = resolveSigner(opts);
+  const quote = await quoteStrategyDeposit(arubAmountBN, opts);
+  const vault = new ethers.Contract(CONFIG.VAULT_ADDRESS, VAULT_ABI, signer);
+
+  return runTx({
+    ...opts,
+    kind: 'vault_deposit',
+    signer,
+    contract: vault,
+    method: 'depositWithStrategy',
+    args: [quote.params],
+    approve: { token: CONFIG.TOKEN_ADDRESS, spender: CONFIG.VAULT_ADDRESS, amount: quote.params.arubAmount },
+    meta: { amount: quote.params.arubAmount.toString(), symbol: 'ARUB', strategy: true },
+  });
+}
+
+export async function withdrawToArub(sharesBN, opts = {}) {
+  /**
+   * opts: same as depositWithStrategy
+   *
+   * stages: preflight -> sign -> submitted -> confirmed | failed
+   */
+  assertConfig();
+
+  const signer = resolveSigner(opts);
+  const quote = await quoteStrategyWithdraw(sharesBN, opts);
+  const vault = new ethers.Contract(CONFIG.VAULT_ADDRESS, VAULT_ABI, signer);
+
+  return runTx({
+    ...opts,
+    kind: 'vault_withdraw',
+    signer,
+    contract: vault,
+    method: 'withdrawToARUB',
+    args: [quote.params],
+    meta: { amount: ethers.BigNumber.from(sharesBN ?? 0).toString(), symbol: 'shares', strategy: true },
+  });
+}
@@ -18,16 +18,37 @@
  */
 
 import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
-import { showNotification, formatTokenAmount } from './ui.js';
-import { ERC20_ABI, ERC20_ABI_MIN } from './abis.js';
+import { showNotification, formatTokenAmount, formatAge } from './ui.js';
+import { ERC20_ABI, ERC20_ABI_MIN, ARUB_ABI } from './abis.js';
 import {
   initReadOnlyContracts,
   getReadOnlyProviderAsync,
   getReadOnlyPresale,
+  getArubPrice,
+  getOracleAgeInfo,
+  readWithQuorum,
 } from './contracts.js';
 import { CONFIG } from './config.js';
 import { requireArbitrumOrThrow, trySwitchToArbitrum } from './wallet.js';
 import { getStoredLang } from './i18n.js';
+import {
+  getVaultPosition,
+  previewVaultDeposit,
+  previewVaultWithdraw,
+  depositToVault,
+  withdrawFromVault,
+} from './vault.js';
+import {
+  quoteStrategyDeposit,
+  quoteStrategyWithdraw,
+  depositWithStrategy,
+  withdrawToArub,
+} from './strategy.js';
+import { quoteMint, quoteBurn, mintArub, burnArub, formatCrBps } from './antirub.js';
+import { refreshTxHistory } from './history.js';
+import { registerSource, registerSlice, requestRefresh, markStale, startScheduler } from './scheduler.js';
+import { runTx, initTxManager } from './txManager.js';
+import { decodeRevert, errorMessage } from './errors.js';
 
 console.log('[TRADING] trading.js loaded, build:', Date.now());
 
@@ -109,6 +130,78 @@ const I18N = {
     lp_send_usdt: 'Надіслати у Vault (USDT)',
     lp_min_deposit: 'Мін. внесок: 0.15 ARUB / 10 USDT.',
     lp_oracle_note: 'ARUB буде додано при запуску DEX за курсом оракула.',
+    lp_deposit_arub: 'Внести ARUB у Vault (частки)',
+    vault_preview: 'Ви отримаєте ≈',
+    vault_shares_unit: 'часток',
+    vault_shares_title: 'Ваші частки Vault',
+    vault_my_shares: 'Частки:',
+    vault_my_value: 'Вартість:',
+    vault_total_assets: 'Активи Vault (ARUB-екв.):',
+    vault_withdraw_amount: 'Кількість часток',
+    vault_withdraw_btn: 'Вивести з Vault',
+    vault_strategy_only: 'Vault працює в режимі стратегії: внески та виведення йдуть через пул ARUB/USDT.',
+    oracle_stale_block: 'Курс оракула застарів: купівля, продаж і випуск/погашення заблоковані до оновлення курсу.',
+    oracle_aging_warn: 'Курс оракула скоро застаріє — транзакція може бути відхилена.',
+    quorum_mismatch_block: 'RPC-вузли повертають різні значення ({{keys}}): купівля, продаж і випуск/погашення заблоковані до узгодження даних.',
+    quorum_dissent_warn: 'Один із RPC-вузлів повертає інші значення ({{keys}}) — показано значення більшості.',
+    quorum_unverified_warn: 'Недостатньо доступних RPC-вузлів для перехресної перевірки ({{keys}}).',
+    trade_mode_presale: 'Купівля / продаж (пресейл)',
+    trade_mode_antirub: 'Випуск / погашення (AntiRUB)',
+    ar_title: 'AntiRUB: випуск / погашення',
+    ar_subtitle: 'Обмін USDT ↔ ARUB напряму з протоколом за курсом оракула.',
+    ar_mode_mint: 'Випуск (USDT → ARUB)',
+    ar_mode_burn: 'Погашення (ARUB → USDT)',
+    ar_receive: 'Ви отримаєте:',
+    ar_fee: 'Комісія:',
+    ar_new_cr: 'Новий CR протоколу:',
+    ar_min_out: 'Мінімум з урахуванням прослизання:',
+    ar_submit_mint: 'Випустити ARUB',
+    ar_submit_burn: 'Погасити ARUB',
+    ar_processing: 'Транзакція AntiRUB...',
+    ar_done: 'Операцію AntiRUB виконано.',
+    ar_approving: 'Підтвердження дозволу...',
+    debt_title: 'Борг пресейлу',
+    debt_mine: 'Ваш борг:',
+    debt_share: 'Частка в загальному боргу:',
+    debt_treasury: 'USDT у казні пресейлу:',
+    debt_claimable: 'Можна отримати зараз:',
+    debt_claim_btn: 'Отримати борг',
+    debt_none: 'У вас немає боргу.',
+    debt_claiming: 'Отримання боргу...',
+    debt_claimed: 'Борг виплачено.',
+    lp_slippage: 'Прослизання, %',
+    lp_deadline: 'Дедлайн, хв',
+    lp_strategy_min: 'Мін. LP:',
+    lp_strategy_swap: 'обмін ≥',
+    vault_min_receive: 'мінімум',
+    vault_no_shares: 'У вас немає часток Vault.',
+    vault_exceeds_shares: 'Сума перевищує ваші частки.',
+    vault_approving: 'Підтвердження дозволу ARUB...',
+    vault_depositing: 'Внесення ARUB у Vault...',
+    vault_deposit_done: 'ARUB внесено у Vault. Частки нараховано.',
+    vault_withdrawing: 'Виведення з Vault...',
+    vault_withdraw_done: 'Виведення виконано. ARUB зараховано.',
+    vault_not_configured: 'Не налаштовано адресу Vault',
+    enter_amount: 'Вкажіть суму',
+    tx_rejected: 'Транзакцію скасовано в гаманці',
+    tx_resumed: 'Відстежуємо транзакцію з попереднього сеансу: {{hash}}',
+    tx_resumed_confirmed: 'Транзакцію {{hash}} підтверджено',
+    tx_resumed_failed: 'Транзакція {{hash}} не пройшла ({{reason}})',
+    tx_reverted: 'Транзакцію відхилено контрактом (revert)',
+    tx_fee: 'комісія мережі ≈ {{fee}}',
+    tx_batched: 'Підтвердіть approve і {{action}} одним запитом у гаманці...',
+    tx_cancelled: 'Транзакцію скасовано в гаманці (замінено порожньою транзакцією)',
+    tx_replaced: 'Транзакцію замінено в гаманці іншою транзакцією з тим самим nonce',
+    tx_dropped: 'Транзакцію відкинуто мережею — вона не була виконана',
+    tx_unknown: 'Не вдалося дізнатися статус транзакції (RPC недоступний) — перевірте її в Arbiscan',
+    preview_receive: 'Ви отримаєте ≈',
+    preview_receive_locked: 'Буде заблоковано ≈',
+    preview_bonus: 'З них бонус',
+    preview_lock_end: 'Блокування до',
+    preview_sell_fee: 'Комісія продажу',
+    preview_debt: 'Борг (коли в пулі бракує USDT)',
+    preview_unlock: 'Повернеться на гаманець',
+    preview_debt_left: 'Залишок боргу',
     min_buy_note: 'Мінімум $10',
   },
   en: {
@@ -170,13 +263,91 @@ const I18N = {
     lp_send_usdt: 'Send to Vault (USDT)',
     lp_min_deposit: 'Min deposit: 0.15 ARUB / 10 USDT.',
     lp_oracle_note: 'ARUB will be added at DEX launch at the oracle rate.',
+    lp_deposit_arub: 'Deposit ARUB to Vault (shares)',
+    vault_preview: 'You will receive ≈',
+    vault_shares_unit: 'shares',
+    vault_shares_title: 'Your Vault shares',
+    vault_my_shares: 'Shares:',
+    vault_my_value: 'Value:',
+    vault_total_assets: 'Vault assets (ARUB-eq.):',
+    vault_withdraw_amount: 'Shares amount',
+    vault_withdraw_btn: 'Withdraw from Vault',
+    vault_strategy_only: 'Vault runs in strategy mode: deposits and withdrawals go through the ARUB/USDT pool.',
+    oracle_stale_block: 'Oracle rate is stale: buy, sell and mint/burn are blocked until the rate is updated.',
+    oracle_aging_warn: 'Oracle rate will be stale soon — the transaction may revert.',
+    quorum_mismatch_block: 'RPC endpoints return different values ({{keys}}): buy, sell and mint/burn are blocked until they agree.',
+    quorum_dissent_warn: 'One RPC endpoint returns different values ({{keys}}) — showing the majority value.',
+    quorum_unverified_warn: 'Not enough RPC endpoints available to cross-check ({{keys}}).',
+    trade_mode_presale: 'Buy / sell (presale)',
+    trade_mode_antirub: 'Mint / burn (AntiRUB)',
+    ar_title: 'AntiRUB: mint / burn',
+    ar_subtitle: 'Swap USDT ↔ ARUB directly with the protocol at the oracle rate.',
+    ar_mode_mint: 'Mint (USDT → ARUB)',
+    ar_mode_burn: 'Burn (ARUB → USDT)',
+    ar_receive: 'You receive:',
+    ar_fee: 'Fee:',
+    ar_new_cr: 'New protocol CR:',
+    ar_min_out: 'Minimum after slippage:',
+    ar_submit_mint: 'Mint ARUB',
+    ar_submit_burn: 'Burn ARUB',
+    ar_processing: 'AntiRUB transaction...',
+    ar_done: 'AntiRUB operation complete.',
+    ar_approving: 'Approving...',
+    debt_title: 'Presale debt',
+    debt_mine: 'Your debt:',
+    debt_share: 'Share of total debt:',
+    debt_treasury: 'Presale USDT treasury:',
+    debt_claimable: 'Claimable now:',
+    debt_claim_btn: 'Claim debt',
+    debt_none: 'You have no debt.',
+    debt_claiming: 'Claiming debt...',
+    debt_claimed: 'Debt paid out.',
+    lp_slippage: 'Slippage, %',
+    lp_deadline: 'Deadline, min',
+    lp_strategy_min: 'Min LP:',
+    lp_strategy_swap: 'swap ≥',
+    vault_min_receive: 'min',
+    vault_no_shares: 'You have no Vault shares.',
+    vault_exceeds_shares: 'Amount exceeds your shares.',
+    vault_approving: 'Approving ARUB...',
+    vault_depositing: 'Depositing ARUB to Vault...',
+    vault_deposit_done: 'ARUB deposited. Shares credited.',
+    vault_withdrawing: 'Withdrawing from Vault...',
+    vault_withdraw_done: 'Withdrawal complete. ARUB credited.',
+    vault_not_configured: 'Vault address is not configured',
+    enter_amount: 'Enter amount',
+    tx_rejected: 'Transaction rejected in wallet',
+    tx_resumed: 'Tracking a transaction from the previous session: {{hash}}',
+    tx_resumed_confirmed: 'Transaction {{hash}} confirmed',
+    tx_resumed_failed: 'Transaction {{hash}} failed ({{reason}})',
+    tx_reverted: 'Transaction reverted by the contract',
+    tx_fee: 'network fee ≈ {{fee}}',
+    tx_batched: 'Confirm approve + {{action}} in one wallet request...',
+    tx_cancelled: 'Transaction cancelled in the wallet (replaced by an empty transaction)',
+    tx_replaced: 'Transaction replaced in the wallet by another one with the same nonce',
+    tx_dropped: 'Transaction dropped by the network — it was not executed',
+    tx_unknown: 'Could not get the transaction status (RPC unavailable) — check it on Arbiscan',
+    preview_receive: 'You receive ≈',
+    preview_receive_locked: 'Locked for you ≈',
+    preview_bonus: 'Of which bonus',
+    preview_lock_end: 'Locked until',
+    preview_sell_fee: 'Sell fee',
+    preview_debt: 'Debt (pool short of USDT)',
+    preview_unlock: 'Back to your wallet',
+    preview_debt_left: 'Debt left',
     min_buy_note: 'Minimum $10',
   },
 };
 
-function t(key) {
+function t(key, vars) {
   const lang = getUiLang();
-  return (I18N[lang] && I18N[lang][key]) || I18N.ru[key] || key;
+  let out = (I18N[lang] && I18N[lang][key]) || I18N.ru[key] || key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
 }
 
 const TERMS_NOTICE = {
@@ -327,18 +498,6 @@ export function resetPresaleSimCache() {
   presaleSimChainId = null;
 }
 
-async function ensureAllowance(amount) {
-  requireArbitrumOrThrow();
-
-  const signer = window.walletState.signer;
-  const usdt = new ethers.Contract(USDT_ADDRESS, ERC20_ABI, signer);
-
-  const allowance = await usdt.allowance(window.walletState.address, PRESALE_ADDRESS);
-  if (allowance.lt(amount)) {
-    await usdt.approve(PRESALE_ADDRESS, amount);
-  }
-}
-
 function renderTrading() {
   const host = getTradingHost?.() || document.getElementById('tradingInterface');
   if (!host) return;
@@ -452,6 +611,13 @@ export function initTradingModule() {
     });
   }
 
+  try { bindRefreshScheduler(); } catch (e) {
+    console.warn('[TRADING] bindRefreshScheduler failed:', e?.message || e);
+  }
+  try { bindTxResume(); } catch (e) {
+    console.warn('[TRADING] bindTxResume failed:', e?.message || e);
+  }
+
   // Read-only RPC/contracts for balances and limits
   try { initReadOnly(); } catch (e) {
     console.warn('[TRADING] initReadOnly failed:', e?.message || e);
@@ -488,9 +654,7 @@ export function initTradingModule() {
   window.__buyModeBound = true;
 
   document.addEventListener('change', (e) => {
-    if (e.target?.name === 'buyMode') {
-      try { refreshBuyBonusBox(); } catch (_) {}
-    }
+    if (e.target?.name === 'buyMode') requestRefresh('bonusBox');
   });
 }
 }
@@ -508,7 +672,28 @@ function getUiLang() {
   return l.startsWith('en') ? 'en' : 'ru';
 }
 
+// txManager fee ({ feeEth, feeUsd }) -> "0.000012 ETH (~$0.03)"
+function formatTxFee(fee) {
+  if (!fee || !Number.isFinite(fee.feeEth)) return '';
+  const eth = fee.feeEth < 0.000001 ? '<0.000001' : fee.feeEth.toFixed(6);
+  if (!Number.isFinite(fee.feeUsd)) return `${eth} ETH`;
+  const usd = fee.feeUsd < 0.01 ? '<$0.01' : `$${fee.feeUsd.toFixed(2)}`;
+  return `${eth} ETH (~${usd})`;
+}
+
+// stage message + expected fee from the approve / sign payload
+function withFee(message, payload) {
+  const fee = formatTxFee(payload?.fee);
+  return fee ? `${message} — ${t('tx_fee', { fee })}` : message;
+}
+
 function pickEthersMessage(e) {
+  // not enough ETH for gas (bridge hint) or a contract revert -> catalog message + suggested fix
+  const known = errorMessage(e);
+  if (known) return known;
+  // txManager outcome (cancelled / replaced / dropped / reverted) beats the raw ethers text
+  if (e?.txOutcome === 'reverted') return t('tx_reverted');
+  if (e?.txOutcome) return t(`tx_${e.txOutcome}`);
   return (
     e?.reason ||
     e?.data?.message ||
@@ -569,6 +754,14 @@ function setControlsEnabled(enabled) {
     'lpMaxUsdtBtn',
     'lpSlippage',
     'lpDeadline',
+    'vaultWithdrawShares',
+    'vaultMaxSharesBtn',
+    'vaultWithdrawBtn',
+    'claimDebtBtn',
+    'arAmount',
+    'arMaxBtn',
+    'arSlippage',
+    'arSubmitBtn',
   ].forEach((id) => {
     const node = el(id);
     if (!node) return;
@@ -576,19 +769,242 @@ function setControlsEnabled(enabled) {
     node.style.pointerEvents = enabled ? 'auto' : 'none';
     node.style.opacity = enabled ? '' : '0.75';
   });
+
+  applyOracleHealthUI();
+}
+
+// -----------------------------
+// Oracle staleness gate
+// Presale buy/sell and AntiRUB mint/burn price against the oracle and
+// revert once it is older than ORACLE_MAX_AGE.
+// -----------------------------
+const ORACLE_GATED_IDS = ['buyBtn', 'sellBtn', 'arSubmitBtn'];
+let oracleHealth = { ageSec: null, isStale: false, isAging: false, updatedAt: null };
+
+// Quorum reads (CONFIG.QUORUM): key -> last non-unanimous check from contracts.js
+const quorumIssues = new Map();
+
+function isQuorumBlocking() {
+  for (const d of quorumIssues.values()) if (!d.ok) return true;
+  return false;
+}
+
+function quorumKeys(pred) {
+  return [...quorumIssues.values()].filter(pred).map((d) => d.key).join(', ');
+}
+
+function isOracleGateClosed() {
+  return oracleHealth.isStale || isQuorumBlocking();
+}
+
+function applyOracleHealthUI() {
+  // age keeps growing between oracle polls
+  if (oracleHealth.updatedAt) {
+    oracleHealth = { ...oracleHealth, ...getOracleAgeInfo(oracleHealth.updatedAt) };
+  }
+
+  const quorumBlocked = isQuorumBlocking();
+  const blockMsg = oracleHealth.isStale
+    ? `${t('oracle_stale_block')} (${formatAge(oracleHealth.ageSec)})`
+    : quorumBlocked
+      ? t('quorum_mismatch_block', { keys: quorumKeys((d) => !d.ok) })
+      : null;
+
+  let warnMsg = null;
+  if (!blockMsg) {
+    if (oracleHealth.isAging) {
+      warnMsg = `${t('oracle_aging_warn')} (${formatAge(oracleHealth.ageSec)})`;
+    } else if (quorumIssues.size) {
+      const dissent = quorumKeys((d) => !d.unverified);
+      warnMsg = dissent
+        ? t('quorum_dissent_warn', { keys: dissent })
+        : t('quorum_unverified_warn', { keys: quorumKeys((d) => d.unverified) });
+    }
+  }
+
+  const banner = el('oracleHealthBanner');
+  if (banner) {
+    if (blockMsg || warnMsg) {
+      banner.textContent = blockMsg || warnMsg;
+      banner.style.display = 'block';
+      banner.style.background = blockMsg ? 'rgba(239,68,68,0.18)' : 'rgba(250,204,21,0.15)';
+      banner.style.color = blockMsg ? '#f87171' : '#facc15';
+    } else {
+      banner.style.display = 'none';
+    }
+  }
+
+  if (!blockMsg) return;
+  const title = oracleHealth.isStale ? t('oracle_stale_block') : blockMsg;
+  ORACLE_GATED_IDS.forEach((id) => {
+    const node = el(id);
+    if (!node) return;
+    node.disabled = true;
+    node.style.opacity = '0.5';
+    node.title = title;
+  });
+}
+
+// closed -> open: give the gated buttons back
+function releaseOracleGate() {
+  ORACLE_GATED_IDS.forEach((id) => {
+    const node = el(id);
+    if (!node) return;
+    node.disabled = false;
+    node.style.opacity = '';
+    node.title = '';
+  });
+  requestRefresh('balances');
+}
+
+function setOracleHealth(info) {
+  const wasClosed = isOracleGateClosed();
+  oracleHealth = {
+    ageSec: info?.ageSec ?? null,
+    isStale: !!info?.isStale,
+    isAging: !!info?.isAging,
+    updatedAt: info?.updatedAt ?? null,
+  };
+
+  if (wasClosed && !isOracleGateClosed()) releaseOracleGate();
+
+  applyOracleHealthUI();
+}
+
+window.addEventListener('rpcQuorum', (e) => {
+  const d = e?.detail || {};
+  if (!d.key) return;
+
+  const wasClosed = isOracleGateClosed();
+  if (d.ok && d.unanimous) quorumIssues.delete(d.key);
+  else quorumIssues.set(d.key, d);
+
+  if (wasClosed && !isOracleGateClosed()) releaseOracleGate();
+  applyOracleHealthUI();
+});
+
+// Fresh read right before a write; returns true if the action must be blocked
+async function isOracleStaleBlocking() {
+  try {
+    const info = await getArubPrice();
+    setOracleHealth(info);
+  } catch (e) {
+    console.warn('[TRADING] oracle check failed:', e?.message || e);
+  }
+
+  if (oracleHealth.isStale) {
+    showNotification?.(t('oracle_stale_block'), 'error');
+    return true;
+  }
+  if (isQuorumBlocking()) {
+    showNotification?.(t('quorum_mismatch_block', { keys: quorumKeys((d) => !d.ok) }), 'error');
+    return true;
+  }
+  if (oracleHealth.isAging) {
+    showNotification?.(t('oracle_aging_warn'), 'error');
+  }
+  return false;
 }
 
-async function refreshUiAfterRpcError({
+window.addEventListener('oraclePriceUpdated', (e) => {
+  const d = e?.detail || {};
+  if (!d.updatedAt) return;
+  setOracleHealth(d);
+});
+
+// RPC hiccup inside a panel refresh: retry the affected slices on the next block
+function refreshUiAfterRpcError({
   includeSellFee = true,
   includeLockPanel = true,
 } = {}) {
-  try { await refreshBalances?.(); } catch (_) {}
-  if (includeLockPanel) {
-    try { await refreshLockPanel?.(); } catch (_) {}
-  }
-  if (includeSellFee) {
-    try { await refreshSellFee?.(); } catch (_) {}
-  }
+  markStale('balances', includeLockPanel && 'lock', includeSellFee && 'sellFee');
+}
+
+// -----------------------------
+// Refresh scheduling (scheduler.js)
+// Every panel is a data slice, refreshed when a new block carries logs it
+// depends on; flows below only request slices, the scheduler dedupes them.
+// -----------------------------
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+function transferFilters(tokens, holder) {
+  const address = tokens.filter(Boolean);
+  const who = ethers.utils.hexZeroPad(holder, 32);
+  return [
+    { address, topics: [TRANSFER_TOPIC, who] },
+    { address, topics: [TRANSFER_TOPIC, null, who] },
+  ];
+}
+
+function bindRefreshScheduler() {
+  // the user's ARUB / USDT / vault share transfers; walletState rather than user.address,
+  // which is only updated after live.js resubscribes on walletStateChanged
+  registerSource('wallet', () => {
+    const address = window.walletState?.address;
+    return address ? transferFilters([ARUB_TOKEN_ADDRESS, USDT_ADDRESS, VAULT_ADDRESS], address) : null;
+  });
+  // the user's own presale events (every one has the user as topic1): locks, sell fee, debt, history
+  registerSource('presaleUser', () => {
+    const address = window.walletState?.address;
+    return address ? [{ address: PRESALE_ADDRESS, topics: [null, ethers.utils.hexZeroPad(address, 32)] }] : null;
+  });
+  // any presale event: the discount slots are shared by all buyers
+  registerSource('presale', () => [{ address: PRESALE_ADDRESS }]);
+  // ARUB / USDT moving in or out of the vault
+  registerSource('vault', () => (
+    VAULT_ADDRESS ? transferFilters([ARUB_TOKEN_ADDRESS, USDT_ADDRESS], VAULT_ADDRESS) : null
+  ));
+
+  registerSlice('balances', refreshBalances, { priority: 10, sources: ['wallet', 'presaleUser'] });
+  // maxAgeMs keeps the unlock countdown moving
+  registerSlice('lock', refreshLockPanel, { priority: 20, sources: ['presaleUser'], maxAgeMs: 30_000 });
+  registerSlice('sellFee', refreshSellFee, { priority: 30, sources: ['presaleUser'] });
+  registerSlice('bonusBox', refreshBuyBonusBox, { priority: 40, sources: ['presale'] });
+  registerSlice('vaultTotals', () => refreshVaultTotals(true), { priority: 50, sources: ['vault'] });
+  registerSlice('history', () => refreshTxHistory(user.address, { force: true }), { priority: 60, sources: ['presaleUser'] });
+
+  startScheduler();
+}
+
+// -----------------------------
+// Transactions (txManager.js): slices to refresh once a tx of each kind is mined
+// -----------------------------
+const TX_REFRESH = {
+  buy: ['balances', 'lock', 'bonusBox', 'sellFee', 'history'],
+  sell: ['balances', 'lock', 'sellFee', 'history'],
+  unlock: ['balances', 'lock', 'sellFee', 'history'],
+  claim_debt: ['balances', 'history'],
+  vault_deposit: ['balances', 'vaultTotals'],
+  vault_withdraw: ['balances', 'vaultTotals'],
+  vault_transfer: ['balances', 'vaultTotals'],
+  antirub_mint: ['balances'],
+  antirub_burn: ['balances'],
+};
+
+function shortHash(h) {
+  return h ? `${h.slice(0, 10)}…` : '—';
+}
+
+// only transactions picked up again after a reload; live ones are reported by their flows
+function bindTxResume() {
+  window.addEventListener('txStatus', (e) => {
+    const d = e?.detail;
+    if (!d?.resumed) return;
+
+    const hash = shortHash(d.hash || d.batchId);
+    if (d.stage === 'submitted') {
+      showNotification?.(t('tx_resumed', { hash }), 'info');
+    } else if (d.stage === 'confirmed') {
+      showNotification?.(t('tx_resumed_confirmed', { hash }), 'success');
+      requestRefresh(TX_REFRESH[d.kind] || ['balances']);
+    } else if (d.stage === 'failed') {
+      const reason = d.outcome ? t(`tx_${d.outcome}`) : (d.error || '—');
+      showNotification?.(t('tx_resumed_failed', { hash, reason }), 'error');
+      requestRefresh(TX_REFRESH[d.kind] || ['balances']);
+    }
+  });
+
+  initTxManager().catch((e) => console.warn('[TRADING] initTxManager failed:', e?.message || e));
 }
 
 // -----------------------------
@@ -626,22 +1042,9 @@ function formatRemaining(sec) {
   return `${d ? d + ' д ' : ''}${h ? h + ' год ' : ''}${m} хв`;
 }
 
-let lockRefreshTimer = null;
 let sellFeeCountdownTimer = null;
 let sellFeeDropTs = null;
 
-function startLockAutoRefresh() {
-  if (lockRefreshTimer) clearInterval(lockRefreshTimer);
-  lockRefreshTimer = setInterval(() => {
-    refreshLockPanel().catch(() => {});
-  }, 30_000);
-}
-
-function stopLockAutoRefresh() {
-  if (lockRefreshTimer) clearInterval(lockRefreshTimer);
-  lockRefreshTimer = null;
-}
-
 function stopSellFeeTimer() {
   if (sellFeeCountdownTimer) clearInterval(sellFeeCountdownTimer);
   sellFeeCountdownTimer = null;
@@ -700,6 +1103,10 @@ function renderTradingUI() {
               ${t('max_btn')}
             </button>
           </div>
+          <div style="margin-top:6px; font-size:12px; opacity:0.75;">
+            ${t('vault_preview')} <span id="lpDepositPreview">—</span>
+          </div>
+          <div id="lpStrategyPreview" style="display:none; margin-top:4px; font-size:12px; opacity:0.75;"></div>
         </div>
 
         <div>
@@ -731,10 +1138,27 @@ function renderTradingUI() {
         <div id="lpVaultProgressBar" style="height:100%; width:0%; background: rgba(96,165,250,0.85);"></div>
       </div>
 
+      <div id="lpStrategySettings" style="display:none; grid-template-columns:1fr 1fr; gap:12px; margin-top:12px;">
+        <label style="font-size:12px; opacity:0.85;">
+          ${t('lp_slippage')}
+          <input id="lpSlippage" type="number" inputmode="decimal" min="0" max="50" step="0.1" value="0.5"
+                 style="width:100%; margin-top:4px; padding:10px; border-radius:12px;
+                        border:1px solid rgba(255,255,255,0.12);
+                        background: rgba(0,0,0,0.25); color:#fff;">
+        </label>
+        <label style="font-size:12px; opacity:0.85;">
+          ${t('lp_deadline')}
+          <input id="lpDeadline" type="number" inputmode="numeric" min="1" step="1" value="20"
+                 style="width:100%; margin-top:4px; padding:10px; border-radius:12px;
+                        border:1px solid rgba(255,255,255,0.12);
+                        background: rgba(0,0,0,0.25); color:#fff;">
+        </label>
+      </div>
+
       <div style="display:grid; grid-template-columns:1fr 1fr; gap:12px; margin-top:12px;">
         <button id="lpAddArubBtn" type="button"
                 style="width:66%; padding:12px; border-radius:12px; border:0; cursor:pointer; margin:0 auto; display:block;">
-          ${t('lp_send_arub')}
+          ${t('lp_deposit_arub')}
         </button>
         <button id="lpAddUsdtBtn" type="button"
                 style="width:66%; padding:12px; border-radius:12px; border:0; cursor:pointer; margin:0 auto; display:block;">
@@ -742,6 +1166,36 @@ function renderTradingUI() {
         </button>
       </div>
 
+      <div id="vaultSharesBox" style="margin-top:12px; padding:12px; border-radius:12px;
+                  border:1px solid rgba(255,255,255,0.10); background: rgba(0,0,0,0.18); font-size:13px;">
+        <div style="font-weight:600; margin-bottom:6px;">${t('vault_shares_title')}</div>
+        <div>${t('vault_my_shares')} <span id="vaultMyShares">—</span></div>
+        <div>${t('vault_my_value')} ≈ <span id="vaultMySharesArub">—</span> ARUB</div>
+        <div style="opacity:0.8;">${t('vault_total_assets')} <span id="vaultTotalAssets">—</span></div>
+
+        <div style="display:flex; gap:8px; align-items:center; margin-top:10px;">
+          <input id="vaultWithdrawShares" type="number" inputmode="decimal" placeholder="${t('vault_withdraw_amount')}"
+                 style="flex:1; padding:12px; border-radius:12px;
+                        border:1px solid rgba(255,255,255,0.12);
+                        background: rgba(0,0,0,0.25); color:#fff;">
+          <button id="vaultMaxSharesBtn" type="button"
+                  style="padding:12px 14px; border-radius:12px; border:1px solid rgba(255,255,255,0.12);
+                         background: rgba(0,0,0,0.25); color:#fff; cursor:pointer;">
+            ${t('max_btn')}
+          </button>
+        </div>
+        <div style="margin-top:6px; font-size:12px; opacity:0.75;">
+          ${t('vault_preview')} <span id="vaultWithdrawPreview">—</span>
+        </div>
+        <div id="vaultStrategyNote" style="display:none; margin-top:6px; font-size:12px; opacity:0.85;">
+          ${t('vault_strategy_only')}
+        </div>
+        <button id="vaultWithdrawBtn" type="button"
+                style="width:66%; padding:12px; border-radius:12px; border:0; cursor:pointer; margin:10px auto 0; display:block;">
+          ${t('vault_withdraw_btn')}
+        </button>
+      </div>
+
       <div style="margin-top:8px; font-size:12px; opacity:0.75;">
         ${t('lp_min_deposit')}
       </div>
@@ -751,9 +1205,23 @@ function renderTradingUI() {
     </div>
   `;
 
+  const presaleHidden = tradeMode === 'antirub' ? 'display:none; ' : '';
+
   host.innerHTML = `
+  <div id="oracleHealthBanner" style="display:none; margin-bottom:12px; padding:10px 12px; border-radius:12px; font-size:13px;"></div>
+  <!-- TRADE MODE: presale buy / sell or AntiRUB mint / burn -->
+  <div style="display:flex; gap:16px; flex-wrap:wrap; margin-bottom:12px; font-size:14px;">
+    <label style="display:flex; gap:8px; align-items:center; cursor:pointer;">
+      <input type="radio" name="tradeMode" value="presale" ${tradeMode === 'presale' ? 'checked' : ''}>
+      <span>${t('trade_mode_presale')}</span>
+    </label>
+    <label style="display:flex; gap:8px; align-items:center; cursor:pointer;">
+      <input type="radio" name="tradeMode" value="antirub" ${tradeMode === 'antirub' ? 'checked' : ''}>
+      <span>${t('trade_mode_antirub')}</span>
+    </label>
+  </div>
   <div class="trade-grid" style="display:grid; grid-template-columns:1fr 1fr; gap:16px;">
-    <div class="trade-box" style="padding:16px; border-radius:16px; background: rgba(255,255,255,0.04);">
+    <div class="trade-box" data-trade-mode="presale" style="${presaleHidden}padding:16px; border-radius:16px; background: rgba(255,255,255,0.04);">
       <h3 style="margin:0 0 10px 0;">${t('buy_title')}</h3>
 
       <!-- BUY MODE -->
@@ -827,7 +1295,7 @@ function renderTradingUI() {
       </div>
     </div>
 
-    <div class="trade-box" style="padding:16px; border-radius:16px; background: rgba(255,255,255,0.04);">
+    <div class="trade-box" data-trade-mode="presale" style="${presaleHidden}padding:16px; border-radius:16px; background: rgba(255,255,255,0.04);">
       <h3 style="margin:0 0 10px 0;">${t('sell_title')}</h3>
 
       <div style="display:flex; gap:8px; align-items:center; margin-bottom:10px;">
@@ -867,7 +1335,56 @@ function renderTradingUI() {
       <div style="margin-top:10px; font-size:14px; opacity:0.9;">
         ${t('balance_arub')} <span id="arubBalance">—</span>
       </div>
+
+      <div id="debtPanel" style="display:none; margin-top:12px; padding:12px; border-radius:12px; border:1px solid rgba(255,255,255,0.10); background: rgba(0,0,0,0.18); font-size:13px;">
+        <div style="font-weight:600; margin-bottom:6px;">${t('debt_title')}</div>
+        <div>${t('debt_mine')} <span id="debtMine">—</span> USDT</div>
+        <div>${t('debt_share')} <span id="debtShare">—</span></div>
+        <div>${t('debt_treasury')} <span id="debtTreasury">—</span> USDT</div>
+        <div>${t('debt_claimable')} <span id="debtClaimable">—</span> USDT</div>
+        <button id="claimDebtBtn" type="button" style="display:none; margin-top:10px; width:100%; padding:10px; border-radius:10px; border:0; cursor:pointer;">${t('debt_claim_btn')}</button>
+      </div>
     </div>
+
+    <div class="trade-box" data-trade-mode="antirub" style="${tradeMode === 'antirub' ? '' : 'display:none; '}grid-column:1 / -1; padding:16px; border-radius:16px; background: rgba(255,255,255,0.04);">
+      <h3 style="margin:0 0 6px 0;">${t('ar_title')}</h3>
+      <div style="font-size:12px; opacity:0.75; margin-bottom:10px;">${t('ar_subtitle')}</div>
+
+      <div style="display:flex; gap:16px; flex-wrap:wrap; margin-bottom:10px; font-size:14px;">
+        <label style="cursor:pointer;"><input type="radio" name="arMode" value="mint" checked> ${t('ar_mode_mint')}</label>
+        <label style="cursor:pointer;"><input type="radio" name="arMode" value="burn"> ${t('ar_mode_burn')}</label>
+      </div>
+
+      <div style="display:grid; grid-template-columns:2fr 1fr; gap:12px;">
+        <div style="display:flex; gap:8px; align-items:center;">
+          <input id="arAmount" type="number" inputmode="decimal" placeholder="${t('amount_usdt')}"
+                 style="flex:1; padding:12px; border-radius:12px; border:1px solid rgba(255,255,255,0.12); background: rgba(0,0,0,0.25); color:#fff;">
+          <button id="arMaxBtn" type="button"
+                  style="padding:12px 14px; border-radius:12px; border:1px solid rgba(255,255,255,0.12); background: rgba(0,0,0,0.25); color:#fff; cursor:pointer;">
+            ${t('max_btn')}
+          </button>
+        </div>
+        <label style="font-size:12px; opacity:0.85;">
+          ${t('lp_slippage')}
+          <input id="arSlippage" type="number" inputmode="decimal" min="0" max="50" step="0.1" value="0.5"
+                 style="width:100%; margin-top:4px; padding:10px; border-radius:12px; border:1px solid rgba(255,255,255,0.12); background: rgba(0,0,0,0.25); color:#fff;">
+        </label>
+      </div>
+
+      <div style="margin-top:10px; font-size:13px; line-height:1.6; opacity:0.9;">
+        <div>${t('ar_receive')} <span id="arQuoteOut">—</span></div>
+        <div>${t('ar_fee')} <span id="arQuoteFee">—</span></div>
+        <div>${t('ar_new_cr')} <span id="arQuoteCr">—</span></div>
+        <div>${t('ar_min_out')} <span id="arQuoteMin">—</span></div>
+      </div>
+
+      <button id="arSubmitBtn" type="button"
+              style="width:66%; padding:12px; border-radius:12px; border:0; cursor:pointer; margin:10px auto 0; display:block;">
+        ${t('ar_submit_mint')}
+      </button>
+    </div>
+
+    <div id="txHistoryBox" class="trade-box" style="grid-column:1 / -1; padding:16px; border-radius:16px; background: rgba(255,255,255,0.04);"></div>
   </div>
 `;
 
@@ -882,19 +1399,11 @@ function renderTradingUI() {
     lpHost.innerHTML = liquidityHtml;
   }
 
-  try { refreshVaultTotals?.(true); } catch (_) {}
-
-  setTimeout(() => { try { refreshBuyBonusBox?.(); } catch (_) {} }, 0);
-
-document.addEventListener('change', (e) => {
-  if (e.target?.name === 'buyMode') {
-    try { refreshBuyBonusBox?.(); } catch (_) {}
-  }
-});
+  getArubPrice().then(setOracleHealth).catch(() => {});
+  requestRefresh('vaultTotals', 'bonusBox', 'history');
 
 try { bindUiOncePerRender?.(); } catch (e) { console.warn(e); }
 try { hardUnlock?.(); } catch (e) { console.warn(e); }
-try { refreshBuyBonusBox?.().catch(()=>{}); } catch (e) { console.warn(e); }
 }
 
 // -----------------------------
@@ -968,12 +1477,7 @@ async function initReadOnly() {
       if (usdtRO?.decimals) DECIMALS_USDT = Number(await usdtRO.decimals());
     } catch (_) {}
     console.log('[TRADING] decimals synced (RO):', { DECIMALS_ARUB, DECIMALS_USDT });
-    try {
-      await refreshBalances();
-    } catch (_) {}
-    try {
-      await refreshVaultTotals(true);
-    } catch (_) {}
+    requestRefresh('balances', 'vaultTotals');
   })();
 }
 
@@ -1081,7 +1585,6 @@ async function refreshVaultTotals(force = false) {
 
 async function refreshBalances() {
   try {
-    try { await refreshVaultTotals(); } catch (_) {}
     if (!user.address || !tokenRO || !usdtRO) return;
 
     const presaleRO = await getReadOnlyPresale();
@@ -1090,7 +1593,7 @@ async function refreshBalances() {
     const [arubBal, usdtBal, redeemable] = await Promise.all([
       tokenRO.balanceOf(user.address),
       usdtRO.balanceOf(user.address),
-      presaleRO.redeemableBalance(user.address),
+      readWithQuorum(presaleRO, 'redeemableBalance', [user.address]),
     ]);
 
     setText('arubBalance', formatTokenAmount(arubBal, DECIMALS_ARUB, 6));
@@ -1114,11 +1617,205 @@ async function refreshBalances() {
 
     const sellInp = el('sellAmount');
     if (sellInp) sellInp.disabled = !canSell;
+
+    try { await refreshVaultPosition(); } catch (_) {}
+    try { await refreshDebtPanel(); } catch (_) {}
+
+    applyOracleHealthUI();
   } catch (e) {
     console.warn('[TRADING] refreshBalances error:', e);
   }
 }
 
+// -----------------------------
+// AntiRUB mint / burn
+// -----------------------------
+let arQuoteSeq = 0;
+// third trading mode next to presale buy / sell; kept across re-renders
+let tradeMode = 'presale';
+
+function syncTradeModeUI() {
+  document.querySelectorAll('[data-trade-mode]').forEach((node) => {
+    node.style.display = node.dataset.tradeMode === tradeMode ? '' : 'none';
+  });
+}
+
+function getArMode() {
+  const v = document.querySelector('input[name="arMode"]:checked')?.value;
+  return v === 'burn' ? 'burn' : 'mint';
+}
+
+function getArSlippageBps() {
+  const raw = Number(el('arSlippage')?.value ?? '');
+  const pct = Number.isFinite(raw) && raw >= 0 ? raw : 0.5;
+  const bps = Math.round(pct * 100);
+  return Math.min(Math.max(bps, 0), 5000);
+}
+
+function resetArQuote() {
+  ['arQuoteOut', 'arQuoteFee', 'arQuoteCr', 'arQuoteMin'].forEach((id) => setText(id, '—'));
+}
+
+function syncArModeUI() {
+  const mode = getArMode();
+  const inp = el('arAmount');
+  if (inp) inp.placeholder = mode === 'mint' ? t('amount_usdt') : t('amount_arub');
+  const btn = el('arSubmitBtn');
+  if (btn) btn.textContent = mode === 'mint' ? t('ar_submit_mint') : t('ar_submit_burn');
+}
+
+async function refreshAntiRubQuote() {
+  if (!el('arQuoteOut')) return;
+
+  const seq = ++arQuoteSeq;
+  const mode = getArMode();
+  const raw = String(el('arAmount')?.value ?? '').trim();
+  if (!raw) {
+    resetArQuote();
+    return;
+  }
+
+  try {
+    const isMint = mode === 'mint';
+    const amountBN = parseTokenAmount(raw, isMint ? DECIMALS_USDT : DECIMALS_ARUB);
+    const q = isMint
+      ? await quoteMint(amountBN, { slippageBps: getArSlippageBps() })
+      : await quoteBurn(amountBN, { slippageBps: getArSlippageBps() });
+    if (seq !== arQuoteSeq) return;
+
+    // mint pays out ARUB (fee in ARUB), burn pays out USDT (fee in USDT)
+    const outDec = isMint ? DECIMALS_ARUB : DECIMALS_USDT;
+    const outSym = isMint ? 'ARUB' : 'USDT';
+    const outFrac = isMint ? 6 : 2;
+
+    setText('arQuoteOut', `${formatTokenAmount(q.amountOut, outDec, outFrac)} ${outSym}`);
+    setText('arQuoteFee', `${formatTokenAmount(q.fee, outDec, outFrac)} ${outSym}`);
+    setText('arQuoteCr', formatCrBps(q.newCrBps));
+    setText('arQuoteMin', `${formatTokenAmount(q.minOut, outDec, outFrac)} ${outSym}`);
+  } catch (e) {
+    if (seq !== arQuoteSeq) return;
+    resetArQuote();
+    console.warn('[ANTIRUB] quote failed:', e?.message || e);
+  }
+}
+
+async function setMaxAntiRub() {
+  if (!user.address) return;
+  const isMint = getArMode() === 'mint';
+  const token = isMint ? usdtRO : tokenRO;
+  if (!token) return;
+
+  const bal = await token.balanceOf(user.address);
+  setInputValue('arAmount', ethers.utils.formatUnits(bal, isMint ? DECIMALS_USDT : DECIMALS_ARUB));
+}
+
+export async function submitAntiRub() {
+  const ws = window.walletState;
+  if (!ws?.signer || !ws?.address) {
+    showNotification?.(t('connect_trade'), 'error');
+    return;
+  }
+
+  try {
+    requireArbitrumOrThrow(ws);
+  } catch (e) {
+    showNotification?.(e?.message || t('need_network'), 'error');
+    return;
+  }
+
+  if (await isOracleStaleBlocking()) return;
+
+  const mode = getArMode();
+  const isMint = mode === 'mint';
+
+  let amountBN;
+  try {
+    amountBN = parseTokenAmount(el('arAmount')?.value ?? '', isMint ? DECIMALS_USDT : DECIMALS_ARUB);
+  } catch (_) {
+    showNotification?.(t('enter_amount'), 'error');
+    return;
+  }
+  if (amountBN.isZero()) {
+    showNotification?.(t('enter_amount'), 'error');
+    return;
+  }
+
+  const opts = {
+    signer: ws.signer,
+    slippageBps: getArSlippageBps(),
+    onStatus: (stage, p) => {
+      if (stage === 'approve') showNotification?.(withFee(t('ar_approving'), p), 'success');
+      if (stage === 'sign') showNotification?.(withFee(t('ar_processing'), p), 'success');
+    },
+  };
+
+  try {
+    const receipt = isMint ? await mintArub(amountBN, opts) : await burnArub(amountBN, opts);
+    showNotification?.(t('ar_done'), 'success');
+    setInputValue('arAmount', '');
+
+    await requestRefresh(isMint ? TX_REFRESH.antirub_mint : TX_REFRESH.antirub_burn);
+    return receipt;
+  } catch (e) {
+    console.error('[ANTIRUB] submit error:', e);
+    if (isUserRejectedTx(e)) {
+      showNotification?.(t('tx_rejected'), 'error');
+      return;
+    }
+    showNotification?.(pickEthersMessage(e), 'error');
+  }
+}
+
+// -----------------------------
+// Presale debt (redeem shortfall, paid out via claimDebt)
+// -----------------------------
+async function refreshDebtPanel() {
+  const panel = el('debtPanel');
+  if (!panel) return;
+
+  const addr = user.address || window.walletState?.address || null;
+  if (!addr) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  try {
+    const presaleRO = await getReadOnlyPresale();
+    if (!presaleRO) return;
+
+    const usdtBalRO = usdtRO || new ethers.Contract(USDT_ADDRESS, ERC20_ABI_MIN, await getReadOnlyProviderAsync());
+
+    const [debt, totalDebt, treasury] = await Promise.all([
+      presaleRO.debtUsdtEquivalent(addr),
+      presaleRO.totalDebtUsdtEquivalent(),
+      usdtBalRO.balanceOf(PRESALE_ADDRESS),
+    ]);
+
+    // claimDebt() pays min(debt, presale USDT balance)
+    const claimable = debt.gt(treasury) ? treasury : debt;
+    const sharePct = totalDebt.isZero()
+      ? 0
+      : Number(debt.mul(10_000).div(totalDebt).toString()) / 100;
+
+    setText('debtMine', formatTokenAmount(debt, DECIMALS_USDT, 2));
+    setText('debtShare', `${sharePct.toFixed(2)}%`);
+    setText('debtTreasury', formatTokenAmount(treasury, DECIMALS_USDT, 2));
+    setText('debtClaimable', formatTokenAmount(claimable, DECIMALS_USDT, 2));
+
+    const hasDebt = !debt.isZero();
+    panel.style.display = hasDebt ? 'block' : 'none';
+
+    const claimBtn = el('claimDebtBtn');
+    if (claimBtn) {
+      claimBtn.style.display = hasDebt ? '' : 'none';
+      claimBtn.disabled = claimable.isZero();
+      claimBtn.onclick = () => claimDebt();
+    }
+  } catch (e) {
+    console.warn('[TRADING] refreshDebtPanel error:', e?.message || e);
+  }
+}
+
 // -----------------------------
 // Amount helpers
 // -----------------------------
@@ -1204,15 +1901,22 @@ async function sendToVault(kind) {
   const token = new ethers.Contract(tokenAddr, ERC20_ABI_MIN, ws.signer);
 
   try {
-    showNotification?.('\\u041f\\u0456\\u0434\\u043f\\u0438\\u0441\\u0430\\u043d\\u043d\\u044f \\u043f\\u0435\\u0440\\u0435\\u043a\\u0430\\u0437\\u0443 ' + symbol + '...', 'success');
-    const tx = await token.transfer(VAULT_ADDRESS, amountBN);
-    showNotification?.('\\u0422\\u0440\\u0430\\u043d\\u0437\\u0430\\u043a\\u0446\\u0456\\u044e \\u0432\\u0456\\u0434\\u043f\\u0440\\u0430\\u0432\\u043b\\u0435\\u043d\\u043e', 'success');
-    await tx.wait(CONFIG?.TX_CONFIRMATIONS ?? 1);
+    const receipt = await runTx({
+      kind: 'vault_transfer',
+      signer: ws.signer,
+      contract: token,
+      method: 'transfer',
+      args: [VAULT_ADDRESS, amountBN],
+      meta: { amount: amountBN.toString(), symbol },
+      onStatus: (stage, p) => {
+        if (stage === 'sign') showNotification?.(withFee('\\u041f\\u0456\\u0434\\u043f\\u0438\\u0441\\u0430\\u043d\\u043d\\u044f \\u043f\\u0435\\u0440\\u0435\\u043a\\u0430\\u0437\\u0443 ' + symbol + '...', p), 'success');
+        if (stage === 'submitted') showNotification?.('\\u0422\\u0440\\u0430\\u043d\\u0437\\u0430\\u043a\\u0446\\u0456\\u044e \\u0432\\u0456\\u0434\\u043f\\u0440\\u0430\\u0432\\u043b\\u0435\\u043d\\u043e', 'success');
+      },
+    });
     showNotification?.('\\u041d\\u0430\\u0434\\u0456\\u0441\\u043b\\u0430\\u043d\\u043e \\u0443 Vault (' + symbol + ')', 'success');
 
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await refreshVaultTotals?.(true); } catch (_) {}
-    return tx;
+    await requestRefresh(TX_REFRESH.vault_transfer);
+    return receipt;
   } catch (e) {
     console.error('[VAULT] transfer error:', e);
     if (isUserRejectedTx(e)) {
@@ -1224,6 +1928,255 @@ async function sendToVault(kind) {
   }
 }
 
+// -----------------------------
+// Vault shares (ARUBVault.deposit / withdraw)
+// -----------------------------
+let vaultDepositPreviewSeq = 0;
+let vaultWithdrawPreviewSeq = 0;
+let vaultStrategyEnabled = false;
+
+async function refreshVaultPosition() {
+  if (!el('vaultMyShares')) return;
+
+  const addr = user.address || window.walletState?.address || null;
+  if (!addr || !VAULT_ADDRESS) {
+    setText('vaultMyShares', '—');
+    setText('vaultMySharesArub', '—');
+    return;
+  }
+
+  try {
+    const pos = await getVaultPosition(addr);
+    if (!pos) return;
+
+    setText('vaultMyShares', formatTokenAmount(pos.shares, DECIMALS_ARUB, 6));
+    setText('vaultMySharesArub', formatTokenAmount(pos.valueArub, DECIMALS_ARUB, 6));
+    setText('vaultTotalAssets', `${formatTokenAmount(pos.totalAssets, DECIMALS_ARUB, 6)} ARUB`);
+
+    const inp = el('vaultWithdrawShares');
+    if (inp) inp.dataset.max = ethers.utils.formatUnits(pos.shares, DECIMALS_ARUB);
+
+    vaultStrategyEnabled = !!pos.strategyEnabled;
+
+    const note = el('vaultStrategyNote');
+    if (note) note.style.display = vaultStrategyEnabled ? 'block' : 'none';
+
+    const settings = el('lpStrategySettings');
+    if (settings) settings.style.display = vaultStrategyEnabled ? 'grid' : 'none';
+  } catch (e) {
+    console.warn('[VAULT] refreshVaultPosition error:', e?.message || e);
+  }
+}
+
+async function updateVaultDepositPreview() {
+  const out = el('lpDepositPreview');
+  if (!out) return;
+
+  const seq = ++vaultDepositPreviewSeq;
+  const strategyOut = el('lpStrategyPreview');
+  const raw = String(el('lpArubAmount')?.value ?? '').trim();
+  if (!raw) {
+    out.textContent = '—';
+    if (strategyOut) strategyOut.style.display = 'none';
+    return;
+  }
+
+  try {
+    const amountBN = parseTokenAmount(raw, DECIMALS_ARUB);
+    const { shares, strategyEnabled } = await previewVaultDeposit(amountBN);
+    if (seq !== vaultDepositPreviewSeq) return;
+    out.textContent = `${formatTokenAmount(shares, DECIMALS_ARUB, 6)} ${t('vault_shares_unit')}`;
+
+    if (!strategyOut) return;
+    if (!strategyEnabled) {
+      strategyOut.style.display = 'none';
+      return;
+    }
+
+    const q = await quoteStrategyDeposit(amountBN, {
+      slippageBps: getLpSlippageBps(),
+      deadline: getLpDeadlineSeconds(),
+    });
+    if (seq !== vaultDepositPreviewSeq) return;
+    strategyOut.textContent =
+      `${t('lp_strategy_min')} ${ethers.utils.formatUnits(q.params.minLpOut, 18)} · ` +
+      `${t('lp_strategy_swap')} ${formatTokenAmount(q.params.minUsdtOut, DECIMALS_USDT, 2)} USDT`;
+    strategyOut.style.display = 'block';
+  } catch (_) {
+    if (seq !== vaultDepositPreviewSeq) return;
+    out.textContent = '—';
+    if (strategyOut) strategyOut.style.display = 'none';
+  }
+}
+
+async function updateVaultWithdrawPreview() {
+  const out = el('vaultWithdrawPreview');
+  if (!out) return;
+
+  const seq = ++vaultWithdrawPreviewSeq;
+  const raw = String(el('vaultWithdrawShares')?.value ?? '').trim();
+  if (!raw) {
+    out.textContent = '—';
+    return;
+  }
+
+  try {
+    const sharesBN = parseTokenAmount(raw, DECIMALS_ARUB);
+    const { arubOut, requiresStrategy } = await previewVaultWithdraw(sharesBN);
+    if (seq !== vaultWithdrawPreviewSeq) return;
+
+    if (!requiresStrategy) {
+      out.textContent = `${formatTokenAmount(arubOut, DECIMALS_ARUB, 6)} ARUB`;
+      return;
+    }
+
+    const q = await quoteStrategyWithdraw(sharesBN, {
+      slippageBps: getLpSlippageBps(),
+      deadline: getLpDeadlineSeconds(),
+    });
+    if (seq !== vaultWithdrawPreviewSeq) return;
+    out.textContent =
+      `${formatTokenAmount(q.expected.arubOut, DECIMALS_ARUB, 6)} ARUB ` +
+      `(${t('vault_min_receive')} ${formatTokenAmount(q.expected.minArubOut, DECIMALS_ARUB, 6)})`;
+  } catch (_) {
+    if (seq === vaultWithdrawPreviewSeq) out.textContent = '—';
+  }
+}
+
+function ensureVaultWriteReady() {
+  const ws = window.walletState;
+  if (!ws?.signer || !ws?.address) {
+    showNotification?.(t('connect_liquidity'), 'error');
+    return null;
+  }
+
+  try {
+    requireArbitrumOrThrow(ws);
+  } catch (e) {
+    showNotification?.(e?.message || t('need_network'), 'error');
+    return null;
+  }
+
+  if (!VAULT_ADDRESS) {
+    showNotification?.(t('vault_not_configured'), 'error');
+    return null;
+  }
+
+  return ws;
+}
+
+async function depositArubToVault() {
+  const ws = ensureVaultWriteReady();
+  if (!ws) return;
+
+  let amountBN;
+  try {
+    amountBN = parseTokenAmount(el('lpArubAmount')?.value ?? '', DECIMALS_ARUB);
+  } catch (_) {
+    showNotification?.(t('enter_amount'), 'error');
+    return;
+  }
+
+  const minBN = parseTokenAmount(MIN_LP_ARUB, DECIMALS_ARUB);
+  if (amountBN.lt(minBN)) {
+    showNotification?.(t('lp_min_deposit'), 'error');
+    return;
+  }
+
+  try {
+    const opts = {
+      signer: ws.signer,
+      slippageBps: getLpSlippageBps(),
+      deadline: getLpDeadlineSeconds(),
+      onStatus: (stage, p) => {
+        if (stage === 'approve') showNotification?.(withFee(t('vault_approving'), p), 'success');
+        if (stage === 'sign') showNotification?.(withFee(t('vault_depositing'), p), 'success');
+      },
+    };
+
+    // Phase 2: plain deposit() still works, but only the strategy path puts ARUB into the pool
+    const receipt = vaultStrategyEnabled
+      ? await depositWithStrategy(amountBN, opts)
+      : await depositToVault(amountBN, opts);
+
+    showNotification?.(t('vault_deposit_done'), 'success');
+    setInputValue('lpArubAmount', '');
+
+    await requestRefresh(TX_REFRESH.vault_deposit);
+    return receipt;
+  } catch (e) {
+    console.error('[VAULT] deposit error:', e);
+    if (isUserRejectedTx(e)) {
+      showNotification?.(t('tx_rejected'), 'error');
+      return;
+    }
+    showNotification?.(pickEthersMessage(e), 'error');
+  }
+}
+
+async function withdrawVaultShares() {
+  const ws = ensureVaultWriteReady();
+  if (!ws) return;
+
+  let sharesBN;
+  try {
+    sharesBN = parseTokenAmount(el('vaultWithdrawShares')?.value ?? '', DECIMALS_ARUB);
+  } catch (_) {
+    showNotification?.(t('enter_amount'), 'error');
+    return;
+  }
+
+  if (sharesBN.isZero()) {
+    showNotification?.(t('enter_amount'), 'error');
+    return;
+  }
+
+  let preview;
+  try {
+    preview = await previewVaultWithdraw(sharesBN);
+    const pos = await getVaultPosition(ws.address);
+    if (!pos || pos.shares.isZero()) {
+      showNotification?.(t('vault_no_shares'), 'error');
+      return;
+    }
+    if (sharesBN.gt(pos.shares)) {
+      showNotification?.(t('vault_exceeds_shares'), 'error');
+      return;
+    }
+  } catch (e) {
+    console.warn('[VAULT] withdraw precheck failed:', e?.message || e);
+  }
+
+  const useStrategy = preview ? !!preview.requiresStrategy : vaultStrategyEnabled;
+
+  try {
+    const onStatus = (stage, p) => {
+      if (stage === 'sign') showNotification?.(withFee(t('vault_withdrawing'), p), 'success');
+    };
+    const receipt = useStrategy
+      ? await withdrawToArub(sharesBN, {
+          signer: ws.signer,
+          slippageBps: getLpSlippageBps(),
+          deadline: getLpDeadlineSeconds(),
+          onStatus,
+        })
+      : await withdrawFromVault(sharesBN, { signer: ws.signer, onStatus });
+
+    showNotification?.(t('vault_withdraw_done'), 'success');
+    setInputValue('vaultWithdrawShares', '');
+
+    await requestRefresh(TX_REFRESH.vault_withdraw);
+    return receipt;
+  } catch (e) {
+    console.error('[VAULT] withdraw error:', e);
+    if (isUserRejectedTx(e)) {
+      showNotification?.(t('tx_rejected'), 'error');
+      return;
+    }
+    showNotification?.(pickEthersMessage(e), 'error');
+  }
+}
+
 function syncUserFromWalletState() {
   try {
     const a = window.walletState?.address || null;
@@ -1234,7 +2187,7 @@ function syncUserFromWalletState() {
 
 window.addEventListener('walletStateChanged', () => {
   syncUserFromWalletState();
-  refreshBuyBonusBox?.().catch?.(() => {});
+  requestRefresh('bonusBox');
 });
 
 // -----------------------------
@@ -1256,7 +2209,6 @@ async function refreshBuyBonusBox() {
     pctEl.textContent = '—';
     slotsEl.textContent = '—';
     if (noteEl) noteEl.style.display = 'none';
-    await refreshUiAfterRpcError();
     return;
   }
 
@@ -1391,7 +2343,7 @@ async function refreshSellFeeSchedule(currentFeeBps) {
       info = await tryGetNext(ro);
     }
   } catch (_) {
-    await refreshUiAfterRpcError({ includeSellFee: false });
+    refreshUiAfterRpcError({ includeSellFee: false });
   }
 
   let secondsToNext = null;
@@ -1416,7 +2368,7 @@ async function refreshSellFeeSchedule(currentFeeBps) {
       updateSellFeeCountdown();
       if (sellFeeDropTs && Math.floor(Date.now() / 1000) >= sellFeeDropTs) {
         stopSellFeeTimer();
-        refreshSellFee().catch(() => {});
+        requestRefresh('sellFee');
       }
     }, 30_000);
   } else {
@@ -1487,7 +2439,7 @@ async function refreshSellFee() {
       await refreshSellFeeSchedule(feeBps);
     } catch (_) {}
   } catch (_) {
-    await refreshUiAfterRpcError({ includeSellFee: false });
+    refreshUiAfterRpcError({ includeSellFee: false });
   }
 }
 
@@ -1532,12 +2484,7 @@ async function refreshLockPanel() {
   const unlockBtn = el('unlockBtn');
   if (unlockBtn) {
     unlockBtn.style.display = canUnlock ? '' : 'none';
-    unlockBtn.onclick = async () => {
-      await unlockDeposit();
-      await refreshBalances();
-      await refreshLockPanel();
-      startLockAutoRefresh();
-    };
+    unlockBtn.onclick = () => unlockDeposit();
   }
 
   // Sell lock hint (informational only)
@@ -1569,7 +2516,7 @@ async function refreshLockPanel() {
             if (!presaleRO) throw new Error('Read-only presale not ready');
 
             // Only fetch redeemableBalance (tokens bought through presale)
-            const redeemable = await presaleRO.redeemableBalance(user.address);
+            const redeemable = await readWithQuorum(presaleRO, 'redeemableBalance', [user.address]);
 
             redeemableCached = redeemable;
             redeemableFor = user.address;
@@ -1615,10 +2562,6 @@ function bindUiOncePerRender() {
         const amount = el('buyAmount')?.value ?? '';
         const withBonus = getBuyMode() === 'discount';
         await buyTokens(amount, withBonus);
-
-        try {
-          await refreshBuyBonusBox();
-        } catch (_) {}
       } catch (e) {
         console.error('[UI] buy click error:', e);
         showNotification?.(e?.message || 'Buy failed', 'error');
@@ -1700,7 +2643,7 @@ function bindUiOncePerRender() {
   if (lpAddArubBtn) {
     lpAddArubBtn.onclick = async () => {
       try {
-        await sendToVault('arub');
+        await depositArubToVault();
       } catch (e) {
         console.error('[UI] sendToVault ARUB error:', e);
         showNotification?.(e?.message || '\\u041d\\u0435 \\u0432\\u0434\\u0430\\u043b\\u043e\\u0441\\u044f \\u043d\\u0430\\u0434\\u0456\\u0441\\u043b\\u0430\\u0442\\u0438 ARUB \\u0443 Vault', 'error');
@@ -1722,6 +2665,92 @@ function bindUiOncePerRender() {
 
 
 
+  const lpArubInput = el('lpArubAmount');
+  if (lpArubInput) {
+    lpArubInput.oninput = () => {
+      updateVaultDepositPreview().catch(() => {});
+    };
+  }
+
+  const vaultSharesInput = el('vaultWithdrawShares');
+  if (vaultSharesInput) {
+    vaultSharesInput.oninput = () => {
+      updateVaultWithdrawPreview().catch(() => {});
+    };
+  }
+
+  document.querySelectorAll('input[name="tradeMode"]').forEach((node) => {
+    node.onchange = () => {
+      tradeMode = node.value === 'antirub' ? 'antirub' : 'presale';
+      syncTradeModeUI();
+      if (tradeMode === 'antirub') refreshAntiRubQuote().catch(() => {});
+    };
+  });
+
+  document.querySelectorAll('input[name="arMode"]').forEach((node) => {
+    node.onchange = () => {
+      syncArModeUI();
+      refreshAntiRubQuote().catch(() => {});
+    };
+  });
+
+  ['arAmount', 'arSlippage'].forEach((id) => {
+    const node = el(id);
+    if (!node) return;
+    node.oninput = () => {
+      refreshAntiRubQuote().catch(() => {});
+    };
+  });
+
+  const arMaxBtn = el('arMaxBtn');
+  if (arMaxBtn) {
+    arMaxBtn.onclick = () => {
+      setMaxAntiRub().catch(() => {});
+    };
+  }
+
+  const arSubmitBtn = el('arSubmitBtn');
+  if (arSubmitBtn) {
+    arSubmitBtn.onclick = async () => {
+      try {
+        await submitAntiRub();
+      } catch (e) {
+        console.error('[UI] submitAntiRub error:', e);
+        showNotification?.(e?.message || t('ar_processing'), 'error');
+      }
+    };
+  }
+
+  ['lpSlippage', 'lpDeadline'].forEach((id) => {
+    const node = el(id);
+    if (!node) return;
+    node.oninput = () => {
+      updateVaultDepositPreview().catch(() => {});
+      updateVaultWithdrawPreview().catch(() => {});
+    };
+  });
+
+  const vaultMaxSharesBtn = el('vaultMaxSharesBtn');
+  if (vaultMaxSharesBtn) {
+    vaultMaxSharesBtn.onclick = () => {
+      const max = el('vaultWithdrawShares')?.dataset?.max;
+      if (!max) return;
+      setInputValue('vaultWithdrawShares', max);
+    };
+  }
+
+  const vaultWithdrawBtn = el('vaultWithdrawBtn');
+  if (vaultWithdrawBtn) {
+    vaultWithdrawBtn.onclick = async () => {
+      try {
+        await withdrawVaultShares();
+      } catch (e) {
+        console.error('[UI] withdrawVaultShares error:', e);
+        showNotification?.(e?.message || t('vault_withdraw_btn'), 'error');
+      }
+    };
+  }
+
   const lpMaxArubBtn = el('lpMaxArubBtn');
   if (lpMaxArubBtn) {
     lpMaxArubBtn.onclick = () => {
@@ -1741,12 +2770,8 @@ function bindUiOncePerRender() {
   }
 
   document.querySelectorAll('input[name="buyMode"]').forEach((r) => {
-    r.onchange = () => {
-      refreshBuyBonusBox().catch(() => {});
-    };
+    r.onchange = () => requestRefresh('bonusBox');
   });
-
-  refreshBuyBonusBox().catch(() => {});
 }
 
 // -----------------------------
@@ -1809,7 +2834,6 @@ async function applyWalletState(reason = 'unknown') {
     __tradingUiRendered = false;
 
     renderLocked();
-    stopLockAutoRefresh();
     return;
   }
 
@@ -1840,11 +2864,8 @@ async function applyWalletState(reason = 'unknown') {
   const loadingNote = el('presaleLoadingNote');
   if (loadingNote) loadingNote.style.display = 'none';
 
-  try { await refreshBuyBonusBox(); } catch (_) {}
-
-
   // обновляем бонус-бокс и лимиты сразу после отрисовки UI
-  try { await refreshBuyBonusBox(); } catch (_) {}
+  await requestRefresh('bonusBox');
 
 
   if (!hasSigner) {
@@ -1871,10 +2892,7 @@ async function applyWalletState(reason = 'unknown') {
   if (readyForTrading) {
     initWithSigner();
     try { ensurePresaleUI(); } catch (_) {}
-    await refreshBalances();
-    await refreshLockPanel();
-    await refreshSellFee();
-    startLockAutoRefresh();
+    await requestRefresh('balances', 'lock', 'sellFee', 'history');
 
     const needPresaleUi = user.address && user.address !== _presaleUiFor;
     if (needPresaleUi) {
@@ -1907,9 +2925,7 @@ export async function setMaxBuy() {
     const inp = el('buyAmount');
     if (inp) inp.value = v;
   } catch (e) {
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh('balances', 'lock', 'sellFee');
     throw e;
   }
 }
@@ -1930,7 +2946,7 @@ export async function setMaxSell() {
     const presaleRO = await getReadOnlyPresale();
 
     // Only fetch redeemableBalance (tokens bought through presale), not wallet balance
-    const redeemable = await presaleRO.redeemableBalance(user.address);
+    const redeemable = await readWithQuorum(presaleRO, 'redeemableBalance', [user.address]);
     redeemableCached = redeemable;
     redeemableFor = user.address;
 
@@ -1941,7 +2957,7 @@ export async function setMaxSell() {
       freeEl.textContent = formatTokenAmount(allowed, DECIMALS_ARUB, 6);
       freeEl.dataset.allowed = freeEl.textContent;
     }
-    try { await refreshLockPanel(); } catch (_) {}
+    requestRefresh('lock');
 
     const maxSell = allowed;
 
@@ -1949,9 +2965,7 @@ export async function setMaxSell() {
     const inp = el('sellAmount');
     if (inp) inp.value = v;
   } catch (e) {
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh('balances', 'lock', 'sellFee');
     throw e;
   }
 }
@@ -1987,6 +3001,7 @@ function explainEthersError(e) {
     errorMessage: e?.error?.message,
     dataMessage: e?.data?.message,
     bodyMessage: bodyMsg,
+    revert: decodeRevert(e),
     isUserRejected:
       e?.code === 4001 ||
       e?.code === 'ACTION_REJECTED' ||
@@ -1997,6 +3012,93 @@ function explainEthersError(e) {
 }
 
 
+// -----------------------------
+// Expected outcome for the tx preview (presale views, same math as ARUBPresale)
+// -----------------------------
+const fmtArub = (bn) => `${formatTokenAmount(bn, DECIMALS_ARUB, 2)} ARUB`;
+const fmtUsdt = (bn) => `${formatTokenAmount(bn, DECIMALS_USDT, 2)} USDT`;
+
+async function getArubCalc() {
+  return new ethers.Contract(ARUB_TOKEN_ADDRESS, ARUB_ABI, await getReadOnlyProviderAsync());
+}
+
+async function presaleUsdtLiquidity() {
+  const usdt = new ethers.Contract(USDT_ADDRESS, ERC20_ABI, await getReadOnlyProviderAsync());
+  return usdt.balanceOf(PRESALE_ADDRESS);
+}
+
+async function previewBuy(amountBN, withBonus, address) {
+  const token = await getArubCalc();
+  if (!withBonus) {
+    return [{ label: t('preview_receive'), value: fmtArub(await token.calculateArubAmount(amountBN)) }];
+  }
+
+  const presaleRO = await getReadOnlyPresale();
+  const [pct, used, maxPerWallet, lockPeriod, lockedUntil] = await Promise.all([
+    presaleRO.getDiscountPercent(),
+    presaleRO.discountUsed(address),
+    presaleRO.MAX_DISCOUNT_PER_WALLET(),
+    presaleRO.BONUS_LOCK_PERIOD(),
+    presaleRO.lockedDepositUntil(address),
+  ]);
+
+  let discount = amountBN.mul(pct).div(100);
+  const available = maxPerWallet.gt(used) ? maxPerWallet.sub(used) : ethers.constants.Zero;
+  if (discount.gt(available)) discount = available;
+
+  const [total, bonus] = await Promise.all([
+    token.calculateArubAmount(amountBN.add(discount)),
+    discount.isZero() ? ethers.constants.Zero : token.calculateArubAmount(discount),
+  ]);
+  // the lock is extended, never shortened
+  const unlock = Math.max(Math.floor(Date.now() / 1000) + lockPeriod.toNumber(), lockedUntil.toNumber());
+
+  return [
+    { label: t('preview_receive_locked'), value: fmtArub(total) },
+    { label: t('preview_bonus'), value: `${fmtArub(bonus)} (${pct.toString()}%)` },
+    { label: t('preview_lock_end'), value: formatJerusalemDate(unlock) },
+  ];
+}
+
+async function previewSell(amountBN, address) {
+  const token = await getArubCalc();
+  const presaleRO = await getReadOnlyPresale();
+  const [gross, feeBps, liquidity] = await Promise.all([
+    token.calculateUsdtAmount(amountBN),
+    presaleRO.getUserSellFeeBps(address),
+    presaleUsdtLiquidity(),
+  ]);
+
+  const fee = gross.mul(feeBps).div(10_000);
+  const net = gross.sub(fee);
+  const paid = net.gt(liquidity) ? liquidity : net;
+  const rows = [
+    { label: t('preview_receive'), value: fmtUsdt(paid) },
+    { label: t('preview_sell_fee'), value: `${fmtUsdt(fee)} (${(feeBps.toNumber() / 100).toFixed(2)}%)` },
+  ];
+  if (net.gt(paid)) rows.push({ label: t('preview_debt'), value: fmtUsdt(net.sub(paid)) });
+  return rows;
+}
+
+async function previewUnlock() {
+  const info = await loadMyLockInfo();
+  if (!info) return null;
+  return [{ label: t('preview_unlock'), value: fmtArub(info.principalLocked.add(info.bonusLocked)) }];
+}
+
+async function previewClaimDebt(address) {
+  const presaleRO = await getReadOnlyPresale();
+  const [debt, liquidity] = await Promise.all([
+    presaleRO.debtUsdtEquivalent(address),
+    presaleUsdtLiquidity(),
+  ]);
+  const pay = debt.gt(liquidity) ? liquidity : debt;
+  return [
+    { label: t('preview_receive'), value: fmtUsdt(pay) },
+    { label: t('preview_debt_left'), value: fmtUsdt(debt.sub(pay)) },
+  ];
+}
+
 export async function buyTokens(usdtAmount, withBonus = false) {
   const ws = window.walletState;
 
@@ -2020,6 +3122,8 @@ export async function buyTokens(usdtAmount, withBonus = false) {
     return;
   }
 
+  if (await isOracleStaleBlocking()) return;
+
   let amountBN;
   try {
     amountBN = parseTokenAmount(usdtAmount, DECIMALS_USDT);
@@ -2038,81 +3142,54 @@ export async function buyTokens(usdtAmount, withBonus = false) {
     return;
   }
 
-  const usdt = new ethers.Contract(USDT_ADDRESS, ERC20_ABI_MIN, ws.signer);
   const presale = new ethers.Contract(PRESALE_ADDRESS, PRESALE_ABI_MIN, ws.signer);
 
   try {
-    const allowance = await usdt.allowance(ws.address, PRESALE_ADDRESS);
-
-    if (allowance.lt(amountBN)) {
-      showNotification?.('Approving USDT...', 'success');
-
-      try {
-        const txA = await usdt.approve(PRESALE_ADDRESS, amountBN);
-        await txA.wait(1);
-      } catch (e) {
-        console.warn('[TRADING] approve failed, retry with gasLimit:', e?.message || e);
-        const txA = await usdt.approve(PRESALE_ADDRESS, amountBN, { gasLimit: 150000 });
-        await txA.wait(1);
-      }
-    }
-
-    // preflight callStatic via unified provider
-    try {
-      const sim = await getPresaleSim();
-      // ⚠️ ВАЖНО: симуляция должна быть в той же сети (Arbitrum).
-      await sim.callStatic.buyWithUSDT(amountBN, withBonus, { from: ws.address });
-    } catch (e) {
-      console.error('[BUY] callStatic reverted:', e);
-      console.error('[BUY] callStatic details:', explainEthersError(e));
-      showNotification?.(pickEthersMessage(e), 'error');
-      return;
-    }
-
-    showNotification?.(
-      withBonus ? 'Buying with bonus (90d lock)...' : 'Buying ARUB...',
-      'success'
-    );
-
-    let tx;
-    try {
-      tx = await presale.buyWithUSDT(amountBN, withBonus);
-    } catch (e) {
-      console.warn('[BUY] buyWithUSDT failed, retry with gasLimit:', e?.message || e);
-      tx = await presale.buyWithUSDT(amountBN, withBonus, { gasLimit: 900000 });
-    }
-
-    await tx.wait(1);
+    const receipt = await runTx({
+      kind: 'buy',
+      signer: ws.signer,
+      contract: presale,
+      method: 'buyWithUSDT',
+      args: [amountBN, withBonus],
+      approve: { token: USDT_ADDRESS, spender: PRESALE_ADDRESS, amount: amountBN },
+      // callStatic via unified provider; runs after the approve (needs the allowance)
+      simulate: async () => {
+        const sim = await getPresaleSim();
+        // ⚠️ ВАЖНО: симуляция должна быть в той же сети (Arbitrum).
+        await sim.callStatic.buyWithUSDT(amountBN, withBonus, { from: ws.address });
+      },
+      review: { outcome: () => previewBuy(amountBN, withBonus, ws.address) },
+      meta: { amount: amountBN.toString(), symbol: 'USDT', withBonus },
+      onStatus: (stage, p) => {
+        if (stage === 'approve') showNotification?.(withFee('Approving USDT...', p), 'success');
+        if (stage === 'sign' && p?.batched) showNotification?.(t('tx_batched', { action: 'buyWithUSDT' }), 'success');
+        else if (stage === 'sign') {
+          showNotification?.(withFee(withBonus ? 'Buying with bonus (90d lock)...' : 'Buying ARUB...', p), 'success');
+        }
+      },
+    });
 
     showNotification?.(
       withBonus ? 'Payment received. ARUB is locked.' : 'Purchase successful. ARUB credited.',
       'success'
     );
 
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await loadMyLockInfo?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshBuyBonusBox?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh(TX_REFRESH.buy);
 
-    console.log('[TRADING] buy tx:', tx.hash);
-    return tx;
+    console.log('[TRADING] buy tx:', receipt.transactionHash);
+    return receipt;
   } catch (e) {
     console.error('[TRADING] buyTokens error:', e);
     console.error('[BUY] reverted details:', explainEthersError(e));
 
     if (isUserRejectedTx(e)) {
       showNotification?.('Transaction rejected in wallet', 'error');
-      try { await refreshBalances?.(); } catch (_) {}
-      try { await refreshLockPanel?.(); } catch (_) {}
-      try { await refreshSellFee?.(); } catch (_) {}
+      await requestRefresh('balances', 'lock', 'sellFee');
       return;
     }
 
     showNotification?.(pickEthersMessage(e), 'error');
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh('balances', 'lock', 'sellFee');
     return;
   }
 }
@@ -2140,6 +3217,8 @@ export async function sellTokens(arubAmount) {
     return;
   }
 
+  if (await isOracleStaleBlocking()) return;
+
   let amountBN;
   try {
     amountBN = parseTokenAmount(arubAmount, DECIMALS_ARUB);
@@ -2158,11 +3237,19 @@ export async function sellTokens(arubAmount) {
     return;
   }
 
-  const arub = new ethers.Contract(ARUB_TOKEN_ADDRESS, ERC20_ABI_MIN, ws.signer);
   const presale = new ethers.Contract(PRESALE_ADDRESS, PRESALE_ABI_MIN, ws.signer);
 
   // Guard: redeem limited by presale redeemableBalance
-  const redeemable = await presale.redeemableBalance(ws.address);
+  let redeemable;
+  try {
+    redeemable = await readWithQuorum(presale, 'redeemableBalance', [ws.address]);
+  } catch (e) {
+    showNotification?.(
+      e?.code === 'QUORUM_MISMATCH' ? t('quorum_mismatch_block', { keys: 'redeemableBalance' }) : (e?.message || String(e)),
+      'error'
+    );
+    return;
+  }
   if (amountBN.gt(redeemable)) {
     showNotification?.(
       `Exceeds redeemable balance. Max: ${ethers.utils.formatUnits(redeemable, DECIMALS_ARUB)} ARUB`,
@@ -2183,53 +3270,37 @@ export async function sellTokens(arubAmount) {
   } catch (_) {}
 
   try {
-    const allowance = await arub.allowance(ws.address, PRESALE_ADDRESS);
-    if (allowance.lt(amountBN)) {
-      showNotification?.('Approving ARUB...', 'success');
-
-      try {
-        const txA = await arub.approve(PRESALE_ADDRESS, amountBN);
-        await txA.wait(1);
-      } catch (e) {
-        console.warn('[TRADING] approve failed, retry with gasLimit:', e?.message || e);
-        const txA = await arub.approve(PRESALE_ADDRESS, amountBN, { gasLimit: 150000 });
-        await txA.wait(1);
-      }
-    }
-
-    showNotification?.('Redeeming for USDT...', 'success');
-
-    let tx;
-    try {
-      tx = await presale.redeemForUSDT(amountBN);
-    } catch (e) {
-      console.warn('[TRADING] redeem failed, retry with gasLimit:', e?.message || e);
-      tx = await presale.redeemForUSDT(amountBN, { gasLimit: 900000 });
-    }
-    await tx.wait(1);
+    const receipt = await runTx({
+      kind: 'sell',
+      signer: ws.signer,
+      contract: presale,
+      method: 'redeemForUSDT',
+      args: [amountBN],
+      approve: { token: ARUB_TOKEN_ADDRESS, spender: PRESALE_ADDRESS, amount: amountBN },
+      review: { outcome: () => previewSell(amountBN, ws.address) },
+      meta: { amount: amountBN.toString(), symbol: 'ARUB' },
+      onStatus: (stage, p) => {
+        if (stage === 'approve') showNotification?.(withFee('Approving ARUB...', p), 'success');
+        if (stage === 'sign' && p?.batched) showNotification?.(t('tx_batched', { action: 'redeemForUSDT' }), 'success');
+        else if (stage === 'sign') showNotification?.(withFee('Redeeming for USDT...', p), 'success');
+      },
+    });
 
     showNotification?.('Redeem successful. USDT credited.', 'success');
 
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await loadMyLockInfo?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh(TX_REFRESH.sell);
 
-    console.log('[TRADING] redeem tx:', tx.hash);
-    return tx;
+    console.log('[TRADING] redeem tx:', receipt.transactionHash);
+    return receipt;
   } catch (e) {
     console.error('[TRADING] sellTokens error:', e);
     if (isUserRejectedTx(e)) {
       showNotification?.('Transaction rejected in wallet', 'error');
-      try { await refreshBalances?.(); } catch (_) {}
-      try { await refreshLockPanel?.(); } catch (_) {}
-      try { await refreshSellFee?.(); } catch (_) {}
+      await requestRefresh('balances', 'lock', 'sellFee');
       return;
     }
     showNotification?.(pickEthersMessage(e), 'error');
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh('balances', 'lock', 'sellFee');
     return;
   }
 }
@@ -2244,38 +3315,81 @@ export async function unlockDeposit() {
   const presale = new ethers.Contract(PRESALE_ADDRESS, PRESALE_ABI_MIN, ws.signer);
 
   try {
-    showNotification?.('Unlocking deposit...', 'success');
-    const tx = await presale.unlockDeposit();
-    await tx.wait(1);
+    const receipt = await runTx({
+      kind: 'unlock',
+      signer: ws.signer,
+      contract: presale,
+      method: 'unlockDeposit',
+      review: { outcome: previewUnlock },
+      onStatus: (stage, p) => {
+        if (stage === 'sign') showNotification?.(withFee('Unlocking deposit...', p), 'success');
+      },
+    });
     showNotification?.('ARUB unlocked and transferred.', 'success');
 
-    try {
-      await refreshBalances?.();
-    } catch (_) {}
-    try {
-      await loadMyLockInfo?.();
-    } catch (_) {}
-    try {
-      await refreshLockPanel?.();
-    } catch (_) {}
-    try {
-      await refreshSellFee?.();
-    } catch (_) {}
+    await requestRefresh(TX_REFRESH.unlock);
 
-    return tx;
+    return receipt;
   } catch (e) {
     console.error('[TRADING] unlockDeposit error:', e);
     if (isUserRejectedTx(e)) {
       showNotification?.('Transaction rejected in wallet', 'error');
-      try { await refreshBalances?.(); } catch (_) {}
-      try { await refreshLockPanel?.(); } catch (_) {}
-      try { await refreshSellFee?.(); } catch (_) {}
+      await requestRefresh('balances', 'lock', 'sellFee');
+      return;
+    }
+    showNotification?.(pickEthersMessage(e), 'error');
+    await requestRefresh('balances', 'lock', 'sellFee');
+    return;
+  }
+}
+
+export async function claimDebt() {
+  const ws = window.walletState;
+  if (!ws?.signer || !ws?.address) {
+    showNotification?.(t('connect_trade'), 'error');
+    return;
+  }
+
+  try {
+    requireArbitrumOrThrow(ws);
+  } catch (e) {
+    showNotification?.(e?.message || t('need_network'), 'error');
+    return;
+  }
+
+  const presale = new ethers.Contract(PRESALE_ADDRESS, PRESALE_ABI_MIN, ws.signer);
+
+  try {
+    const receipt = await runTx({
+      kind: 'claim_debt',
+      signer: ws.signer,
+      contract: presale,
+      method: 'claimDebt',
+      // callStatic via unified provider (same path as buyTokens)
+      simulate: async () => {
+        const sim = await getPresaleSim();
+        await sim.callStatic.claimDebt({ from: ws.address });
+      },
+      review: { outcome: () => previewClaimDebt(ws.address) },
+      onStatus: (stage, p) => {
+        if (stage === 'sign') showNotification?.(withFee(t('debt_claiming'), p), 'success');
+      },
+    });
+    showNotification?.(t('debt_claimed'), 'success');
+
+    await requestRefresh(TX_REFRESH.claim_debt);
+
+    console.log('[TRADING] claimDebt tx:', receipt.transactionHash);
+    return receipt;
+  } catch (e) {
+    console.error('[TRADING] claimDebt error:', e);
+    console.error('[DEBT] details:', explainEthersError(e));
+    if (isUserRejectedTx(e)) {
+      showNotification?.(t('tx_rejected'), 'error');
       return;
     }
     showNotification?.(pickEthersMessage(e), 'error');
-    try { await refreshBalances?.(); } catch (_) {}
-    try { await refreshLockPanel?.(); } catch (_) {}
-    try { await refreshSellFee?.(); } catch (_) {}
+    await requestRefresh('balances');
     return;
   }
 }
@@ -2311,7 +3425,7 @@ export async function loadMyLockInfo() {
       errorMessage: e?.error?.message,
       body: e?.error?.body,
     });
-    await refreshUiAfterRpcError({ includeLockPanel: false, includeSellFee: false });
+    refreshUiAfterRpcError({ includeLockPanel: false, includeSellFee: false });
     return null;
   }
 }
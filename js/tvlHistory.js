@@ -0,0 +1,295 @@
+/**
+ * tvlHistory.js — historical vault TVL for #tvlChart
+ *
+ * TVL is sampled at fixed time steps by reading state at a historical blockTag:
+ * vault ARUB/USDT balances, the vault's LP share (Phase 2) and the oracle rate.
+ * Balances are sampled instead of replaying Deposited/Withdrawn events because
+ * plain ERC20 transfers into the vault (LP collection) emit no vault events.
+ *
+ * Past samples never change, so they are cached in localStorage for good;
+ * the live point is read the same way at 'latest' whenever app.js refreshes
+ * vault stats (throttled), so the whole series uses one valuation.
+ *
+ * Exports:
+ *   initTvlChart()
+ *   updateTvlHistory()
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ERC20_ABI_MIN, ORACLE_ABI, VAULT_ABI, UNIV2_PAIR_ABI } from './abis.js';
+import { getStoredLang } from './i18n.js';
+import { formatUSD } from './ui.js';
+import { getReadOnlyProviderAsync, findBlockByTimestamp } from './contracts.js';
+
+// -----------------------------
+// Config
+// -----------------------------
+const STORAGE_PREFIX = 'arub:tvlHistory:v1';
+const SAMPLE_INTERVAL_SEC = Number(CONFIG?.TVL_HISTORY?.SAMPLE_INTERVAL_SEC ?? 86400);
+const MAX_SAMPLES = Number(CONFIG?.TVL_HISTORY?.MAX_SAMPLES ?? 90);
+const LIVE_REFRESH_MIN_MS = 60_000;
+const BACKFILL_MIN_MS = 10 * 60_000;
+
+// -----------------------------
+// Cache (localStorage)
+// sample = { ts, block, tvlUsd }
+// -----------------------------
+function storageKey() {
+  return `${STORAGE_PREFIX}:${String(CONFIG?.VAULT_ADDRESS || '').toLowerCase()}:${SAMPLE_INTERVAL_SEC}`;
+}
+
+function loadSamples() {
+  try {
+    if (!window?.localStorage) return [];
+    const raw = localStorage.getItem(storageKey());
+    const data = raw ? JSON.parse(raw) : null;
+    if (!Array.isArray(data?.samples)) return [];
+    return data.samples.filter((s) => Number.isFinite(s?.ts) && Number.isFinite(s?.tvlUsd));
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveSamples(samples) {
+  try {
+    if (!window?.localStorage) return;
+    localStorage.setItem(storageKey(), JSON.stringify({ samples, cachedAt: Date.now() }));
+  } catch (_) {}
+}
+
+// -----------------------------
+// Sampling
+// -----------------------------
+function getStartTs() {
+  const ms = Date.parse(CONFIG?.TVL_HISTORY?.START_UTC || CONFIG?.ORACLE_HISTORY_START_UTC || '');
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : 0;
+}
+
+// Sample timestamps aligned to the interval (UTC midnight for daily samples)
+function expectedSampleTimes(nowSec) {
+  const last = Math.floor(nowSec / SAMPLE_INTERVAL_SEC) * SAMPLE_INTERVAL_SEC;
+  const first = Math.max(getStartTs(), last - (MAX_SAMPLES - 1) * SAMPLE_INTERVAL_SEC);
+
+  const out = [];
+  for (let ts = Math.ceil(first / SAMPLE_INTERVAL_SEC) * SAMPLE_INTERVAL_SEC; ts <= last; ts += SAMPLE_INTERVAL_SEC) {
+    out.push(ts);
+  }
+  return out;
+}
+
+// Arbitrum block times drift, so one binary search anchors the range and the
+// remaining blocks are interpolated linearly (good enough at daily resolution).
+async function estimateBlocks(provider, times) {
+  if (!times.length) return [];
+
+  const latest = await provider.getBlock('latest');
+  const anchorBlock = await findBlockByTimestamp(provider, times[0]);
+  const anchor = await provider.getBlock(anchorBlock);
+
+  const dt = latest.timestamp - anchor.timestamp;
+  const db = latest.number - anchor.number;
+
+  return times.map((ts) => {
+    if (dt <= 0) return anchor.number;
+    const b = anchor.number + Math.round(((ts - anchor.timestamp) * db) / dt);
+    return Math.min(latest.number, Math.max(anchor.number, b));
+  });
+}
+
+async function readTvlAt(provider, blockTag) {
+  const overrides = { blockTag };
+  const vaultAddr = CONFIG.VAULT_ADDRESS;
+
+  const arub = new ethers.Contract(CONFIG.TOKEN_ADDRESS, ERC20_ABI_MIN, provider);
+  const usdt = new ethers.Contract(CONFIG.USDT_ADDRESS, ERC20_ABI_MIN, provider);
+  const oracle = new ethers.Contract(CONFIG.ORACLE_ADDRESS, ORACLE_ABI, provider);
+  const vault = new ethers.Contract(vaultAddr, VAULT_ABI, provider);
+
+  const [arubBal, usdtBal, rateRes, strategyEnabled] = await Promise.all([
+    arub.balanceOf(vaultAddr, overrides),
+    usdt.balanceOf(vaultAddr, overrides),
+    oracle.getRate(overrides),
+    vault.strategyEnabled(overrides).catch(() => false),
+  ]);
+
+  let arubTotal = arubBal;
+  let usdtTotal = usdtBal;
+
+  // Phase 2: add the vault's pro-rata share of pool reserves
+  if (strategyEnabled) {
+    try {
+      const pairAddr = await vault.pair(overrides);
+      const pair = new ethers.Contract(pairAddr, UNIV2_PAIR_ABI, provider);
+      const [token0, reserves, lpTotal, lpVault] = await Promise.all([
+        pair.token0(overrides),
+        pair.getReserves(overrides),
+        pair.totalSupply(overrides),
+        pair.balanceOf(vaultAddr, overrides),
+      ]);
+      if (!lpTotal.isZero()) {
+        const arubIs0 = String(token0).toLowerCase() === String(CONFIG.TOKEN_ADDRESS).toLowerCase();
+        const rArub = ethers.BigNumber.from(arubIs0 ? reserves.reserve0 : reserves.reserve1);
+        const rUsdt = ethers.BigNumber.from(arubIs0 ? reserves.reserve1 : reserves.reserve0);
+        arubTotal = arubTotal.add(rArub.mul(lpVault).div(lpTotal));
+        usdtTotal = usdtTotal.add(rUsdt.mul(lpVault).div(lpTotal));
+      }
+    } catch (e) {
+      console.warn('[TVL] LP valuation failed at', blockTag, e?.message || e);
+    }
+  }
+
+  const price = Number(ethers.utils.formatUnits(rateRes[0], Number(CONFIG?.ORACLE_RATE_DECIMALS ?? 6)));
+  const arubNum = Number(ethers.utils.formatUnits(arubTotal, 6));
+  const usdtNum = Number(ethers.utils.formatUnits(usdtTotal, 6));
+
+  return arubNum * price + usdtNum;
+}
+
+// true only when the node positively answers "no code" (not deployed yet)
+async function vaultMissingAt(provider, blockTag) {
+  try {
+    const code = await provider.getCode(CONFIG.VAULT_ADDRESS, blockTag);
+    return !code || code === '0x';
+  } catch (_) {
+    return false;
+  }
+}
+
+let backfillInflight = null;
+let lastBackfillTs = 0;
+
+async function backfill() {
+  const provider = await getReadOnlyProviderAsync();
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  const cached = loadSamples();
+  const have = new Set(cached.map((s) => s.ts));
+  const missing = expectedSampleTimes(nowSec).filter((ts) => !have.has(ts));
+  if (!missing.length) return cached;
+
+  const blocks = await estimateBlocks(provider, missing);
+  const samples = cached.slice();
+
+  for (let i = 0; i < missing.length; i++) {
+    try {
+      const tvlUsd = await readTvlAt(provider, blocks[i]);
+      samples.push({ ts: missing[i], block: blocks[i], tvlUsd });
+    } catch (e) {
+      console.warn('[TVL] sample failed at block', blocks[i], e?.message || e);
+      // a zero is cached for good only when the vault had no code at that block;
+      // reverts, empty 0x results of non-archive RPCs, rate limits ... are retried next pass
+      if (e?.code !== 'CALL_EXCEPTION' || !(await vaultMissingAt(provider, blocks[i]))) continue;
+      samples.push({ ts: missing[i], block: blocks[i], tvlUsd: 0 });
+    }
+
+    samples.sort((a, b) => a.ts - b.ts);
+    saveSamples(samples.slice(-MAX_SAMPLES));
+    renderChart();
+  }
+
+  return loadSamples();
+}
+
+// -----------------------------
+// Chart (Chart.js is loaded globally in index.html)
+// -----------------------------
+let chart = null;
+let livePoint = null;
+
+function buildSeries() {
+  const points = loadSamples().map((s) => ({ ts: s.ts, tvlUsd: s.tvlUsd }));
+  if (livePoint && (!points.length || livePoint.ts > points[points.length - 1].ts)) {
+    points.push(livePoint);
+  }
+  return points;
+}
+
+function formatLabel(tsSec) {
+  const lang = (getStoredLang?.() || 'ru') === 'en' ? 'en-GB' : 'uk-UA';
+  return new Date(tsSec * 1000).toLocaleDateString(lang, { day: '2-digit', month: '2-digit' });
+}
+
+function renderChart() {
+  const canvas = document.getElementById('tvlChart');
+  if (!canvas || typeof window.Chart !== 'function') return;
+
+  const points = buildSeries();
+  const labels = points.map((p) => formatLabel(p.ts));
+  const data = points.map((p) => Number(p.tvlUsd.toFixed(2)));
+
+  if (!chart) {
+    chart = new window.Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          { label: 'TVL', data, tension: 0.3, borderWidth: 2, borderColor: '#4ba3ff', backgroundColor: 'rgba(75,163,255,0.12)', fill: true, pointRadius: 0, pointHoverRadius: 4 },
+        ],
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => `TVL: ${formatUSD(context.parsed.y)}`,
+            },
+          },
+        },
+        scales: {
+          x: { ticks: { maxTicksLimit: 8, autoSkip: true } },
+          y: { beginAtZero: true },
+        },
+      },
+    });
+    return;
+  }
+
+  chart.data.labels = labels;
+  chart.data.datasets[0].data = data;
+  chart.update();
+}
+
+let liveInflight = null;
+let lastLiveTs = 0;
+
+async function refreshLivePoint() {
+  const provider = await getReadOnlyProviderAsync();
+  const tvlUsd = await readTvlAt(provider, 'latest');
+  livePoint = { ts: Math.floor(Date.now() / 1000), tvlUsd };
+  lastLiveTs = Date.now();
+  renderChart();
+}
+
+/**
+ * Called from app.js right after updateVaultStats().
+ * Refreshes the live point and fills any sample slot that elapsed since the last pass.
+ */
+export function updateTvlHistory() {
+  if (!document.getElementById('tvlChart')) return;
+
+  if (!liveInflight && Date.now() - lastLiveTs >= LIVE_REFRESH_MIN_MS) {
+    liveInflight = refreshLivePoint()
+      .catch((e) => console.warn('[TVL] live point failed:', e?.message || e))
+      .finally(() => { liveInflight = null; });
+  }
+
+  if (!backfillInflight && Date.now() - lastBackfillTs >= BACKFILL_MIN_MS) {
+    lastBackfillTs = Date.now();
+    backfillInflight = backfill()
+      .catch((e) => console.warn('[TVL] backfill failed:', e?.message || e))
+      .finally(() => { backfillInflight = null; });
+  }
+}
+
+export function initTvlChart() {
+  if (!document.getElementById('tvlChart')) return;
+
+  window.addEventListener('langChanged', () => {
+    if (chart) renderChart();
+  });
+
+  renderChart();
+  updateTvlHistory();
+}
@@ -0,0 +1,799 @@
+/**
+ * txManager.js — single pipeline for every write transaction
+ *
+ * Stages (in order, each reported once):
+ *   preflight -> review -> approve (only when the allowance is short) -> sign -> submitted -> confirmed
+ *   failed     (from any stage; the error is rethrown to the caller)
+ *
+ * - every stage is reported to opts.onStatus and as window 'txStatus'
+ * - review: before the first wallet prompt the call, its approval, the fee and the
+ *   caller's expected outcome are shown in a confirmation modal (txPreview.js);
+ *   cancelling there fails with code ACTION_REJECTED, like a rejection in the wallet
+ * - the approve follows the user's approval policy (exact amount, a per-token cap
+ *   or unlimited; localStorage, edited on the allowances page)
+ * - one-step approve + call: when the wallet supports EIP-5792 atomic batches
+ *   (wallet_getCapabilities), both go out as one wallet_sendCalls and the approve
+ *   stage is skipped (sign carries batched: true). Other wallets get the two-step
+ *   flow; a wallet that refuses the batch falls back to it (approve and sign follow
+ *   that first sign). EIP-2612 permit is not an option: the presale has no permit
+ *   entry point.
+ * - approve and the call itself are sent with estimateGas + CONFIG.GAS.BUFFER_BPS;
+ *   the ETH balance must cover limit * gasPrice, otherwise INSUFFICIENT_ETH is
+ *   thrown before the wallet is asked to sign. The expected fee (ETH / USD) is
+ *   in the approve / sign payload and event (fee)
+ * - a submitted transaction (or batch, or the approve of the two-step flow, kind 'approve')
+ *   is kept in localStorage until it is mined, so an in-flight transaction is tracked
+ *   again after a page reload (resumed: true)
+ * - a batch is followed through wallet_getCallsStatus and, next to it, the read-only RPC
+ *   (a transaction from the account at / after its nonce to the call target); after
+ *   BATCH_MAX_WAIT_MS without an answer it is dropped (nonce never moved) or unknown
+ * - the sender's nonce is watched on the read-only RPC next to the wallet's
+ *   tx.wait() (approve and call alike), so a transaction sped up / cancelled / replaced
+ *   in the wallet or dropped from the mempool ends with its real outcome:
+ *     mined | repriced (sped up, same call: counts as confirmed)
+ *     reverted | cancelled | replaced | dropped (failed)
+ *   the replacement is looked up in the block where the nonce was used (binary search
+ *   on the historical nonce); if it cannot be found the outcome is unknown, not replaced.
+ *   RPC errors while watching are retried; if both the wallet and the read-only RPC
+ *   keep failing the outcome is unknown (failed, but the tx stays saved for a resume)
+ *
+ * Exports:
+ *   runTx(opts)          // -> receipt
+ *   initTxManager()      // resume transactions left pending by a previous page
+ *   getPendingTxs()      // -> [{ id, kind, hash, batchId, from, nonce, startBlock, chainId, meta, ts }]
+ *   getApprovalPolicy()  // -> { mode: 'exact' | 'cap' | 'unlimited', caps: { [token]: base units } }
+ *   setApprovalPolicy(policy)
+ *   TX_STAGES
+ *
+ * Events:
+ *   window 'txStatus' (detail = { id, kind, stage, hash, approveHash, batchId, meta, error, resumed,
+ *                                 outcome, replacedBy, fee })
+ *   fee = { gasLimit, feeEth, maxFeeEth, feeUsd }   // numbers; feeUsd null without a price
+ *
+ * Failed outcomes are thrown as errors with e.txOutcome
+ * (code CALL_EXCEPTION | TX_CANCELLED | TX_REPLACED | TX_DROPPED | TX_UNKNOWN).
+ * Not enough ETH for gas: code INSUFFICIENT_ETH with e.needEth / e.haveEth.
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ERC20_ABI_MIN } from './abis.js';
+import { getReadOnlyProviderAsync, getEthUsdPrice } from './contracts.js';
+import { getCurrentAddress, getSelectedEip1193Provider, supportsAtomicBatch } from './wallet.js';
+import { confirmTx } from './txPreview.js';
+
+export const TX_STAGES = ['preflight', 'review', 'approve', 'sign', 'submitted', 'confirmed', 'failed'];
+
+const PENDING_STORAGE_KEY = 'arub:pendingTxs:v1';
+const APPROVAL_POLICY_KEY = 'arub:approvalPolicy:v1';
+const APPROVAL_MODES = ['exact', 'cap', 'unlimited'];
+const GAS_BUFFER_BPS = Number(CONFIG?.GAS?.BUFFER_BPS ?? 2000);
+// nonce watcher: poll interval, how long a tx may be unknown to the node
+const WATCH_POLL_MS = 4000;
+const DROP_AFTER_MS = 5 * 60 * 1000;
+// read-only RPC errors in a row before the nonce watcher gives up (~1 min)
+const WATCH_MAX_ERRORS = 15;
+// wallet_getCallsStatus errors in a row before only the read-only RPC is asked; overall batch deadline
+const BATCH_MAX_STATUS_ERRORS = 10;
+const BATCH_MAX_WAIT_MS = 10 * 60 * 1000;
+
+const OUTCOME_CODES = {
+  reverted: 'CALL_EXCEPTION',
+  cancelled: 'TX_CANCELLED',
+  replaced: 'TX_REPLACED',
+  dropped: 'TX_DROPPED',
+  unknown: 'TX_UNKNOWN',
+};
+
+// -----------------------------
+// Internals
+// -----------------------------
+function resolveSigner(opts) {
+  const signer = opts?.signer || window.walletState?.signer || null;
+  if (!signer) throw new Error('Wallet not connected or signer not ready');
+  return signer;
+}
+
+function emit(rec, extra = {}) {
+  try {
+    window.dispatchEvent(new CustomEvent('txStatus', {
+      detail: {
+        id: rec.id,
+        kind: rec.kind,
+        stage: rec.stage,
+        hash: rec.hash || null,
+        approveHash: rec.approveHash || null,
+        batchId: rec.batchId || null,
+        meta: rec.meta || {},
+        error: null,
+        resumed: false,
+        outcome: null,
+        replacedBy: rec.replacedBy || null,
+        ...extra,
+      }
+    }));
+  } catch (_) {}
+}
+
+// -----------------------------
+// Gas: estimate + buffer, fee in ETH / USD, ETH balance check
+// -----------------------------
+const weiToEth = (wei) => Number(ethers.utils.formatEther(wei));
+
+/**
+ * -> { gasLimit: BigNumber, fee: { gasLimit, feeEth, maxFeeEth, feeUsd } }
+ * Throws the estimateGas error as is (usually the revert reason),
+ * or INSUFFICIENT_ETH when the balance does not cover gasLimit * gasPrice.
+ */
+async function prepareGas(contract, method, args, from) {
+  const estimate = await contract.estimateGas[method](...args);
+  const gasLimit = estimate.mul(10_000 + GAS_BUFFER_BPS).div(10_000);
+
+  const provider = await getReadOnlyProviderAsync();
+  const [gasPrice, balance, ethUsd] = await Promise.all([
+    provider.getGasPrice(),
+    provider.getBalance(from),
+    getEthUsdPrice().catch(() => null),
+  ]);
+
+  const feeWei = estimate.mul(gasPrice);
+  const maxFeeWei = gasLimit.mul(gasPrice);
+  const fee = {
+    gasLimit: gasLimit.toNumber(),
+    feeEth: weiToEth(feeWei),
+    maxFeeEth: weiToEth(maxFeeWei),
+    feeUsd: ethUsd ? weiToEth(feeWei) * ethUsd : null,
+  };
+
+  if (balance.lt(maxFeeWei)) {
+    const e = new Error(`Not enough ETH for gas: need ${fee.maxFeeEth} ETH, have ${weiToEth(balance)} ETH`);
+    e.code = 'INSUFFICIENT_ETH';
+    e.needEth = fee.maxFeeEth;
+    e.haveEth = weiToEth(balance);
+    e.fee = fee;
+    throw e;
+  }
+
+  return { gasLimit, fee };
+}
+
+function sameAddr(a, b) {
+  return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function outcomeError(outcome, { receipt = null, replacement = null, cause = null } = {}) {
+  const e = cause || new Error(`transaction ${outcome}`);
+  try {
+    if (!cause) e.code = OUTCOME_CODES[outcome] || 'TX_FAILED';
+    e.txOutcome = outcome;
+    e.receipt = e.receipt || receipt;
+    e.replacement = e.replacement || replacement;
+  } catch (_) {}
+  return e;
+}
+
+// same call at a new fee -> repriced; 0-value self-transfer -> cancelled; anything else -> replaced;
+// nonce used but the transaction that used it not found -> unknown
+function classifyReplacement(orig, repl) {
+  if (!repl) return 'unknown';
+  const value = (v) => ethers.BigNumber.from(v || 0);
+  if (
+    sameAddr(repl.to, orig.to) &&
+    String(repl.data || '0x').toLowerCase() === String(orig.data || '0x').toLowerCase() &&
+    value(repl.value).eq(value(orig.value))
+  ) return 'repriced';
+  if (sameAddr(repl.to, orig.from) && (!repl.data || repl.data === '0x') && value(repl.value).isZero()) {
+    return 'cancelled';
+  }
+  return 'replaced';
+}
+
+// first block in [fromBlock, toBlock] after which `from` has used `nonce`
+// (binary search on the historical nonce; the caller knows it is used at toBlock)
+async function nonceUsedAt(provider, from, nonce, fromBlock, toBlock) {
+  let lo = Math.min(fromBlock, toBlock);
+  let hi = toBlock;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await provider.getTransactionCount(from, mid) > Number(nonce)) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+// the transaction that used from's nonce, mined in [fromBlock, toBlock]; null if not found there
+async function findByNonce(provider, from, nonce, fromBlock, toBlock) {
+  const blockNumber = await nonceUsedAt(provider, from, nonce, fromBlock, toBlock);
+  const block = await provider.getBlockWithTransactions(blockNumber);
+  return block?.transactions?.find((t) => sameAddr(t.from, from) && Number(t.nonce) === Number(nonce)) || null;
+}
+
+function receiptOutcome(receipt) {
+  return receipt?.status === 0 ? 'reverted' : 'mined';
+}
+
+/**
+ * Polls the read-only RPC until t.hash is mined or its nonce is taken by
+ * another transaction. t = { hash, from, nonce, to, data, value, startBlock }.
+ * -> { outcome, receipt, replacement } (null once watch.stopped is set)
+ */
+async function watchTx(provider, t, confirmations, watch = {}) {
+  let lastBlock = Number.isFinite(t.startBlock) ? t.startBlock : null;
+  let missingSince = null;
+  let errors = 0;
+
+  for (;;) {
+    if (watch.stopped) return null;
+
+    // one failed RPC call only costs this round; WATCH_MAX_ERRORS rounds in a row end the watch
+    try {
+      const receipt = await provider.getTransactionReceipt(t.hash);
+      if (receipt?.blockNumber) {
+        const final = confirmations > 1 ? await provider.waitForTransaction(t.hash, confirmations) : receipt;
+        return { outcome: receiptOutcome(final), receipt: final };
+      }
+
+      if (t.from && t.nonce != null) {
+        const mined = await provider.getTransactionCount(t.from, 'latest');
+        const head = await provider.getBlockNumber();
+        if (lastBlock == null) lastBlock = head;
+
+        if (mined > Number(t.nonce)) {
+          // the nonce is used: by this tx (receipt landed meanwhile) or by its replacement
+          const late = await provider.getTransactionReceipt(t.hash);
+          if (late?.blockNumber) return { outcome: receiptOutcome(late), receipt: late };
+
+          const replacement = await findByNonce(provider, t.from, t.nonce, lastBlock, head);
+          const replReceipt = replacement
+            ? await provider.waitForTransaction(replacement.hash, confirmations)
+            : null;
+          let outcome = classifyReplacement(t, replacement);
+          // not a failure we can prove: leave the answer to the wallet side
+          if (outcome === 'unknown') throw outcomeError('unknown');
+          if (outcome === 'repriced' && replReceipt?.status === 0) outcome = 'reverted';
+          return { outcome, receipt: replReceipt, replacement };
+        }
+        lastBlock = head;
+      }
+
+      // never seen by (or evicted from) the node for too long: dropped
+      const known = await provider.getTransaction(t.hash);
+      if (known) missingSince = null;
+      else if (missingSince == null) missingSince = Date.now();
+      else if (Date.now() - missingSince > DROP_AFTER_MS) return { outcome: 'dropped', receipt: null };
+
+      errors = 0;
+    } catch (e) {
+      if (e?.txOutcome === 'unknown' || ++errors >= WATCH_MAX_ERRORS) throw e;
+      console.warn('[TX] nonce watcher RPC error, retrying:', e?.message || e);
+    }
+
+    await sleep(WATCH_POLL_MS);
+  }
+}
+
+// wallet side: ethers reports speed-ups / cancels as TRANSACTION_REPLACED;
+// other wallet errors (RPC hiccups) reject and leave the answer to the nonce watcher
+async function walletWait(tx, confirmations) {
+  try {
+    const receipt = await tx.wait(confirmations);
+    return { outcome: receiptOutcome(receipt), receipt };
+  } catch (e) {
+    if (e?.code === 'CALL_EXCEPTION') return { outcome: 'reverted', receipt: e.receipt || null, cause: e };
+    if (e?.code === 'TRANSACTION_REPLACED') {
+      let outcome = e.reason === 'repriced' ? 'repriced' : (e.reason === 'cancelled' ? 'cancelled' : 'replaced');
+      if (outcome === 'repriced' && e.receipt?.status === 0) outcome = 'reverted';
+      return { outcome, receipt: e.receipt || null, replacement: e.replacement || null };
+    }
+    console.warn('[TX] wallet wait failed, watching read-only RPC:', e?.message || e);
+    throw e;
+  }
+}
+
+// first side to answer wins; when both the wallet and the nonce watcher fail the outcome is unknown
+async function waitOutcome(tx, rec, confirmations) {
+  const watch = { stopped: false };
+  const watcher = getReadOnlyProviderAsync()
+    .then((provider) => watchTx(provider, rec, confirmations, watch));
+
+  try {
+    return await Promise.any([walletWait(tx, confirmations), watcher]);
+  } catch (agg) {
+    const last = agg?.errors?.[agg.errors.length - 1];
+    console.warn('[TX] outcome unknown, wallet and read-only RPC failed:', last?.message || last);
+    throw outcomeError('unknown');
+  } finally {
+    watch.stopped = true;
+  }
+}
+
+// sends the approve of the two-step flow and saves it like any submitted transaction
+// (kind 'approve', so a reload while it is pending still reports its outcome)
+async function sendApprove(rec, approveCall) {
+  const startBlock = await getReadOnlyProviderAsync()
+    .then((p) => p.getBlockNumber())
+    .catch(() => null);
+  const tx = await approveCall.token.approve(...approveCall.args, { gasLimit: approveCall.gasLimit });
+  rec.approveHash = tx.hash;
+
+  const approveRec = {
+    id: `${rec.id}-approve`,
+    kind: 'approve',
+    hash: tx.hash,
+    from: rec.from,
+    nonce: tx.nonce ?? null,
+    to: tx.to || approveCall.token.address,
+    data: tx.data || '0x',
+    value: ethers.BigNumber.from(tx.value || 0).toString(),
+    startBlock,
+    chainId: rec.chainId,
+    confirmations: rec.confirmations,
+    meta: { ...rec.meta, for: rec.kind },
+    tx,
+  };
+  addPending(approveRec);
+  console.log(`[TX] ${rec.kind} approve submitted:`, tx.hash);
+  return approveRec;
+}
+
+// -----------------------------
+// EIP-5792: approve + call as one atomic wallet_sendCalls batch
+// -----------------------------
+async function canBatch(from) {
+  try {
+    if (!getSelectedEip1193Provider() || !sameAddr(getCurrentAddress(), from)) return false;
+    return await supportsAtomicBatch();
+  } catch (_) {
+    return false;
+  }
+}
+
+// -> batch id; null when the wallet would not take the batch (caller falls back to two steps)
+async function sendCallsBatch(from, calls) {
+  const chainId = ethers.utils.hexValue(Number(CONFIG?.NETWORK?.chainId ?? 42161));
+  try {
+    const res = await getSelectedEip1193Provider().request({
+      method: 'wallet_sendCalls',
+      params: [{ version: '2.0.0', chainId, from, atomicRequired: true, calls }],
+    });
+    // 2.0.0 answers { id }, early drafts the id itself
+    return typeof res === 'string' ? res : (res?.id || null);
+  } catch (e) {
+    if (e?.code === 4001 || e?.code === 'ACTION_REJECTED') throw e;
+    console.warn('[TX] wallet_sendCalls failed, using approve + call:', e?.message || e);
+    return null;
+  }
+}
+
+// final wallet_getCallsStatus answer -> { outcome, receipt, hash, approveHash }
+// status: 200 confirmed, 400 not included, 500 / 600 reverted (early drafts: 'CONFIRMED')
+async function batchStatusOutcome(provider, st, confirmations) {
+  const receipts = Array.isArray(st?.receipts) ? st.receipts : [];
+  const hash = receipts[receipts.length - 1]?.transactionHash || null;
+  const approveHash = receipts.length > 1 ? receipts[0]?.transactionHash || null : null;
+
+  const reverted = st.status === 500 || st.status === 600;
+  if (!hash) return { outcome: reverted ? 'reverted' : 'dropped', receipt: null, hash, approveHash };
+
+  const receipt = await provider.waitForTransaction(hash, confirmations);
+  return { outcome: reverted ? 'reverted' : receiptOutcome(receipt), receipt, hash, approveHash };
+}
+
+/**
+ * Waits for a submitted batch b = { batchId, from, nonce, to, startBlock, ts }.
+ * Asks the wallet (while it is connected to b.from) and the read-only RPC: a transaction
+ * from the account at / after b.nonce to the call target, or to itself (EIP-7702 batch).
+ * -> { outcome, receipt, hash, approveHash }
+ */
+async function watchBatch(provider, b, confirmations) {
+  const deadline = (b.ts || Date.now()) + BATCH_MAX_WAIT_MS;
+  let lastBlock = Number.isFinite(b.startBlock) ? b.startBlock : null;
+  let nextNonce = b.nonce != null ? Number(b.nonce) : null; // first nonce not checked yet
+  let nonceMoved = false;
+  let walletErrors = 0;
+
+  for (;;) {
+    const eip1193 = getSelectedEip1193Provider();
+    if (eip1193 && walletErrors < BATCH_MAX_STATUS_ERRORS && sameAddr(getCurrentAddress(), b.from)) {
+      try {
+        const st = await eip1193.request({ method: 'wallet_getCallsStatus', params: [b.batchId] });
+        walletErrors = 0;
+        if (st && st.status !== 100 && st.status !== 'PENDING') return await batchStatusOutcome(provider, st, confirmations);
+      } catch (e) {
+        walletErrors++;
+        console.warn('[TX] wallet_getCallsStatus failed:', e?.message || e);
+      }
+    }
+
+    if (b.from && b.nonce != null) {
+      try {
+        const mined = await provider.getTransactionCount(b.from, 'latest');
+        const head = await provider.getBlockNumber();
+        if (lastBlock == null) lastBlock = head;
+
+        if (mined > Number(b.nonce)) nonceMoved = true;
+        for (; nextNonce < mined; nextNonce++) {
+          const hit = await findByNonce(provider, b.from, nextNonce, lastBlock, head);
+          if (hit && (sameAddr(hit.to, b.to) || sameAddr(hit.to, b.from))) {
+            const receipt = await provider.waitForTransaction(hit.hash, confirmations);
+            return { outcome: receiptOutcome(receipt), receipt, hash: hit.hash, approveHash: null };
+          }
+        }
+        lastBlock = head;
+      } catch (e) {
+        console.warn('[TX] batch watcher RPC error, retrying:', e?.message || e);
+      }
+    }
+
+    if (Date.now() > deadline) {
+      // nothing left the account: the wallet never sent the batch
+      console.warn('[TX] batch not final in time:', b.batchId);
+      return { outcome: nonceMoved || b.nonce == null ? 'unknown' : 'dropped', receipt: null, hash: null, approveHash: null };
+    }
+    await sleep(WATCH_POLL_MS);
+  }
+}
+
+/**
+ * Sends the calls as one batch and waits for it.
+ * -> { outcome, receipt } (receipt of the last call), or null if the wallet refused the batch.
+ */
+async function runBatch(rec, stage, calls, confirmations) {
+  const provider = await getReadOnlyProviderAsync();
+  // the read-only side of the watch: first nonce the batch can use, first block it can land in
+  [rec.nonce, rec.startBlock] = await Promise.all([
+    provider.getTransactionCount(rec.from, 'pending').catch(() => null),
+    provider.getBlockNumber().catch(() => null),
+  ]);
+
+  stage('sign', { batched: true });
+  const id = await sendCallsBatch(rec.from, calls);
+  if (!id) return null;
+
+  rec.batchId = id;
+  rec.to = calls[calls.length - 1].to;
+  addPending(rec);
+  stage('submitted', { batchId: id });
+  console.log(`[TX] ${rec.kind} batch submitted:`, id);
+
+  const res = await watchBatch(provider, { ...rec, ts: Date.now() }, confirmations);
+  rec.hash = res.hash;
+  rec.approveHash = res.approveHash;
+  if (res.outcome !== 'unknown') removePending(rec.id);
+  return res;
+}
+
+// -----------------------------
+// Persistence
+// -----------------------------
+function loadPending() {
+  try {
+    const raw = window?.localStorage?.getItem(PENDING_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.filter((r) => r && (r.hash || r.batchId)) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function savePending(list) {
+  try {
+    window?.localStorage?.setItem(PENDING_STORAGE_KEY, JSON.stringify(list));
+  } catch (_) {}
+}
+
+function addPending(rec) {
+  const list = loadPending().filter((r) => r.id !== rec.id);
+  list.push({
+    id: rec.id,
+    kind: rec.kind,
+    hash: rec.hash,
+    batchId: rec.batchId,
+    from: rec.from,
+    nonce: rec.nonce,
+    to: rec.to,
+    data: rec.data,
+    value: rec.value,
+    startBlock: rec.startBlock,
+    chainId: rec.chainId,
+    confirmations: rec.confirmations,
+    meta: rec.meta,
+    ts: Date.now(),
+  });
+  savePending(list);
+}
+
+function removePending(id) {
+  savePending(loadPending().filter((r) => r.id !== id));
+}
+
+export function getPendingTxs() {
+  return loadPending();
+}
+
+// -----------------------------
+// Approval policy
+// -----------------------------
+export function getApprovalPolicy() {
+  try {
+    const p = JSON.parse(window?.localStorage?.getItem(APPROVAL_POLICY_KEY) || 'null');
+    if (p && APPROVAL_MODES.includes(p.mode)) return { mode: p.mode, caps: p.caps && typeof p.caps === 'object' ? p.caps : {} };
+  } catch (_) {}
+  return { mode: 'exact', caps: {} };
+}
+
+export function setApprovalPolicy({ mode = 'exact', caps = {} } = {}) {
+  if (!APPROVAL_MODES.includes(mode)) throw new Error(`Unknown approval mode: ${mode}`);
+  const clean = {};
+  Object.entries(caps || {}).forEach(([token, v]) => {
+    try {
+      const bn = ethers.BigNumber.from(v || 0);
+      if (!bn.isZero()) clean[String(token).toLowerCase()] = bn.toString();
+    } catch (_) {}
+  });
+  try {
+    window?.localStorage?.setItem(APPROVAL_POLICY_KEY, JSON.stringify({ mode, caps: clean }));
+  } catch (_) {}
+}
+
+// never less than the call needs; a cap below the amount falls back to exact
+function approvalAmount(token, needed) {
+  const { mode, caps } = getApprovalPolicy();
+  if (mode === 'unlimited') return ethers.constants.MaxUint256;
+  if (mode === 'cap') {
+    const cap = ethers.BigNumber.from(caps[String(token).toLowerCase()] || 0);
+    if (cap.gt(needed)) return cap;
+  }
+  return needed;
+}
+
+// -----------------------------
+// Public: run
+// -----------------------------
+
+/**
+ * opts:
+ *  - kind: string                     // 'buy' | 'sell' | 'vault_deposit' | ... (UI label, persisted)
+ *  - signer: ethers.Signer            // default window.walletState.signer
+ *  - contract, method, args           // the call to send (contract connected to the signer)
+ *  - approve: { token, spender, amount } | null   // allowance must cover amount; the approve
+ *                                                  // itself is sized by the approval policy
+ *  - preflight: async () => void      // checks before anything is signed; throw to abort
+ *  - simulate: async () => void       // callStatic right before signing (after the approve)
+ *  - review: { outcome: async () => [{ label, value }] } | false
+ *                                     // preview modal (default on); outcome rows are optional
+ *  - batch: boolean                   // approve + call in one EIP-5792 batch when supported (default true)
+ *  - confirmations: number            // default CONFIG.TX_CONFIRMATIONS || 1
+ *  - meta: object                     // JSON-safe, persisted and echoed in events
+ *  - onStatus: (stage, payload) => void
+ *
+ * Errors are rethrown with e.txStage set to the stage that failed.
+ */
+export async function runTx(opts = {}) {
+  const {
+    kind = 'tx',
+    contract,
+    method,
+    args = [],
+    approve = null,
+    preflight = null,
+    simulate = null,
+    review = {},
+    meta = {},
+  } = opts;
+  if (!contract || typeof contract[method] !== 'function') throw new Error(`Unknown contract method: ${method}`);
+
+  const confirmations = Number.isFinite(opts.confirmations)
+    ? opts.confirmations
+    : (CONFIG.TX_CONFIRMATIONS ?? 1);
+  const onStatus = typeof opts.onStatus === 'function' ? opts.onStatus : null;
+
+  const rec = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    stage: null,
+    hash: null,
+    approveHash: null,
+    batchId: null,
+    from: null,
+    nonce: null,
+    startBlock: null,
+    replacedBy: null,
+    chainId: Number(CONFIG?.NETWORK?.chainId ?? 42161),
+    confirmations,
+    meta,
+  };
+
+  const stage = (name, payload = {}) => {
+    rec.stage = name;
+    try { onStatus?.(name, payload); } catch (_) {}
+    emit(rec, payload.fee ? { fee: payload.fee } : {});
+  };
+
+  try {
+    const signer = resolveSigner(opts);
+
+    stage('preflight');
+    rec.from = await signer.getAddress();
+    if (preflight) await preflight();
+
+    let approveCall = null;
+    if (approve) {
+      const amount = ethers.BigNumber.from(approve.amount);
+      const token = new ethers.Contract(approve.token, ERC20_ABI_MIN, signer);
+      const allowance = await token.allowance(rec.from, approve.spender);
+
+      if (allowance.lt(amount)) {
+        rec.stage = 'approve'; // failures while estimating count as the approve stage
+        const approveAmount = approvalAmount(approve.token, amount);
+        const approveArgs = [approve.spender, approveAmount];
+        approveCall = { token, args: approveArgs, amount: approveAmount, ...(await prepareGas(token, 'approve', approveArgs, rec.from)) };
+      }
+    }
+
+    // without an approve the call can be simulated and priced up front;
+    // otherwise only after the approve is mined (both need the allowance)
+    let callGas = null;
+    if (!approveCall) {
+      rec.stage = 'sign';
+      if (simulate) await simulate();
+      callGas = await prepareGas(contract, method, args, rec.from);
+    }
+
+    // the batch is simulated and priced by the wallet (the call needs the allowance first)
+    const batched = !!approveCall && opts.batch !== false && await canBatch(rec.from);
+
+    if (review) {
+      rec.stage = 'review';
+      let outcome = null;
+      try {
+        outcome = typeof review.outcome === 'function' ? await review.outcome() : null;
+      } catch (e) {
+        console.warn(`[TX] ${kind} outcome preview failed:`, e?.message || e);
+      }
+      stage('review');
+      const ok = await confirmTx({
+        target: contract.address,
+        method,
+        args,
+        iface: contract.interface,
+        approve: approveCall ? { token: approve.token, spender: approve.spender, amount: approveCall.amount } : null,
+        approveFee: approveCall?.fee || null,
+        fee: callGas?.fee || null,
+        batched,
+        outcome,
+      });
+      if (!ok) {
+        const e = new Error('Transaction cancelled in preview');
+        e.code = 'ACTION_REJECTED';
+        throw e;
+      }
+    }
+
+    let result = null;
+    if (batched) {
+      const calls = [
+        { to: approve.token, data: approveCall.token.interface.encodeFunctionData('approve', approveCall.args), value: '0x0' },
+        { to: contract.address, data: contract.interface.encodeFunctionData(method, args), value: '0x0' },
+      ];
+      result = await runBatch(rec, stage, calls, confirmations);
+    }
+
+    if (!result) {
+      if (approveCall) {
+        stage('approve', { token: approve.token, spender: approve.spender, amount: approveCall.amount, fee: approveCall.fee });
+        const approveRec = await sendApprove(rec, approveCall);
+        // an unknown outcome throws here and leaves the approve saved for a resume
+        const approved = await waitOutcome(approveRec.tx, approveRec, confirmations);
+        removePending(approveRec.id);
+        // a sped-up approve is as good as the original one
+        if (approved.outcome !== 'mined' && approved.outcome !== 'repriced') {
+          throw outcomeError(approved.outcome, approved);
+        }
+
+        rec.stage = 'sign';
+        if (simulate) await simulate();
+        callGas = await prepareGas(contract, method, args, rec.from);
+      }
+
+      const { gasLimit, fee } = callGas;
+      stage('sign', { fee });
+      // replacement search starts here: the replacement cannot be mined earlier
+      rec.startBlock = await getReadOnlyProviderAsync()
+        .then((p) => p.getBlockNumber())
+        .catch(() => null);
+      const tx = await contract[method](...args, { gasLimit });
+
+      rec.hash = tx.hash;
+      rec.nonce = tx.nonce ?? null;
+      rec.to = tx.to || null;
+      rec.data = tx.data || '0x';
+      rec.value = ethers.BigNumber.from(tx.value || 0).toString();
+      addPending(rec);
+      stage('submitted', { hash: tx.hash });
+      console.log(`[TX] ${kind} submitted:`, tx.hash);
+
+      result = await waitOutcome(tx, rec, confirmations);
+      removePending(rec.id);
+    }
+
+    const { outcome, receipt, replacement, cause } = result;
+    if (outcome !== 'mined' && outcome !== 'repriced') {
+      throw outcomeError(outcome, { receipt, replacement, cause });
+    }
+    if (outcome === 'repriced') {
+      rec.replacedBy = replacement?.hash || receipt?.transactionHash || null;
+      console.log(`[TX] ${kind} sped up:`, rec.hash, '->', rec.replacedBy);
+    }
+    rec.stage = 'confirmed';
+    try { onStatus?.('confirmed', { hash: receipt?.transactionHash || rec.hash, receipt, outcome }); } catch (_) {}
+    emit(rec, { outcome });
+
+    return receipt;
+  } catch (e) {
+    // an unknown outcome stays saved: the next page load resumes watching it
+    if ((rec.hash || rec.batchId) && e?.txOutcome !== 'unknown') removePending(rec.id);
+    const failedAt = rec.stage;
+    try { e.txStage = failedAt; } catch (_) {}
+    const outcome = e?.txOutcome || null;
+    if (outcome) console.warn(`[TX] ${kind} ${outcome}:`, rec.hash);
+
+    rec.stage = 'failed';
+    try { onStatus?.('failed', { error: e, stage: failedAt, outcome }); } catch (_) {}
+    emit(rec, { error: e?.reason || e?.message || String(e), failedStage: failedAt, outcome });
+    throw e;
+  }
+}
+
+// -----------------------------
+// Public: resume after reload
+// -----------------------------
+async function resumeOne(provider, p) {
+  const rec = { ...p, stage: 'submitted', approveHash: null, replacedBy: null };
+  emit(rec, { resumed: true });
+
+  let res;
+  try {
+    if (p.batchId && !p.hash) {
+      res = await watchBatch(provider, p, p.confirmations ?? 1);
+      rec.hash = res.hash;
+      rec.approveHash = res.approveHash;
+      if (res.outcome === 'unknown') {
+        // already past its deadline once: a second unknown is final
+        removePending(p.id);
+        throw new Error('batch outcome unknown');
+      }
+    } else {
+      res = await watchTx(provider, p, p.confirmations ?? 1);
+    }
+  } catch (e) {
+    // nonce used by a transaction the RPC cannot show: final, a retry would not find it either;
+    // otherwise (RPC down) kept in storage and retried on the next load
+    if (e?.txOutcome === 'unknown') removePending(p.id);
+    console.warn('[TX] resume watch failed:', p.hash || p.batchId, e?.message || e);
+    rec.stage = 'failed';
+    emit(rec, { resumed: true, outcome: 'unknown', error: 'unknown' });
+    return;
+  }
+  const { outcome, receipt, replacement } = res;
+  removePending(p.id);
+
+  const ok = outcome === 'mined' || outcome === 'repriced';
+  if (outcome === 'repriced') rec.replacedBy = replacement?.hash || receipt?.transactionHash || null;
+  rec.stage = ok ? 'confirmed' : 'failed';
+  emit(rec, { resumed: true, outcome, error: ok ? null : outcome });
+}
+
+export async function initTxManager() {
+  const expected = Number(CONFIG?.NETWORK?.chainId ?? 42161);
+  const list = loadPending().filter((p) => Number(p.chainId) === expected);
+  if (!list.length) return;
+
+  console.log('[TX] resuming', list.length, 'pending transaction(s)');
+  const provider = await getReadOnlyProviderAsync();
+  list.forEach((p) => {
+    resumeOne(provider, p).catch((e) => console.warn('[TX] resume failed:', p.hash || p.batchId, e?.message || e));
+  });
+}
@@ -0,0 +1,345 @@
+/**
+ * txPreview.js — human-readable transaction preview before the wallet opens
+ *
+ * The call is re-decoded with the ABI from abis.js that belongs to the target
+ * address (CONFIG.*_ADDRESS), so the modal shows exactly what will be signed:
+ *   ARUB Presale · buyWithUSDT(100 USDT, withBonus=true)
+ * plus the approval that goes first (if any), the expected outcome supplied by
+ * the caller (amounts from the contract views / callStatic) and the network fee.
+ *
+ * Amount units come from the parameter name (usdtAmount, minArubOut, shares,
+ * deadline ...), then the method name (buyWithUSDT), then the target token.
+ *
+ * Exports:
+ *   describeCall(target, method, args, iface?)  // -> { name, address, signature, params: [{ name, value }] }
+ *   contractLabel(address)                      // -> 'ARUB Vault' | '0x1234…abcd'
+ *   confirmTx(preview)                          // -> Promise<boolean> (true = go on to the wallet)
+ *
+ * preview = {
+ *   target, method, args, iface?,            // the call (iface: fallback when the address is unknown)
+ *   approve: { token, spender, amount } | null,
+ *   approveFee, fee,                         // txManager fee objects; fee null until the approve is mined
+ *   batched,                                 // approve + call in one wallet confirmation (EIP-5792)
+ *   outcome: [{ label, value }] | null,
+ * }
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { getStoredLang } from './i18n.js';
+import { formatTokenAmount } from './ui.js';
+import {
+  USDT_ABI,
+  ARUB_ABI,
+  VAULT_ABI,
+  ANTIRUB_ABI,
+  ORACLE_ABI,
+  PRESALE_READ_ABI,
+  PRESALE_WRITE_ABI,
+} from './abis.js';
+
+// -----------------------------
+// Known contracts (address from CONFIG)
+// -----------------------------
+const DECIMALS_USDT = 6;
+const DECIMALS_ARUB = Number(CONFIG?.TOKEN_DECIMALS ?? 6);
+
+const KNOWN = [
+  { key: 'PRESALE_ADDRESS', name: 'ARUB Presale', abi: [...PRESALE_WRITE_ABI, ...PRESALE_READ_ABI] },
+  { key: 'VAULT_ADDRESS', name: 'ARUB Vault', abi: VAULT_ABI, token: { symbol: 'shares', decimals: DECIMALS_ARUB } },
+  { key: 'ANTIRUB_ADDRESS', name: 'AntiRUB', abi: ANTIRUB_ABI },
+  { key: 'TOKEN_ADDRESS', name: 'ARUB Token', abi: ARUB_ABI, token: { symbol: 'ARUB', decimals: DECIMALS_ARUB } },
+  { key: 'USDT_ADDRESS', name: 'USDT', abi: USDT_ABI, token: { symbol: 'USDT', decimals: DECIMALS_USDT } },
+  { key: 'ORACLE_ADDRESS', name: 'ARUB Oracle', abi: ORACLE_ABI },
+];
+
+const ifaceCache = new Map();
+
+function knownContract(address) {
+  const a = String(address || '').toLowerCase();
+  if (!a) return null;
+  return KNOWN.find((k) => String(CONFIG?.[k.key] || '').toLowerCase() === a) || null;
+}
+
+function knownIface(known) {
+  if (!ifaceCache.has(known.key)) ifaceCache.set(known.key, new ethers.utils.Interface(known.abi));
+  return ifaceCache.get(known.key);
+}
+
+function shortAddr(a) {
+  const s = String(a || '');
+  return s.length > 12 ? `${s.slice(0, 6)}…${s.slice(-4)}` : s;
+}
+
+export function contractLabel(address) {
+  return knownContract(address)?.name || shortAddr(address);
+}
+
+// -----------------------------
+// i18n
+// -----------------------------
+const I18N = {
+  ru: {
+    title: 'Підтвердження транзакції',
+    subtitle: 'Перевірте дані — після підтвердження відкриється гаманець.',
+    contract: 'Контракт',
+    call: 'Виклик',
+    approval: 'Спершу дозвіл (approve)',
+    approval_text: '{{amount}} для {{spender}}',
+    outcome: 'Очікуваний результат',
+    fee: 'Комісія мережі',
+    approve_fee: 'approve: {{fee}}',
+    call_fee: 'транзакція: {{fee}}',
+    fee_after_approve: 'транзакція: буде оцінена після approve',
+    batched: 'approve і транзакція — одним підтвердженням у гаманці',
+    fee_batched: 'оцінює гаманець (approve + транзакція разом)',
+    fee_unknown: '—',
+    unlimited: 'без ліміту',
+    cancel: 'Скасувати',
+    confirm: 'Підтвердити в гаманці',
+  },
+  en: {
+    title: 'Confirm transaction',
+    subtitle: 'Check the details — your wallet opens after you confirm.',
+    contract: 'Contract',
+    call: 'Call',
+    approval: 'Approval first',
+    approval_text: '{{amount}} to {{spender}}',
+    outcome: 'Expected outcome',
+    fee: 'Network fee',
+    approve_fee: 'approve: {{fee}}',
+    call_fee: 'transaction: {{fee}}',
+    fee_after_approve: 'transaction: estimated after the approve',
+    batched: 'approve and transaction in one wallet confirmation',
+    fee_batched: 'estimated by the wallet (approve + transaction together)',
+    fee_unknown: '—',
+    unlimited: 'unlimited',
+    cancel: 'Cancel',
+    confirm: 'Confirm in wallet',
+  },
+};
+
+function t(key, vars) {
+  const lang = (getStoredLang?.() || 'ru');
+  const dict = I18N[lang] || I18N.ru;
+  let out = dict[key] || I18N.ru[key] || key;
+  if (vars) {
+    Object.keys(vars).forEach((k) => {
+      out = out.replace(new RegExp(`{{${k}}}`, 'g'), String(vars[k]));
+    });
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[c]));
+}
+
+// -----------------------------
+// Decoding / formatting
+// -----------------------------
+
+// usdtAmount / minArubOut / shares by name; buyWithUSDT(amount) by method; transfer(value) by target token
+function unitFor(paramName, method, target) {
+  const n = String(paramName || '');
+  if (/usdt/i.test(n)) return { symbol: 'USDT', decimals: DECIMALS_USDT };
+  if (/arub/i.test(n)) return { symbol: 'ARUB', decimals: DECIMALS_ARUB };
+  if (/shares/i.test(n)) return { symbol: 'shares', decimals: DECIMALS_ARUB };
+  if (/^(amount|value)$/i.test(n)) {
+    if (/usdt/i.test(method)) return { symbol: 'USDT', decimals: DECIMALS_USDT };
+    if (/arub/i.test(method)) return { symbol: 'ARUB', decimals: DECIMALS_ARUB };
+    return knownContract(target)?.token || null;
+  }
+  return null;
+}
+
+function formatAmount(value, unit) {
+  const bn = ethers.BigNumber.from(value);
+  if (bn.eq(ethers.constants.MaxUint256)) return `${t('unlimited')} ${unit.symbol}`;
+  return `${formatTokenAmount(bn, unit.decimals, 6).replace(/\.0+$/, '')} ${unit.symbol}`;
+}
+
+function formatDate(sec) {
+  const d = new Date(Number(sec) * 1000);
+  return Number.isFinite(d.getTime()) ? d.toLocaleString() : String(sec);
+}
+
+function formatValue(param, value, method, target) {
+  if (param.baseType === 'tuple') {
+    const parts = (param.components || []).map((c, i) =>
+      `${c.name || i}: ${formatValue(c, value?.[c.name] ?? value?.[i], method, target)}`);
+    return `{ ${parts.join(', ')} }`;
+  }
+  if (param.baseType === 'array') {
+    return `[${(value || []).map((v) => formatValue(param.arrayChildren, v, method, target)).join(', ')}]`;
+  }
+  if (param.baseType === 'address') {
+    const known = knownContract(value);
+    return known ? `${known.name} (${shortAddr(value)})` : shortAddr(value);
+  }
+  if (param.baseType === 'bool') return value ? 'true' : 'false';
+  if (/^u?int/.test(param.baseType)) {
+    if (/deadline|until|time/i.test(param.name || '')) return formatDate(value);
+    const unit = unitFor(param.name, method, target);
+    return unit ? formatAmount(value, unit) : ethers.BigNumber.from(value).toString();
+  }
+  return String(value);
+}
+
+/**
+ * Encodes the call, then decodes it back with the abis.js ABI of the target
+ * (or iface when the target is not a CONFIG contract).
+ */
+export function describeCall(target, method, args = [], iface = null) {
+  const known = knownContract(target);
+  const encoder = iface || (known && knownIface(known));
+  if (!encoder) throw new Error(`No ABI for ${target}`);
+
+  const data = encoder.encodeFunctionData(method, args);
+  let parsed = null;
+  try { parsed = known ? knownIface(known).parseTransaction({ data }) : null; } catch (_) {}
+  if (!parsed) parsed = (iface || knownIface(known)).parseTransaction({ data });
+
+  const params = parsed.functionFragment.inputs.map((p, i) => ({
+    name: p.name || `arg${i}`,
+    value: formatValue(p, parsed.args[i], parsed.name, target),
+  }));
+  // first argument positional (it is what the call is about), the rest named
+  const shown = params.map((p, i) => (i === 0 ? p.value : `${p.name}=${p.value}`));
+
+  return {
+    name: contractLabel(target),
+    address: target,
+    signature: `${parsed.name}(${shown.join(', ')})`,
+    params,
+  };
+}
+
+function formatFee(fee) {
+  if (!fee || !Number.isFinite(fee.feeEth)) return t('fee_unknown');
+  const eth = fee.feeEth < 0.000001 ? '<0.000001' : fee.feeEth.toFixed(6);
+  if (!Number.isFinite(fee.feeUsd)) return `≈ ${eth} ETH`;
+  const usd = fee.feeUsd < 0.01 ? '<$0.01' : `$${fee.feeUsd.toFixed(2)}`;
+  return `≈ ${eth} ETH (~${usd})`;
+}
+
+// -----------------------------
+// Modal
+// -----------------------------
+let modal = null;
+let settle = null; // resolve of the open preview
+
+function row(label, valueHtml) {
+  return `
+    <div style="display:flex; justify-content:space-between; gap:12px; padding:6px 0; border-bottom:1px solid rgba(255,255,255,0.08);">
+      <div style="opacity:0.7; white-space:nowrap;">${escapeHtml(label)}</div>
+      <div style="text-align:right; word-break:break-word;">${valueHtml}</div>
+    </div>`;
+}
+
+function section(title, body) {
+  return `
+    <div style="margin-top:14px;">
+      <div style="font-size:12px; font-weight:600; opacity:0.7; margin-bottom:4px;">${escapeHtml(title)}</div>
+      ${body}
+    </div>`;
+}
+
+function bodyHtml(p, call) {
+  const explorer = CONFIG?.NETWORK?.blockExplorerUrls?.[0];
+  const addr = escapeHtml(shortAddr(call.address));
+  const addrHtml = explorer
+    ? `<a href="${escapeHtml(`${explorer}/address/${call.address}`)}" target="_blank" rel="noopener">${addr}</a>`
+    : addr;
+
+  let html = row(t('contract'), `${escapeHtml(call.name)} · ${addrHtml}`);
+  html += section(t('call'), `
+    <div style="font-family:monospace; font-size:13px; padding:8px 10px; border-radius:8px; background:rgba(0,0,0,0.3); word-break:break-word;">
+      ${escapeHtml(call.signature)}
+    </div>`);
+
+  if (p.approve) {
+    const unit = knownContract(p.approve.token)?.token || { symbol: shortAddr(p.approve.token), decimals: 0 };
+    html += section(t('approval'), row(
+      `approve · ${contractLabel(p.approve.token)}`,
+      escapeHtml(t('approval_text', { amount: formatAmount(p.approve.amount, unit), spender: contractLabel(p.approve.spender) }))
+    ) + (p.batched ? `<div style="font-size:12px; color:#4ade80; margin-top:4px;">${escapeHtml(t('batched'))}</div>` : ''));
+  }
+
+  if (Array.isArray(p.outcome) && p.outcome.length) {
+    html += section(t('outcome'), p.outcome.map((o) => row(o.label, escapeHtml(o.value))).join(''));
+  }
+
+  const fees = [];
+  if (p.batched) {
+    fees.push(t('fee_batched'));
+  } else {
+    if (p.approve && p.approveFee) fees.push(t('approve_fee', { fee: formatFee(p.approveFee) }));
+    if (p.fee) fees.push(p.approve && p.approveFee ? t('call_fee', { fee: formatFee(p.fee) }) : formatFee(p.fee));
+    else if (p.approve) fees.push(t('fee_after_approve'));
+  }
+  html += section(t('fee'), row(t('fee'), fees.map(escapeHtml).join('<br>') || t('fee_unknown')));
+
+  return html;
+}
+
+function close(ok) {
+  if (modal) modal.style.display = 'none';
+  const done = settle;
+  settle = null;
+  done?.(ok);
+}
+
+function buildModal() {
+  const wrap = document.createElement('div');
+  wrap.className = 'wallet-modal';
+  wrap.id = 'txPreviewModal';
+  wrap.style.display = 'none';
+  wrap.innerHTML = `
+    <div class="wallet-modal-content" style="max-width:560px; padding:24px;">
+      <div class="wallet-modal-title" style="font-size:1.5em; margin-bottom:6px;" data-tx-preview="title"></div>
+      <div style="text-align:center; font-size:13px; opacity:0.75; margin-bottom:14px;" data-tx-preview="subtitle"></div>
+      <div id="txPreviewBody" style="font-size:14px;"></div>
+      <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:18px;">
+        <button type="button" id="txPreviewCancel" class="connect-btn"></button>
+        <button type="button" id="txPreviewConfirm" class="connect-btn"></button>
+      </div>
+    </div>`;
+
+  wrap.addEventListener('click', (e) => {
+    if (e.target === wrap) close(false);
+    const b = e.target.closest?.('button');
+    if (b?.id === 'txPreviewCancel') close(false);
+    else if (b?.id === 'txPreviewConfirm') close(true);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && wrap.style.display === 'flex') close(false);
+  });
+
+  document.body.appendChild(wrap);
+  return wrap;
+}
+
+/**
+ * Shows the preview; resolves true on confirm, false on cancel / Escape /
+ * backdrop click. A second preview while one is open cancels the first.
+ */
+export function confirmTx(preview = {}) {
+  const call = describeCall(preview.target, preview.method, preview.args, preview.iface);
+  if (settle) close(false);
+  if (!modal) modal = buildModal();
+
+  // labels are set on every open: language may have changed since the modal was built
+  modal.querySelector('[data-tx-preview="title"]').textContent = t('title');
+  modal.querySelector('[data-tx-preview="subtitle"]').textContent = t('subtitle');
+  modal.querySelector('#txPreviewCancel').textContent = t('cancel');
+  modal.querySelector('#txPreviewConfirm').textContent = t('confirm');
+  modal.querySelector('#txPreviewBody').innerHTML = bodyHtml(preview, call);
+  modal.style.display = 'flex';
+
+  console.log('[TX] preview:', call.name, call.signature);
+  return new Promise((resolve) => { settle = resolve; });
+}
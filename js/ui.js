@@ -142,3 +142,30 @@ export function formatPrice(value, maxDecimals = (CONFIG?.ORACLE_DECIMALS ?? 6))
   if (!Number.isFinite(value)) return '—';
   return value.toFixed(maxDecimals).replace(/\.?0+$/, '');
 }
+
+/**
+ * Relative age for oracle timestamps: "updated 3h ago" / "оновлено 3 год тому"
+ * @param {number} sec - age in seconds
+ */
+export function formatAge(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return '—';
+  const en = (getStoredLang?.() || 'ru') === 'en';
+
+  let value;
+  let unit;
+  if (sec < 60) {
+    value = Math.floor(sec);
+    unit = en ? 's' : ' с';
+  } else if (sec < 3600) {
+    value = Math.floor(sec / 60);
+    unit = en ? 'm' : ' хв';
+  } else if (sec < 86400) {
+    value = Math.floor(sec / 3600);
+    unit = en ? 'h' : ' год';
+  } else {
+    value = Math.floor(sec / 86400);
+    unit = en ? 'd' : ' дн';
+  }
+
+  return en ? `updated ${value}${unit} ago` : `оновлено ${value}${unit} тому`;
+}
@@ -0,0 +1,184 @@
+/**
+ * vault.js — ARUBVault share layer (deposit ARUB -> shares, shares -> ARUB)
+ *
+ * Contract phases (ARUBVaultTwoModeV2):
+ *  - Phase 1 (strategyEnabled=false): shares minted 1:1 for ARUB,
+ *    withdraw pays ARUB pro-rata to the vault ARUB balance.
+ *  - Phase 2 (strategyEnabled=true): shares priced against totalAssetsArubEq(),
+ *    plain withdraw() reverts ("use strategy withdraw").
+ *
+ * Exports:
+ *   getVaultState()
+ *   getVaultPosition(address)
+ *   previewVaultDeposit(arubAmountBN)
+ *   previewVaultWithdraw(sharesBN)
+ *   depositToVault(arubAmountBN, opts?)
+ *   withdrawFromVault(sharesBN, opts?)
+ */
+
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+import { CONFIG } from './config.js';
+import { ERC20_ABI_MIN, VAULT_ABI } from './abis.js';
+import { getReadOnlyProviderAsync } from './contracts.js';
+import { runTx } from './txManager.js';
+
+// -----------------------------
+// Internals
+// -----------------------------
+function assertConfig() {
+  if (!CONFIG?.VAULT_ADDRESS) throw new Error('CONFIG.VAULT_ADDRESS is missing');
+  if (!CONFIG?.TOKEN_ADDRESS) throw new Error('CONFIG.TOKEN_ADDRESS is missing');
+}
+
+async function getVaultRO() {
+  assertConfig();
+  const provider = await getReadOnlyProviderAsync();
+  return {
+    vault: new ethers.Contract(CONFIG.VAULT_ADDRESS, VAULT_ABI, provider),
+    arub: new ethers.Contract(CONFIG.TOKEN_ADDRESS, ERC20_ABI_MIN, provider),
+  };
+}
+
+// -----------------------------
+// Public: reads
+// -----------------------------
+
+/**
+ * Vault-wide numbers needed for share math.
+ * totalAssets is ARUB-equivalent: totalAssetsArubEq() in Phase 2,
+ * the idle ARUB balance in Phase 1 (that is what withdraw() pays out).
+ */
+export async function getVaultState() {
+  const { vault, arub } = await getVaultRO();
+
+  const [totalSupply, strategyEnabled, arubBalance] = await Promise.all([
+    vault.totalSupply(),
+    vault.strategyEnabled().catch(() => false),
+    arub.balanceOf(CONFIG.VAULT_ADDRESS),
+  ]);
+
+  let totalAssets = arubBalance;
+  if (strategyEnabled) {
+    try {
+      totalAssets = await vault.totalAssetsArubEq();
+    } catch (e) {
+      console.warn('[VAULT] totalAssetsArubEq failed, using ARUB balance:', e?.message || e);
+    }
+  }
+
+  return { totalSupply, totalAssets, arubBalance, strategyEnabled: !!strategyEnabled };
+}
+
+export async function getVaultPosition(address) {
+  if (!address) return null;
+
+  const { vault } = await getVaultRO();
+  const [shares, state] = await Promise.all([
+    vault.balanceOf(address),
+    getVaultState(),
+  ]);
+
+  const valueArub = state.totalSupply.isZero()
+    ? ethers.BigNumber.from(0)
+    : shares.mul(state.totalAssets).div(state.totalSupply);
+
+  return { shares, valueArub, ...state };
+}
+
+/**
+ * Mirrors deposit() share math.
+ * Phase 1: 1:1. Phase 2: arub * supply / assets (1:1 for the first depositor).
+ */
+export async function previewVaultDeposit(arubAmountBN) {
+  const amount = ethers.BigNumber.from(arubAmountBN ?? 0);
+  const state = await getVaultState();
+
+  let shares = amount;
+  if (state.strategyEnabled && !state.totalSupply.isZero()) {
+    shares = state.totalAssets.isZero()
+      ? ethers.BigNumber.from(0)
+      : amount.mul(state.totalSupply).div(state.totalAssets);
+  }
+
+  return { shares, ...state };
+}
+
+/**
+ * Mirrors withdraw() payout math.
+ * In Phase 2 the value is an ARUB-equivalent estimate and requiresStrategy=true,
+ * because plain withdraw() is disabled there.
+ */
+export async function previewVaultWithdraw(sharesBN) {
+  const shares = ethers.BigNumber.from(sharesBN ?? 0);
+  const state = await getVaultState();
+
+  const base = state.strategyEnabled ? state.totalAssets : state.arubBalance;
+  const arubOut = state.totalSupply.isZero()
+    ? ethers.BigNumber.from(0)
+    : base.mul(shares).div(state.totalSupply);
+
+  return { arubOut, requiresStrategy: state.strategyEnabled, ...state };
+}
+
+// -----------------------------
+// Public: writes (txManager.runTx stages)
+// -----------------------------
+function resolveSigner(opts) {
+  const signer = opts?.signer || window.walletState?.signer || null;
+  if (!signer) throw new Error('Wallet not connected or signer not ready');
+  return signer;
+}
+
+export async function depositToVault(arubAmountBN, opts = {}) {
+  /**
+   * opts:
+   *  - signer: ethers.Signer (default window.walletState.signer)
+   *  - confirmations: number (default CONFIG.TX_CONFIRMATIONS || 1)
+   *  - onStatus: (stage: string, payload?: any) => void
+   *
+   * stages: preflight -> approve (ARUB allowance) -> sign -> submitted -> confirmed | failed
+   */
+  assertConfig();
+
+  const amount = ethers.BigNumber.from(arubAmountBN ?? 0);
+  if (amount.lte(0)) throw new Error('Invalid ARUB amount');
+
+  const signer = resolveSigner(opts);
+  const vault = new ethers.Contract(CONFIG.VAULT_ADDRESS, VAULT_ABI, signer);
+
+  return runTx({
+    ...opts,
+    kind: 'vault_deposit',
+    signer,
+    contract: vault,
+    method: 'deposit',
+    args: [amount],
+    approve: { token: CONFIG.TOKEN_ADDRESS, spender: CONFIG.VAULT_ADDRESS, amount },
+    meta: { amount: amount.toString(), symbol: 'ARUB' },
+  });
+}
+
+export async function withdrawFromVault(sharesBN, opts = {}) {
+  /**
+   * opts: same as depositToVault
+   *
+   * stages: preflight -> sign -> submitted -> confirmed | failed
+   */
+  assertConfig();
+
+  const shares = ethers.BigNumber.from(sharesBN ?? 0);
+  if (shares.lte(0)) throw new Error('Invalid shares amount');
+
+  const signer = resolveSigner(opts);
+  const vault = new ethers.Contract(CONFIG.VAULT_ADDRESS, VAULT_ABI, signer);
+
+  return runTx({
+    ...opts,
+    kind: 'vault_withdraw',
+    signer,
+    contract: vault,
+    method: 'withdraw',
+    args: [shares],
+    meta: { amount: shares.toString(), symbol: 'shares' },
+  });
+}
@@ -4,6 +4,9 @@
 // - Lists injected wallets via EIP-6963 (MetaMask / Trust / Phantom / Uniswap / Bybit ...)
 // - Connects to the конкретный provider выбранного кошелька
 // - Auto-switches to Arbitrum One (42161) with add-chain fallback
+// - Detects EIP-5792 atomic batch support (wallet_getCapabilities) for one-step approve + call
+// - Remembers the last wallet (EIP-6963 rdns/uuid) and silently reconnects to it on the next
+//   load via eth_accounts (never prompts); disconnect / forgetWallet() drop the saved session
 //
 // Requires:
 // - ethers v5.7.2 ESM
@@ -18,11 +21,15 @@ const WALLET_I18N = {
     switch_failed: 'Перемкніть мережу на Arbitrum One у гаманці та повторіть дію.',
     wallet_connected: 'Гаманець підключено: {{address}}',
     wallet_disconnected: 'Гаманець відключено',
+    wallet_restored: 'Сесію гаманця відновлено: {{address}}',
+    wallet_forgotten: 'Гаманець забуто — наступного разу оберіть його знову',
   },
   en: {
     switch_failed: 'Switch to Arbitrum One in your wallet and try again.',
     wallet_connected: 'Wallet connected: {{address}}',
     wallet_disconnected: 'Wallet disconnected',
+    wallet_restored: 'Wallet session restored: {{address}}',
+    wallet_forgotten: 'Wallet forgotten — pick it again next time',
   },
 };
 
@@ -50,6 +57,67 @@ let currentChainId = null;
 
 let isConnecting = false;
 
+// -----------------------------
+// Session persistence
+// -----------------------------
+const LAST_WALLET_KEY = 'arub:lastWallet:v1';
+
+// one silent restore attempt per page load
+let restoreTried = false;
+
+function loadLastWallet() {
+  try {
+    const raw = window?.localStorage?.getItem(LAST_WALLET_KEY);
+    const v = raw ? JSON.parse(raw) : null;
+    return v && (v.rdns || v.uuid) ? v : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveLastWallet(walletId) {
+  // only EIP-6963 wallets carry a stable identity; the bare window.ethereum fallback is not remembered
+  const s = String(walletId || '');
+  const entry = s.startsWith('eip6963:') ? eip6963Store.map.get(s.slice('eip6963:'.length)) : null;
+  if (!entry) return;
+  try {
+    window?.localStorage?.setItem(LAST_WALLET_KEY, JSON.stringify({
+      rdns: entry.rdns || '',
+      uuid: entry.info?.uuid || '',
+      name: entry.entryName || '',
+    }));
+  } catch (_) {}
+}
+
+function clearLastWallet() {
+  try { window?.localStorage?.removeItem(LAST_WALLET_KEY); } catch (_) {}
+}
+
+/** Saved wallet { rdns, uuid, name } or null. */
+export function getLastWallet() {
+  return loadLastWallet();
+}
+
+// rdns is stable across reloads; the EIP-6963 uuid is per page session, so it is only a fallback
+function isLastWallet(entry, last) {
+  if (!entry || !last) return false;
+  if (last.rdns && entry.rdns) return entry.rdns === last.rdns;
+  return !!last.uuid && entry.info?.uuid === last.uuid;
+}
+
+async function maybeRestoreSession(entry) {
+  if (restoreTried || currentAddress || isConnecting) return;
+  if (!isLastWallet(entry, loadLastWallet())) return;
+  restoreTried = true;
+
+  try {
+    const addr = await connectWallet({ walletId: entry.walletId, silent: true });
+    if (!addr) console.log('[wallet] session restore skipped: wallet locked or site not authorized');
+  } catch (e) {
+    console.warn('[wallet] session restore failed:', e?.message || e);
+  }
+}
+
 // -----------------------------
 // EIP-6963 store
 // -----------------------------
@@ -92,7 +160,7 @@ export function initWalletModule() {
       const uuid = makeEip6963Key(detail);
       const id = makeEip6963IdFromUuid(uuid);
 
-      eip6963Store.map.set(uuid, {
+      const entry = {
         walletId: id,          // stable id used by UI + connect
         entryId: id,           // same to avoid mismatches
         entryName: info.name || 'Wallet',
@@ -101,7 +169,10 @@ export function initWalletModule() {
         icon: info.icon || '',
         info,
         provider: detail.provider,
-      });
+      };
+      eip6963Store.map.set(uuid, entry);
+
+      maybeRestoreSession(entry);
     } catch (e) {
       console.warn('[wallet] eip6963 announceProvider handler failed:', e?.message || e);
     }
@@ -227,7 +298,12 @@ async function onChainChanged(chainIdHex) {
   }
 }
 
-async function onDisconnect() {
+async function onDisconnect(error) {
+  // MetaMask emits 1013 while it reconnects to its RPC; the session itself is still alive
+  if (error?.code === 1013) {
+    console.log('[wallet] provider reconnecting:', error?.message || error);
+    return;
+  }
   try {
     await disconnectWallet();
   } catch (_) {}
@@ -351,7 +427,12 @@ export function publishWalletHelpersToWindow() {
 // -----------------------------
 // Public connect/disconnect
 // -----------------------------
-export async function connectWallet({ walletId = null } = {}) {
+/**
+ * Connects the wallet picked in the dropdown and remembers it for the next load.
+ * silent: use eth_accounts only (no account prompt, no network switch);
+ *   resolves null when the wallet is locked or the site is not authorized.
+ */
+export async function connectWallet({ walletId = null, silent = false } = {}) {
   if (isConnecting) {
     if (currentAddress) return currentAddress;
     throw new Error('Wallet connection already in progress');
@@ -394,6 +475,7 @@ export async function connectWallet({ walletId = null } = {}) {
     try { accs = await prov.request({ method: 'eth_accounts' }); } catch (_) { accs = []; }
 
     if (!Array.isArray(accs) || accs.length === 0) {
+      if (silent) return null;
       await withTimeout(prov.request({ method: 'eth_requestAccounts' }), 60000, 'eth_requestAccounts');
     }
 
@@ -419,14 +501,15 @@ export async function connectWallet({ walletId = null } = {}) {
     }
 
     attachProviderListeners();
+    saveLastWallet(entry.walletId);
     await publishGlobals();
 
-    // auto switch to Arbitrum One (once)
+    // auto switch to Arbitrum One (once); a silent restore must not open wallet popups
     try {
       const expected = Number(CONFIG?.NETWORK?.chainId || 42161);
       const actual = Number(window.walletState?.chainId || currentChainId);
 
-      if (Number.isFinite(expected) && Number.isFinite(actual) && actual !== expected) {
+      if (!silent && Number.isFinite(expected) && Number.isFinite(actual) && actual !== expected) {
         const ok = await trySwitchToArbitrum();
         if (ok) await publishGlobals();
         else {
@@ -439,7 +522,8 @@ export async function connectWallet({ walletId = null } = {}) {
       console.warn('[wallet] auto switch failed:', e?.message || e);
     }
 
-    try { window.showNotification?.(wt('wallet_connected', { address: currentAddress }), 'success'); } catch (_) {}
+    const note = silent ? 'wallet_restored' : 'wallet_connected';
+    try { window.showNotification?.(wt(note, { address: currentAddress }), 'success'); } catch (_) {}
 
     emit('wallet:connected', window.walletState);
     // legacy
@@ -462,7 +546,7 @@ export async function connectWallet({ walletId = null } = {}) {
   }
 }
 
-export async function disconnectWallet() {
+function endSession() {
   try { detachProviderListeners(); } catch (_) {}
 
   selectedEip1193 = null;
@@ -470,16 +554,44 @@ export async function disconnectWallet() {
   signer = null;
   currentAddress = null;
   currentChainId = null;
+  clearLastWallet();
+}
 
+async function announceDisconnected(noteKey) {
   await publishGlobals();
 
-  try { window.showNotification?.(wt('wallet_disconnected'), 'info'); } catch (_) {}
+  try { window.showNotification?.(wt(noteKey), 'info'); } catch (_) {}
 
   emit('wallet:disconnected', window.walletState);
   // legacy
   window.dispatchEvent(new Event('walletChanged'));
 }
 
+/** Ends the session (user action or the wallet's `disconnect` event); no silent reconnect on reload. */
+export async function disconnectWallet() {
+  endSession();
+  await announceDisconnected('wallet_disconnected');
+}
+
+/**
+ * "Forget this wallet": ends the session and asks the wallet to drop this site's
+ * account permission (wallet_revokePermissions; wallets without it just ignore the call).
+ */
+export async function forgetWallet() {
+  const prov = selectedEip1193;
+  endSession();
+
+  if (prov?.request) {
+    try {
+      await withTimeout(prov.request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] }), 5000, 'wallet_revokePermissions');
+    } catch (e) {
+      console.log('[wallet] wallet_revokePermissions not available:', e?.message || e);
+    }
+  }
+
+  await announceDisconnected('wallet_forgotten');
+}
+
 // Optional getters
 export function getEthersProvider() { return ethersProvider; }
 export function getSigner() { return signer; }
@@ -487,6 +599,57 @@ export function getCurrentAddress() { return currentAddress; }
 export function getCurrentChainId() { return currentChainId; }
 export function getSelectedEip1193Provider() { return selectedEip1193; }
 
+// ==============================
+// EIP-5792 capabilities
+// ==============================
+// provider -> Map(`${address}:${chainIdHex}` -> Promise<boolean>)
+const atomicBatchCache = new WeakMap();
+
+function parseAtomicCapability(caps, chainIdHex) {
+  if (!caps || typeof caps !== 'object') return false;
+  const key = Object.keys(caps).find((k) => k.toLowerCase() === chainIdHex.toLowerCase());
+  const c = key ? caps[key] : null;
+  // final spec: atomic.status 'supported' | 'ready' (ready = wallet upgrades the account on first use);
+  // early drafts: atomicBatch.supported
+  return c?.atomic?.status === 'supported' || c?.atomic?.status === 'ready' || c?.atomicBatch?.supported === true;
+}
+
+/**
+ * true when the selected wallet can run approve + call as one atomic batch
+ * (wallet_sendCalls) on the expected chain. Wallets without EIP-5792 -> false.
+ */
+export async function supportsAtomicBatch() {
+  const prov = selectedEip1193;
+  const address = currentAddress;
+  if (!prov?.request || !address) return false;
+
+  const chainIdHex = ethers.utils.hexValue(Number(CONFIG?.NETWORK?.chainId ?? 42161));
+  const cacheKey = `${address}:${chainIdHex}`;
+  if (!atomicBatchCache.has(prov)) atomicBatchCache.set(prov, new Map());
+  const cache = atomicBatchCache.get(prov);
+
+  if (!cache.has(cacheKey)) {
+    cache.set(cacheKey, (async () => {
+      let caps = null;
+      try {
+        caps = await withTimeout(prov.request({ method: 'wallet_getCapabilities', params: [address, [chainIdHex]] }), 5000, 'wallet_getCapabilities');
+      } catch (_) {
+        // early drafts take the address only
+        try {
+          caps = await withTimeout(prov.request({ method: 'wallet_getCapabilities', params: [address] }), 5000, 'wallet_getCapabilities');
+        } catch (e) {
+          console.log('[wallet] EIP-5792 not supported:', e?.message || e);
+          return false;
+        }
+      }
+      const ok = parseAtomicCapability(caps, chainIdHex);
+      console.log('[wallet] atomic batch support:', ok);
+      return ok;
+    })());
+  }
+  return cache.get(cacheKey);
+}
+
 // ==============================
 // Trading helper (required by trading.js)
 // ==============================